@@ -0,0 +1,98 @@
+// middleware/antiAbuse.js
+// Límites de velocidad por usuario y por IP, y bloqueo de pujas a jugadores sancionados.
+const RateLimitBucket = require('../models/RateLimitBucket');
+const { getActiveBidBlock } = require('../services/sanctions');
+
+// Cuenta una petición en la ventana actual y devuelve cuántas lleva
+async function hit(key, windowStart, windowMs) {
+    const bucket = await RateLimitBucket.findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + windowMs) } },
+        { upsert: true, new: true }
+    );
+    return bucket.count;
+}
+
+/**
+ * Cuenta una petición en los límites que correspondan (por usuario y/o por IP) en la ventana fija actual.
+ * Los contadores están en la base de datos para que el límite valga aunque haya varias instancias.
+ * @param {Object} config { name, windowMs, limits: { user, ip } }
+ * @param {Object} subject { userId, ip } (los que falten no se limitan)
+ * @returns {Promise<number>} Segundos que hay que esperar si se ha superado algún límite, o 0.
+ */
+async function consumeRateLimit({ name, windowMs, limits }, { userId = null, ip = null } = {}) {
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const checks = [];
+    if (limits.user && userId) checks.push({ key: `${name}:user:${userId}`, max: limits.user });
+    if (limits.ip && ip) checks.push({ key: `${name}:ip:${ip}`, max: limits.ip });
+
+    for (const { key, max } of checks) {
+        if (await hit(key, windowStart, windowMs) > max) {
+            console.warn(`Límite '${name}' superado (${key}).`);
+            return Math.ceil((windowStart + windowMs - now) / 1000);
+        }
+    }
+    return 0;
+}
+
+// Middleware de límite de peticiones: con limits.user se limita al usuario autenticado y con limits.ip a la
+// IP (req.ip, ver 'trust proxy' en server.js). Si la base de datos falla se deja pasar la petición: el
+// límite no debe tumbar el servicio.
+// Uso: rateLimit({ name: 'bid', windowMs: 60000, limits: { user: 10, ip: 30 } })
+const rateLimit = config => async (req, res, next) => {
+    try {
+        const retryAfter = await consumeRateLimit(config, { userId: req.user ? req.user.id : null, ip: req.ip });
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ message: 'Demasiadas peticiones. Espera un momento e inténtalo de nuevo.', retryAfter });
+        }
+    } catch (error) {
+        console.error(`Error comprobando el límite '${config.name}':`, error.message);
+    }
+    next();
+};
+
+// Pujas: por usuario (BID_RATE_LIMIT_PER_MINUTE) y por IP (BID_RATE_LIMIT_IP_PER_MINUTE).
+// Las pujas desde Discord (routes/interactions.js) cuentan en el mismo límite por usuario.
+const BID_RATE_LIMIT = {
+    name: 'bid',
+    windowMs: 60 * 1000,
+    limits: {
+        user: parseInt(process.env.BID_RATE_LIMIT_PER_MINUTE, 10) || 10,
+        ip: parseInt(process.env.BID_RATE_LIMIT_IP_PER_MINUTE, 10) || 30
+    }
+};
+const bidRateLimit = rateLimit(BID_RATE_LIMIT);
+
+// Inicio de sesión, refresco y cierre de sesión: por IP (AUTH_RATE_LIMIT_PER_MINUTE)
+const authRateLimit = rateLimit({
+    name: 'auth',
+    windowMs: 60 * 1000,
+    limits: { ip: parseInt(process.env.AUTH_RATE_LIMIT_PER_MINUTE, 10) || 20 }
+});
+
+// Rechaza la puja si el jugador tiene un baneo de pujas o demasiados avisos vigentes (services/sanctions.js).
+// Va después de requirePermission, que ya exige un usuario autenticado.
+const blockSanctionedBidders = async (req, res, next) => {
+    try {
+        const block = await getActiveBidBlock(req.user.id);
+        if (block) {
+            console.warn(`Puja rechazada: ${req.user.username} (ID: ${req.user.id}) está sancionado (${block.kind}).`);
+            return res.status(403).json({ message: block.message, reason: block.reason, expiresAt: block.expiresAt });
+        }
+    } catch (error) {
+        console.error('Error comprobando las sanciones del jugador:', error);
+        return res.status(500).json({ message: 'Error al comprobar si puedes pujar.' });
+    }
+    next();
+};
+
+module.exports = {
+    BID_RATE_LIMIT,
+    consumeRateLimit,
+    rateLimit,
+    bidRateLimit,
+    authRateLimit,
+    blockSanctionedBidders
+};
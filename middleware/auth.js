@@ -1,30 +1,18 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const { isTokenRevoked } = require('../services/tokens');
 
 // IMPORTANTE: Asegúrate de que JWT_SECRET esté configurado en tus variables de entorno (por ejemplo, en Render).
 
-// ¡IMPORTANTE! Define los IDs de los roles de administrador de Discord que tienes en tu servidor.
-// Estos IDs son cadenas numéricas y DEBEN COINCIDIR EXACTAMENTE con los IDs de los roles
-// en tu servidor de Discord.
-//
-// Para encontrar un ID de rol:
-// 1. Activa el Modo Desarrollador en Discord (Ajustes de Usuario -> Avanzado).
-// 2. Ve a la configuración de tu servidor.
-// 3. Ve a "Roles".
-// 4. Haz clic derecho en el rol que quieres que sea administrador y selecciona "Copiar ID".
-const ADMIN_DISCORD_ROLE_IDS = [
-    '1397175186935255091', // Reemplaza con el ID real de tu primer rol de administrador
-    // Por ejemplo: '123456789012345678', '987654321098765432'
-    // Puedes añadir más IDs de rol si tienes varios roles de administrador.
-];
-
-// Validación para asegurar que ADMIN_DISCORD_ROLE_IDS no esté vacío en producción
-if (process.env.NODE_ENV === 'production' && ADMIN_DISCORD_ROLE_IDS.some(id => id.includes('1397175186935255091'))) {
-    console.error('1397175186935255091');
-    // Considera una acción más drástica aquí en producción si esto es crítico (ej. process.exit(1))
-}
+// Los IDs de los roles de administrador y los permisos de cada rol se configuran en services/permissions.js.
+const { PERMISSIONS, BID_REQUIRED_ROLE_IDS, getEffectivePermissions } = require('../services/permissions');
 
 const authenticateToken = (req, res, next) => {
+    // server.js ya lo aplica a todas las rutas: si se repite en una ruta, no se vuelve a verificar el token
+    // ni a consultar la lista de revocación (req.user ya es el usuario o null)
+    if (req.user !== undefined) {
+        return next();
+    }
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -33,33 +21,100 @@ const authenticateToken = (req, res, next) => {
         return next();
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
         if (err) {
             console.error('JWT Verification Error in middleware:', err.message);
             req.user = null; // Token inválido
             return next();
         }
+        // Un token revocado (cierre de sesión o baneo) se trata como si no hubiera token.
+        // Si no se puede consultar la lista de revocación, se rechaza el token por seguridad.
+        try {
+            if (await isTokenRevoked(user)) {
+                console.warn(`Token revocado usado por ${user.username} (ID: ${user.id}).`);
+                req.user = null;
+                return next();
+            }
+        } catch (error) {
+            console.error('Error consultando la lista de revocación:', error.message);
+            req.user = null;
+            return next();
+        }
         // Adjunta el payload decodificado (que ahora incluye 'isAdmin' y 'guildRoles' del server.js)
         req.user = user;
         next();
     });
 };
 
-const authorizeAdmin = (req, res, next) => {
-    // req.user.guildRoles contiene los IDs de rol del usuario en el gremio,
-    // obtenidos y añadidos al JWT por server.js.
-    // Verificamos si alguno de esos roles está en nuestra lista de roles de administrador.
-    if (req.user && req.user.guildRoles && Array.isArray(req.user.guildRoles) &&
-        req.user.guildRoles.some(roleId => ADMIN_DISCORD_ROLE_IDS.includes(roleId))) {
-        next(); // El usuario tiene un rol de administrador, permite el acceso.
-    } else {
-        console.warn(`Acceso denegado: Usuario ${req.user ? req.user.username : 'Desconocido'} (ID: ${req.user ? req.user.id : 'Desconocido'}) intentó acceder a ruta de admin sin el rol requerido.`);
-        return res.status(403).json({ message: 'Acceso denegado. No tienes permisos de administrador.' });
+// Middleware de Socket.IO: verifica en el handshake el mismo JWT que authenticateToken.
+// El cliente lo envía en `auth: { token }` (no se acepta en la query: acabaría en los logs de los proxies).
+// Sin token, el socket se acepta como invitado (solo puede seguir salas públicas de subastas); con un token
+// inválido o caducado la conexión se rechaza.
+const authenticateSocket = (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+
+    if (!token) {
+        socket.data.user = null;
+        return next();
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+        if (err) {
+            console.error('JWT Verification Error in socket handshake:', err.message);
+            return next(new Error('Token inválido o caducado.'));
+        }
+        try {
+            if (await isTokenRevoked(user)) {
+                return next(new Error('Token revocado.'));
+            }
+        } catch (error) {
+            console.error('Error consultando la lista de revocación:', error.message);
+            return next(new Error('No se pudo verificar el token.'));
+        }
+        socket.data.user = user;
+        next();
+    });
+};
+
+// Exige una sesión iniciada, sin ningún permiso concreto (rutas de cualquier jugador: sus entregas,
+// sus imágenes, sus propuestas de subasta).
+// Uso: router.get('/mine', authenticateToken, requireUser, handler)
+const requireUser = (req, res, next) => {
+    if (!req.user || !req.user.id) {
+        return res.status(401).json({ message: 'Debes iniciar sesión para realizar esta acción.' });
+    }
+    next();
+};
+
+// Exige que el usuario tenga TODOS los permisos indicados (ver PERMISSIONS en services/permissions.js).
+// Deja los permisos efectivos en req.permissions para que la ruta pueda consultarlos.
+// Uso: router.post('/', authenticateToken, requirePermission(PERMISSIONS.CREATE_AUCTIONS), handler)
+const requirePermission = (...required) => async (req, res, next) => {
+    if (!req.user || !req.user.id) {
+        return res.status(401).json({ message: 'Debes iniciar sesión para realizar esta acción.' });
+    }
+    try {
+        req.permissions = await getEffectivePermissions(req.user);
+    } catch (error) {
+        console.error('Error calculando los permisos del usuario:', error);
+        return res.status(500).json({ message: 'Error al comprobar tus permisos.' });
+    }
+
+    const missing = required.filter(permission => !req.permissions.includes(permission));
+    if (missing.length === 0) {
+        return next();
+    }
+    console.warn(`Acceso denegado: Usuario ${req.user.username} (ID: ${req.user.id}) no tiene los permisos: ${missing.join(', ')}.`);
+    if (missing.includes(PERMISSIONS.PLACE_BIDS) && BID_REQUIRED_ROLE_IDS.length > 0) {
+        return res.status(403).json({ message: 'Necesitas el rol de Discord de pujador verificado para pujar.' });
     }
+    return res.status(403).json({ message: 'Acceso denegado. No tienes permiso para realizar esta acción.', missingPermissions: missing });
 };
 
 module.exports = {
     authenticateToken,
-    authorizeAdmin,
-    ADMIN_DISCORD_ROLE_IDS // Exportamos esto para que server.js pueda usarlo
+    authenticateSocket,
+    requireUser,
+    requirePermission,
+    PERMISSIONS
 };
@@ -0,0 +1,75 @@
+// models/AbuseFlag.js
+const mongoose = require('mongoose');
+
+// Tipos de comportamiento sospechoso que detecta services/abuseDetection.js
+const ABUSE_FLAG_KINDS = [
+    'self_bidding', // El creador o vendedor puja en su propia subasta
+    'bid_ring', // Dos cuentas que se suben la puja una a otra repetidamente
+    'non_paying_winner' // Ganador que no paga y pierde la subasta
+];
+
+// Avisos de posible abuso para que los revise un admin. Mientras un aviso está abierto, las nuevas
+// pruebas del mismo caso (dedupeKey) se añaden a él en lugar de abrir otro.
+const AbuseFlagSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ABUSE_FLAG_KINDS,
+        required: true
+    },
+    dedupeKey: {
+        type: String,
+        required: true
+    },
+    discordIds: { // Jugadores implicados
+        type: [String],
+        default: []
+    },
+    auctionIds: { // Subastas en las que se ha observado
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'Auction',
+        default: []
+    },
+    details: { // Datos del detector (nombres, recuentos...)
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['open', 'dismissed', 'confirmed'],
+        default: 'open'
+    },
+    reviewNote: {
+        type: String,
+        default: null
+    },
+    reviewedById: {
+        type: String,
+        default: null
+    },
+    reviewedByName: {
+        type: String,
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: { // Última vez que el detector encontró pruebas
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Como mucho un aviso abierto por caso, aunque dos detecciones lleguen a la vez (ver raiseFlag)
+AbuseFlagSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+AbuseFlagSchema.index({ status: 1, createdAt: -1 });
+AbuseFlagSchema.index({ discordIds: 1 });
+
+const AbuseFlag = mongoose.model('AbuseFlag', AbuseFlagSchema);
+AbuseFlag.KINDS = ABUSE_FLAG_KINDS;
+
+module.exports = AbuseFlag;
@@ -1,5 +1,20 @@
 // models/Auction.js
 const mongoose = require('mongoose');
+const { getNextMinimumBid, resolveValidBids } = require('../services/bidding');
+const { AUCTION_TYPES, SEALED_PRICING, resolveSealedBids } = require('../services/auctionTypes');
+
+// Esquema para las imágenes subidas al backend (GridFS); url es la dirección estable /api/images/:id
+const auctionImageSchema = new mongoose.Schema({
+    imageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuctionImage',
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
 
 // Esquema para el historial de pujas
 const bidSchema = new mongoose.Schema({
@@ -19,9 +34,192 @@ const bidSchema = new mongoose.Schema({
     timestamp: {
         type: Date,
         default: Date.now
+    },
+    // Puja anulada por un admin (fraude o error): se conserva en el historial pero no cuenta
+    voidedAt: {
+        type: Date,
+        default: null
+    },
+    voidReason: {
+        type: String,
+        default: null
+    },
+    voidedById: { // ID de Discord del admin que la anuló
+        type: String,
+        default: null
+    },
+    voidedByName: {
+        type: String,
+        default: null
+    }
+});
+
+// Esquema para las pujas máximas (puja automática / proxy) de cada pujador.
+// Son SECRETAS: nunca deben enviarse al frontend ni por Socket.IO.
+const proxyBidSchema = new mongoose.Schema({
+    bidderId: {
+        type: String, // ID de Discord del pujador
+        required: true
+    },
+    bidderName: {
+        type: String, // Nombre de Discord del pujador
+        required: true
+    },
+    maxAmount: { // Cantidad máxima que el pujador está dispuesto a pagar
+        type: Number,
+        required: true,
+        min: 0
+    },
+    createdAt: { // Se usa para desempatar: gana quien fijó ese máximo primero
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Esquema para las pujas de una subasta de puja sellada (una por pujador, modificable hasta el cierre).
+// Son SECRETAS hasta que la subasta finaliza: entonces se copian a bidHistory.
+const sealedBidSchema = new mongoose.Schema({
+    bidderId: {
+        type: String,
+        required: true
+    },
+    bidderName: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: { // Se usa para desempatar: gana quien fijó esa cantidad primero
+        type: Date,
+        default: Date.now
     }
 });
 
+// Estados de la entrega de una subasta finalizada con ganador (ver services/fulfillment.js)
+const FULFILLMENT_STATUSES = ['awaiting_payment', 'paid', 'scheduled', 'delivered', 'disputed', 'forfeited'];
+
+// Esquema para un cambio de estado de la entrega
+const fulfillmentEventSchema = new mongoose.Schema({
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    note: { type: String, default: null },
+    actorId: { type: String, required: true }, // 'system' para los cambios automáticos
+    actorName: { type: String, default: null },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Esquema para la oferta al siguiente pujador cuando el ganador pierde la subasta (forfeited)
+const runnerUpOfferSchema = new mongoose.Schema({
+    bidderId: { type: String, required: true },
+    bidderName: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 }, // Su puja más alta en bidHistory
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    status: { type: String, enum: ['pending', 'accepted', 'declined', 'expired'], default: 'pending' },
+    respondedAt: { type: Date, default: null }
+}, { _id: false });
+
+// Esquema de la entrega en el juego. Es PRIVADO (coordenadas y horarios): solo lo ven el ganador y los admins.
+const fulfillmentSchema = new mongoose.Schema({
+    status: { type: String, enum: FULFILLMENT_STATUSES, required: true },
+    deliveryCoordinates: { type: String, default: null }, // Coordenadas o lugar de entrega en el mapa
+    deliveryAt: { type: Date, default: null }, // Fecha y hora acordada de entrega
+    acknowledgedAt: { type: Date, default: null }, // Último "enterado" del ganador
+    acknowledgedStatus: { type: String, default: null }, // Estado que el ganador confirmó haber visto
+    excludedBidderIds: { type: [String], default: [] }, // Ganadores anteriores y pujadores que rechazaron la oferta
+    offer: { type: runnerUpOfferSchema, default: null },
+    history: { type: [fulfillmentEventSchema], default: [] },
+    updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Estados de la revisión de una subasta propuesta por un jugador (ver routes/listings.js)
+const REVIEW_STATES = ['pending', 'changes_requested', 'approved', 'rejected'];
+// Estados que los jugadores no ven: GET /api/auctions/:id responde 404 y no se difunden por Socket.IO
+const HIDDEN_STATUSES = ['draft', 'pending_review', 'rejected', 'cancelled'];
+
+// Esquema para una decisión o un reenvío en la revisión
+const reviewEventSchema = new mongoose.Schema({
+    state: { type: String, enum: REVIEW_STATES, required: true },
+    reason: { type: String, default: null },
+    actorId: { type: String, required: true },
+    actorName: { type: String, default: null },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Esquema de la revisión de una subasta propuesta por un jugador. Las subastas de los admins no la tienen.
+const reviewSchema = new mongoose.Schema({
+    state: { type: String, enum: REVIEW_STATES, required: true },
+    reason: { type: String, default: null }, // Motivo del rechazo o cambios pedidos
+    reviewedById: { type: String, default: null },
+    reviewedByName: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    submittedAt: { type: Date, default: Date.now }, // Último envío (o reenvío tras pedir cambios)
+    history: { type: [reviewEventSchema], default: [] }
+}, { _id: false });
+
+// Esquema para un tramo de la regla de incremento escalonada
+const incrementTierSchema = new mongoose.Schema({
+    upTo: { // Se aplica mientras la puja actual sea menor que upTo; null = sin tope (último tramo)
+        type: Number,
+        default: null
+    },
+    increment: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// Estados de conservación de los objetos en DayZ
+const ITEM_CONDITIONS = ['Pristine', 'Worn', 'Damaged', 'Badly Damaged'];
+
+// Esquema para un lote de la subasta: un objeto del catálogo con su cantidad y estado.
+// Los datos del objeto se copian del catálogo al crear o editar la subasta.
+const lotItemSchema = new mongoose.Schema({
+    itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    className: {
+        type: String,
+        required: true
+    },
+    displayName: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String,
+        required: true
+    },
+    iconUrl: {
+        type: String,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    condition: {
+        type: String,
+        enum: ITEM_CONDITIONS,
+        default: 'Pristine'
+    }
+}, { _id: false });
+
 const AuctionSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -33,11 +231,19 @@ const AuctionSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
-    imageUrl: {
+    imageUrl: { // Portada: la primera de 'images' si se han subido, o una URL externa
         type: String,
-        default: 'https://cdn.discordapp.com/attachments/1225080795132072039/1397334415578890240/descargar.png?ex=68815895&is=68800715&hm=0d272bd18fb45d369c3fd7b7000e3140fc214da84e3f7cc678ff29641f964a1f&', // URL de imagen por defecto
+        default: 'https://via.placeholder.com/300x200?text=No+Image', // URL de imagen por defecto
         trim: true
     },
+    images: [auctionImageSchema], // Imágenes subidas al backend, en orden (ver services/images.js)
+    items: [lotItemSchema], // Objetos del catálogo que se subastan (ver models/Item.js)
+    category: { // Categoría principal (por defecto, la del primer objeto del lote), para filtrar en la búsqueda pública
+        type: String,
+        default: null,
+        trim: true,
+        lowercase: true
+    },
     startBid: {
         type: Number,
         required: true,
@@ -57,10 +263,101 @@ const AuctionSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    startDate: { // Fecha y hora de apertura; mientras sea futura la subasta está 'scheduled'
+        type: Date,
+        default: Date.now
+    },
     endDate: { // Fecha y hora de finalización de la subasta
         type: Date,
         required: true
     },
+    // --- Formato de la subasta (ver services/auctionTypes.js) ---
+    type: { // 'english' (ascendente), 'sealed' (puja sellada) o 'dutch' (holandesa, descendente)
+        type: String,
+        enum: AUCTION_TYPES,
+        default: 'english'
+    },
+    sealedPricing: { // Puja sellada: el ganador paga su puja ('first_price') o la segunda más alta ('second_price')
+        type: String,
+        enum: SEALED_PRICING,
+        default: 'first_price'
+    },
+    sealedBids: { // Pujas selladas ocultas; excluidas por defecto de las consultas (usar .select('+sealedBids'))
+        type: [sealedBidSchema],
+        select: false
+    },
+    sealedBidCount: { // Número de pujadores en una puja sellada (público, sin revelar cantidades)
+        type: Number,
+        default: 0
+    },
+    dutch: { // Subasta holandesa: currentBid es el precio actual, que baja hasta floorPrice
+        floorPrice: { type: Number, default: null, min: 0 },
+        decrementAmount: { type: Number, default: null, min: 0 },
+        intervalMinutes: { type: Number, default: null, min: 1 },
+        nextDropAt: { type: Date, default: null } // Próxima bajada de precio (la aplica la tarea programada)
+    },
+    // --- Incremento mínimo de puja ---
+    // fixed: +value Rublos; percentage: +value% de la puja actual; tiered: incremento según tramos
+    incrementRule: {
+        type: {
+            type: String,
+            enum: ['fixed', 'percentage', 'tiered'],
+            default: 'fixed'
+        },
+        value: {
+            type: Number,
+            default: 1,
+            min: 0
+        },
+        tiers: [incrementTierSchema]
+    },
+    // --- Precio de reserva y Cómpralo Ya ---
+    reservePrice: { // Precio mínimo oculto para vender; null = sin reserva. SOLO visible para admins (usar .select('+reservePrice'))
+        type: Number,
+        default: null,
+        min: 0,
+        select: false
+    },
+    hasReserve: { // Indica públicamente si hay reserva, sin revelar su importe
+        type: Boolean,
+        default: false
+    },
+    reserveMet: { // Si la puja actual alcanza la reserva (true si no hay reserva)
+        type: Boolean,
+        default: true
+    },
+    buyNowPrice: { // Precio de "Cómpralo Ya"; null = desactivado
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // --- Cierre suave (anti-sniping) ---
+    // Si una puja llega cuando quedan softCloseWindowMinutes o menos, endDate se amplía
+    // softCloseExtensionMinutes. Una ventana de 0 desactiva el cierre suave.
+    softCloseWindowMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    softCloseExtensionMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    maxExtensions: { // Límite de extensiones; null = sin límite
+        type: Number,
+        default: null,
+        min: 0
+    },
+    extensionCount: { // Número de veces que se ha extendido la subasta
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    originalEndDate: { // Fecha de finalización antes de cualquier extensión
+        type: Date,
+        default: null
+    },
     creatorId: { // ID de Discord del usuario que creó la subasta
         type: String,
         required: true
@@ -69,12 +366,26 @@ const AuctionSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    status: { // 'active', 'finalized', 'cancelled'
+    sellerId: { // ID de Discord del vendedor que cobra el precio final; null = la casa (subastas de admins)
+        type: String,
+        default: null
+    },
+    // 'pending_review' y 'rejected' solo las usan las subastas propuestas por jugadores; 'draft' es una
+    // copia o una subasta creada desde una plantilla que un admin aún no ha publicado
+    status: { // 'draft', 'pending_review', 'scheduled', 'active', 'finalized', 'cancelled', 'rejected'
         type: String,
-        enum: ['active', 'finalized', 'cancelled'],
+        enum: ['draft', 'pending_review', 'scheduled', 'active', 'finalized', 'cancelled', 'rejected'],
         default: 'active'
     },
+    review: { // Revisión de los admins (solo subastas propuestas por jugadores)
+        type: reviewSchema,
+        default: null
+    },
     bidHistory: [bidSchema], // Array de pujas para llevar un registro
+    proxyBids: { // Pujas máximas ocultas; excluidas por defecto de las consultas (usar .select('+proxyBids'))
+        type: [proxyBidSchema],
+        select: false
+    },
     winnerId: { // ID de Discord del ganador (si la subasta finaliza con pujas)
         type: String,
         default: null
@@ -87,18 +398,242 @@ const AuctionSchema = new mongoose.Schema({
         type: Number,
         default: null
     },
+    outcome: { // Resultado al finalizar: vendida, sin pujas, reserva no alcanzada o comprada con "Cómpralo Ya"
+        type: String,
+        enum: ['sold', 'no_bids', 'reserve_not_met', 'bought_now', null],
+        default: null
+    },
+    // Efectos de la finalización (cobro, entrega, avisos, reventa) pendientes desde esta fecha; se fija en la
+    // misma escritura que pasa la subasta a 'finalized' y se borra al completarlos. Si el proceso se cae entre
+    // medias, la tarea programada los vuelve a ejecutar (ver services/finalization.js).
+    finalizationPendingSince: {
+        type: Date,
+        default: null
+    },
+    finalizedManually: { // Finalizada por un admin antes de tiempo (cambia el aviso y desactiva la reventa)
+        type: Boolean,
+        default: false
+    },
+    // --- Entrega en el juego tras finalizar (solo subastas con ganador) ---
+    fulfillment: { // Excluida por defecto de las consultas (usar .select('+fulfillment'))
+        type: fulfillmentSchema,
+        default: null,
+        select: false
+    },
+    // --- Reventa automática, copias y plantillas (ver services/relisting.js) ---
+    // Si la subasta finaliza sin ganador, la tarea programada la vuelve a publicar hasta maxRelists veces,
+    // bajando la puja inicial startBidDecreasePercent % cada vez sin pasar de minStartBid.
+    relistPolicy: {
+        maxRelists: { type: Number, default: 0, min: 0 },
+        startBidDecreasePercent: { type: Number, default: 0, min: 0, max: 90 },
+        minStartBid: { type: Number, default: null, min: 0 } // null = sin mínimo
+    },
+    relistCount: { // Veces que se ha revendido el objeto hasta esta subasta (0 = la original)
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    relistOfId: { // Subasta sin ganador de la que esta es la reventa (como mucho una por subasta)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        default: null
+    },
+    clonedFromId: { // Subasta copiada por un admin para crear esta
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        default: null
+    },
+    templateId: { // Plantilla desde la que se creó
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuctionTemplate',
+        default: null
+    },
+    // --- Borrado lógico ---
+    // Las subastas eliminadas no se borran: se marcan con deletedAt y pueden restaurarse.
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedById: { // ID de Discord del admin que la eliminó
+        type: String,
+        default: null
+    },
+    deletedByName: {
+        type: String,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// Las consultas excluyen las subastas eliminadas salvo que el filtro mencione deletedAt
+// explícitamente (p. ej. { deletedAt: { $ne: null } } para listarlas o restaurarlas).
+function excludeDeleted() {
+    if (this.getFilter().deletedAt === undefined) {
+        this.where({ deletedAt: null });
+    }
+}
+AuctionSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], excludeDeleted);
+AuctionSchema.pre('aggregate', function() {
+    const firstStage = this.pipeline()[0];
+    if (!(firstStage && firstStage.$match && firstStage.$match.deletedAt !== undefined)) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+});
+
+// Índices para la búsqueda pública: texto en título y descripción, y los filtros y órdenes habituales
+AuctionSchema.index({ title: 'text', description: 'text' });
+AuctionSchema.index({ status: 1, endDate: 1 });
+AuctionSchema.index({ status: 1, category: 1, endDate: 1 });
+AuctionSchema.index({ 'items.className': 1 });
+// "Mis subastas" del vendedor y cola de revisión
+AuctionSchema.index({ sellerId: 1, createdAt: -1 });
+AuctionSchema.index({ status: 1, 'review.state': 1, 'review.submittedAt': 1 });
+// Finalizaciones con efectos pendientes
+AuctionSchema.index({ finalizationPendingSince: 1 }, { partialFilterExpression: { finalizationPendingSince: { $type: 'date' } } });
+// Una sola reventa por subasta, aunque dos finalizaciones lo intenten a la vez
+AuctionSchema.index({ relistOfId: 1 }, { unique: true, partialFilterExpression: { relistOfId: { $type: 'objectId' } } });
+
+// Las pujas máximas, las pujas selladas, el precio de reserva y la entrega nunca se serializan, aunque se
+// hayan cargado explícitamente. Las rutas de admin añaden reservePrice a mano (ver toAdminJSON) y la entrega
+// se devuelve con services/fulfillment.js.
+// Además se añade la siguiente puja mínima válida para que el frontend pueda rellenarla.
+function hideSecretFields(doc, ret) {
+    delete ret.proxyBids;
+    delete ret.sealedBids;
+    delete ret.reservePrice;
+    delete ret.fulfillment;
+    if (typeof ret.currentBid === 'number') {
+        ret.nextMinimumBid = getNextMinimumBid(ret);
+    }
+    return ret;
+}
+AuctionSchema.set('toJSON', { transform: hideSecretFields });
+AuctionSchema.set('toObject', { transform: hideSecretFields });
+
+// Representación para administradores: incluye el precio de reserva (si se cargó con '+reservePrice')
+AuctionSchema.methods.toAdminJSON = function() {
+    return { ...this.toJSON(), reservePrice: this.reservePrice };
+};
+
+// Campos internos que no se envían en las rutas públicas (la revisión solo la ven el vendedor y los admins)
+const ADMIN_ONLY_FIELDS = ['deletedAt', 'deletedById', 'deletedByName', 'review', 'finalizationPendingSince', 'finalizedManually', '__v'];
+
+// Representación pública: sin pujas máximas, reserva ni datos de borrado.
+// Con { summary: true } se sustituye el historial de pujas por su número (para listados).
+AuctionSchema.methods.toPublicJSON = function({ summary = false } = {}) {
+    const ret = this.toJSON();
+    for (const field of ADMIN_ONLY_FIELDS) {
+        delete ret[field];
+    }
+    if (summary) {
+        ret.bidCount = (ret.bidHistory || []).length;
+        delete ret.bidHistory;
+    }
+    return ret;
+};
+
+// Puja sellada: revela las pujas en bidHistory y deja como puja actual la del ganador al precio que
+// paga (la suya o la segunda más alta). Requiere que sealedBids se haya cargado ('+sealedBids').
+AuctionSchema.methods.revealSealedBids = function() {
+    if (!this.isSelected('sealedBids')) {
+        throw new Error('Para finalizar una puja sellada hay que cargar sus pujas (+sealedBids).');
+    }
+    const { revealedBids, winner, price } = resolveSealedBids(this.sealedBids, this);
+    this.bidHistory = revealedBids;
+    if (winner) {
+        this.currentBid = price;
+        this.currentBidderId = winner.bidderId;
+        this.currentBidderName = winner.bidderName;
+    }
+    return this;
+};
+
+// Marca la subasta como finalizada y fija ganador, precio final y resultado según la puja actual
+// y el precio de reserva. Requiere que reservePrice se haya cargado ('+reservePrice'), y en las
+// pujas selladas también sealedBids ('+sealedBids').
+AuctionSchema.methods.applyFinalResult = function() {
+    if (this.type === 'sealed' && this.status !== 'finalized') {
+        this.revealSealedBids();
+    }
+    this.status = 'finalized';
+    if (!this.currentBidderId) {
+        this.outcome = 'no_bids';
+    } else if (this.reservePrice !== null && this.reservePrice !== undefined && this.currentBid < this.reservePrice) {
+        this.outcome = 'reserve_not_met';
+    } else {
+        this.outcome = 'sold';
+    }
+    if (this.outcome === 'sold') {
+        this.winnerId = this.currentBidderId;
+        this.winnerName = this.currentBidderName;
+        this.finalPrice = this.currentBid;
+    } else {
+        this.winnerId = null;
+        this.winnerName = null;
+        this.finalPrice = null;
+    }
+    return this;
+};
+
+// Recalcula la puja actual y el líder a partir de las pujas de bidHistory que no están anuladas: en una
+// inglesa, junto con las pujas máximas que quedan (ver resolveValidBids); en una puja sellada finalizada, con
+// su regla de precio; en una holandesa, la más alta. Si la subasta ya había finalizado, recalcula también
+// ganador, precio final y resultado. Requiere '+reservePrice' y, en las inglesas, '+proxyBids'.
+AuctionSchema.methods.recomputeFromValidBids = function() {
+    const validBids = this.bidHistory.filter(bid => !bid.voidedAt);
+    let leader;
+    let price;
+    if (this.type === 'sealed' && this.status === 'finalized') {
+        ({ winner: leader, price } = resolveSealedBids(validBids, this));
+    } else if (this.type === 'english') {
+        if (!this.isSelected('proxyBids')) {
+            throw new Error('Para recalcular una subasta inglesa hay que cargar sus pujas máximas (+proxyBids).');
+        }
+        ({ leader, price } = resolveValidBids(this, validBids));
+    } else {
+        leader = [...validBids].sort((a, b) => (b.amount - a.amount) || (a.timestamp - b.timestamp))[0] || null;
+        // Sin pujas válidas vuelve al precio de salida (en la holandesa, al precio al que se aceptó)
+        price = leader ? leader.amount : (this.type === 'dutch' ? this.currentBid : this.startBid);
+    }
+    this.currentBid = price;
+    this.currentBidderId = leader ? leader.bidderId : null;
+    this.currentBidderName = leader ? leader.bidderName : null;
+
+    // "Cómpralo Ya" se mantiene si la puja anulada no era la compra
+    const keepsBuyNow = this.outcome === 'bought_now' && leader &&
+        leader.bidderId === this.winnerId && price === this.finalPrice;
+    if (this.status === 'finalized' && !keepsBuyNow) {
+        this.applyFinalResult();
+    }
+    return this;
+};
+
 // Middleware para asegurar que currentBid sea al menos startBid al crear una nueva subasta
+// y para recordar la fecha de finalización original (antes de extensiones por cierre suave)
 AuctionSchema.pre('save', function(next) {
     if (this.isNew && this.currentBid === 0) { // Solo si es un documento nuevo y currentBid es 0 (su default)
         this.currentBid = this.startBid;
     }
+    if (this.isNew && !this.originalEndDate) {
+        this.originalEndDate = this.endDate;
+    }
+    // Mantener los indicadores públicos de la reserva al día (solo si reservePrice está cargado)
+    if (this.isNew || this.isModified('reservePrice') || this.isModified('currentBid')) {
+        if (this.isSelected('reservePrice')) {
+            this.hasReserve = this.reservePrice !== null && this.reservePrice !== undefined;
+            this.reserveMet = !this.hasReserve || this.currentBid >= this.reservePrice;
+        }
+    }
     next();
 });
 
-module.exports = mongoose.model('Auction', AuctionSchema);
+const Auction = mongoose.model('Auction', AuctionSchema);
+Auction.ITEM_CONDITIONS = ITEM_CONDITIONS;
+Auction.FULFILLMENT_STATUSES = FULFILLMENT_STATUSES;
+Auction.REVIEW_STATES = REVIEW_STATES;
+Auction.HIDDEN_STATUSES = HIDDEN_STATUSES;
+
+module.exports = Auction;
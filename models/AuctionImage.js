@@ -0,0 +1,53 @@
+// models/AuctionImage.js
+const mongoose = require('mongoose');
+
+// Imagen subida al backend (ver services/images.js). Los bytes se guardan en GridFS (bucket 'auctionImages')
+// con el mismo _id; este documento guarda los datos para servirla y saber a qué subasta (o plantilla) pertenece.
+// Las imágenes que no llegan a usarse en ninguna subasta ni plantilla se borran solas pasado un tiempo.
+const AuctionImageSchema = new mongoose.Schema({
+    auctionId: { // Subasta que la usa (null mientras no se ha asignado a ninguna)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        default: null,
+        index: true
+    },
+    templateId: { // Plantilla de subasta que la usa (ver models/AuctionTemplate.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuctionTemplate',
+        default: null,
+        index: true
+    },
+    contentType: { // Tipo detectado a partir del contenido, no del que declara el cliente
+        type: String,
+        required: true
+    },
+    size: { // Bytes
+        type: Number,
+        required: true
+    },
+    sha256: { // Huella del contenido, usada como ETag
+        type: String,
+        required: true
+    },
+    originalName: {
+        type: String,
+        default: null
+    },
+    uploadedById: {
+        type: String,
+        required: true,
+        index: true
+    },
+    uploadedByName: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+AuctionImageSchema.index({ auctionId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AuctionImage', AuctionImageSchema);
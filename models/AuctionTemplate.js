@@ -0,0 +1,69 @@
+// models/AuctionTemplate.js
+const mongoose = require('mongoose');
+
+// Esquema para las imágenes de la plantilla (mismas que las de una subasta, ver models/Auction.js)
+const templateImageSchema = new mongoose.Schema({
+    imageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuctionImage',
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+// Plantilla de subasta para objetos que se subastan a menudo (ver services/templates.js): guarda los datos
+// de la subasta y su duración, y crea una subasta nueva con fechas nuevas en un clic.
+const AuctionTemplateSchema = new mongoose.Schema({
+    name: { // Nombre para los admins (p. ej. "Vehículo semanal")
+        type: String,
+        required: true,
+        trim: true
+    },
+    auctionInput: { // Datos de la subasta tal como se envían a POST /api/auctions (sin fechas ni imageIds)
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    durationHours: { // Duración de las subastas creadas desde la plantilla
+        type: Number,
+        required: true,
+        min: 0
+    },
+    images: [templateImageSchema],
+    useCount: { // Subastas creadas desde la plantilla
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    createdById: { // ID de Discord del admin que la creó
+        type: String,
+        required: true
+    },
+    createdByName: {
+        type: String,
+        default: null
+    },
+    updatedById: {
+        type: String,
+        default: null
+    },
+    updatedByName: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('AuctionTemplate', AuctionTemplateSchema);
@@ -0,0 +1,70 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Esquema para el cambio de un campo (valor anterior y nuevo)
+const fieldChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Registro de auditoría de las acciones de administración sobre subastas: quién hizo qué, cuándo
+// y qué campos cambiaron. Es de SOLO ANEXAR: las entradas no se modifican ni se borran.
+const AuditLogSchema = new mongoose.Schema({
+    // auction.create, auction.update, auction.bidAdjust, auction.delete, auction.restore, auction.finalize, auction.bidVoid,
+    // auction.clone, auction.publish, auction.relist,
+    // listing.submit, listing.resubmit, listing.approve, listing.reject, listing.requestChanges,
+    // fulfillment.<estado>, fulfillment.offer, fulfillment.offerAccepted, fulfillment.offerDeclined
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    auctionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        default: null,
+        index: true
+    },
+    auctionTitle: { // Título en el momento de la acción, para leer el registro sin cruzar datos
+        type: String,
+        default: null
+    },
+    actorId: { // ID de Discord de quien realizó la acción ('system' para procesos automáticos)
+        type: String,
+        required: true,
+        index: true
+    },
+    actorName: {
+        type: String,
+        default: null
+    },
+    changes: [fieldChangeSchema],
+    reason: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+// Impedir modificaciones y borrados: el registro es de solo anexar
+function rejectAuditMutation(next) {
+    next(new Error('El registro de auditoría es de solo anexar.'));
+}
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectAuditMutation);
+AuditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectAuditMutation(next);
+    }
+    next();
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,62 @@
+// models/BidSanction.js
+const mongoose = require('mongoose');
+
+// Sanciones de los admins que impiden pujar (distintas del baneo de la web en User.bannedAt):
+//   - ban:    bloquea las pujas hasta expiresAt (null = indefinido)
+//   - strike: aviso; al acumular BID_STRIKE_LIMIT avisos vigentes se bloquean las pujas
+// No se borran: se levantan con liftedAt para conservar el historial del jugador.
+const BidSanctionSchema = new mongoose.Schema({
+    discordId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    username: { // Nombre del jugador al sancionarlo (solo informativo)
+        type: String,
+        default: null
+    },
+    kind: {
+        type: String,
+        enum: ['ban', 'strike'],
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    expiresAt: { // null = sin caducidad
+        type: Date,
+        default: null
+    },
+    flagId: { // Aviso de abuso que la originó, si lo hay
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AbuseFlag',
+        default: null
+    },
+    createdById: {
+        type: String,
+        required: true
+    },
+    createdByName: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    liftedAt: {
+        type: Date,
+        default: null
+    },
+    liftedById: {
+        type: String,
+        default: null
+    },
+    liftedByName: {
+        type: String,
+        default: null
+    }
+});
+
+module.exports = mongoose.model('BidSanction', BidSanctionSchema);
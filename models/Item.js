@@ -0,0 +1,53 @@
+// models/Item.js
+const mongoose = require('mongoose');
+
+// Categorías del catálogo de objetos de DayZ
+const ITEM_CATEGORIES = [
+    'weapons', 'attachments', 'ammunition', 'clothing', 'vehicles', 'vehicle_parts',
+    'base_building', 'medical', 'food', 'tools', 'other'
+];
+
+// Objeto del catálogo de DayZ que se puede subastar. Las subastas guardan una copia de los datos
+// del objeto en cada lote, así que editar o retirar un objeto no altera las subastas existentes.
+const ItemSchema = new mongoose.Schema({
+    className: { // Nombre de clase de DayZ (p. ej. 'M4A1', 'OffroadHatchback')
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    displayName: { // Nombre visible (p. ej. 'M4-A1')
+        type: String,
+        required: true,
+        trim: true
+    },
+    category: {
+        type: String,
+        enum: ITEM_CATEGORIES,
+        required: true
+    },
+    iconUrl: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    active: { // Los objetos retirados no se pueden usar en subastas nuevas
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ItemSchema.index({ category: 1, displayName: 1 });
+
+const Item = mongoose.model('Item', ItemSchema);
+Item.CATEGORIES = ITEM_CATEGORIES;
+
+module.exports = Item;
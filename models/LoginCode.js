@@ -0,0 +1,35 @@
+// models/LoginCode.js
+const mongoose = require('mongoose');
+
+// Códigos de un solo uso que el callback de Discord pone en la redirección al frontend. El frontend los
+// canjea con POST /auth/exchange por el par de tokens, que así nunca viajan en la URL (historial, logs,
+// cabecera Referer). Solo se guarda el hash SHA-256 del código y caduca en un minuto.
+const LoginCodeSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: { // Datos del usuario que van en el token de acceso (id, username, isAdmin, guildRoles...)
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Token OAuth de Discord del inicio de sesión, cifrado como en RefreshToken; pasa al token de refresco
+    // al canjear el código
+    discordAccessToken: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+LoginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginCode', LoginCodeSchema);
@@ -0,0 +1,66 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+// Bandeja de salida de notificaciones de Discord. Cada mensaje se guarda aquí antes de enviarse
+// y el worker de services/notifications.js lo entrega con reintentos.
+//   pending: pendiente de envío (o de reintento en nextAttemptAt)
+//   sending: reclamado por el worker (hasta lockedUntil)
+//   sent:    entregado
+//   dead:    descartado tras agotar los reintentos; un admin puede reenviarlo
+const NotificationSchema = new mongoose.Schema({
+    kind: { // Tipo de mensaje: 'newAuction', 'bidPlaced', 'auctionFinalized', 'buyNow'...
+        type: String,
+        required: true
+    },
+    payload: { // Cuerpo del webhook (content + embeds)
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    auctionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        default: null
+    },
+    channel: { // Canal de Discord: 'public' (anuncios) o 'moderation' (alertas para admins)
+        type: String,
+        enum: ['public', 'moderation'],
+        default: 'public'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'dead'],
+        default: 'pending',
+        index: true
+    },
+    attempts: { // Intentos fallidos (no cuenta las esperas por límite de velocidad de Discord)
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Notification', NotificationSchema);
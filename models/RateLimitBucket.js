@@ -0,0 +1,24 @@
+// models/RateLimitBucket.js
+const mongoose = require('mongoose');
+
+// Contador de peticiones de una ventana de tiempo fija para un usuario o una IP (ver middleware/antiAbuse.js).
+// Se guarda en la base de datos para que el límite sea el mismo aunque haya varias instancias del backend.
+// Los contadores caducan solos al terminar su ventana.
+const RateLimitBucketSchema = new mongoose.Schema({
+    _id: { // <límite>:<user|ip>:<id>:<inicio de la ventana en ms>
+        type: String,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+RateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBucket', RateLimitBucketSchema);
@@ -0,0 +1,54 @@
+// models/RefreshToken.js
+const mongoose = require('mongoose');
+
+// Tokens de refresco de sesión. Solo se guarda el hash SHA-256 del token, nunca el token en claro.
+// El token OAuth de Discord asociado se guarda cifrado con AES-256-GCM (ver services/tokens.js).
+// Cada uso lo rota: el token usado se revoca (replacedByHash apunta al nuevo). Si alguien vuelve
+// a usar un token ya rotado, se considera robado y se revocan todas las sesiones del usuario.
+const RefreshTokenSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    discordId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Token OAuth de Discord del inicio de sesión, cifrado (null sin TOKEN_ENCRYPTION_KEY). Solo se usa
+    // para volver a consultar los roles del usuario al refrescar si no hay DISCORD_BOT_TOKEN configurado.
+    discordAccessToken: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    },
+    replacedByHash: { // Hash del token que lo sustituyó al rotarlo
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// MongoDB borra automáticamente los tokens caducados
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
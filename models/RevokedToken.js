@@ -0,0 +1,43 @@
+// models/RevokedToken.js
+const mongoose = require('mongoose');
+
+// Lista de revocación que consulta authenticateToken en cada petición. Cada entrada revoca:
+//   - un token de acceso concreto (jti), p. ej. al cerrar sesión, o
+//   - todos los tokens de un usuario emitidos antes de revokedBefore (discordId), p. ej. al banearlo.
+// Las entradas caducan solas cuando los tokens afectados ya habrían expirado.
+const RevokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        default: null,
+        index: true
+    },
+    discordId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    revokedBefore: {
+        type: Date,
+        default: null
+    },
+    reason: {
+        type: String,
+        default: null
+    },
+    revokedById: { // Quién revocó ('self' si fue el propio usuario al cerrar sesión)
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
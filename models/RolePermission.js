@@ -0,0 +1,30 @@
+// models/RolePermission.js
+const mongoose = require('mongoose');
+
+// Permisos que concede un rol de Discord. Se suman a los definidos por configuración
+// (ADMIN_DISCORD_ROLE_IDS y ROLE_PERMISSIONS, ver services/permissions.js).
+const RolePermissionSchema = new mongoose.Schema({
+    roleId: { // ID del rol en el servidor de Discord
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: { // Nombre descriptivo del rol (solo informativo)
+        type: String,
+        default: null
+    },
+    permissions: {
+        type: [String],
+        default: []
+    },
+    updatedById: {
+        type: String,
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('RolePermission', RolePermissionSchema);
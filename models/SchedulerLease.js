@@ -0,0 +1,26 @@
+// models/SchedulerLease.js
+const mongoose = require('mongoose');
+
+// Arrendamiento de una tarea periódica: si hay varias instancias del backend, solo la que tiene el
+// arrendamiento vigente ejecuta la tarea. La renueva en cada vuelta; si la instancia cae, otra la
+// toma en cuanto caduca (expiresAt).
+const SchedulerLeaseSchema = new mongoose.Schema({
+    _id: { // Nombre de la tarea, p. ej. 'auction-scheduler'
+        type: String,
+        required: true
+    },
+    ownerId: { // Instancia que la tiene (host:pid:aleatorio)
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acquiredAt: { // Desde cuándo la tiene la instancia actual
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('SchedulerLease', SchedulerLeaseSchema);
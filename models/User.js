@@ -0,0 +1,55 @@
+// models/User.js
+const mongoose = require('mongoose');
+
+// Perfil persistente de un usuario de Discord. Se crea o actualiza en cada inicio de sesión
+// (ver la estrategia de Discord en server.js).
+const UserSchema = new mongoose.Schema({
+    discordId: { // ID de Discord del usuario
+        type: String,
+        required: true,
+        unique: true
+    },
+    username: { // Nombre de Discord
+        type: String,
+        required: true
+    },
+    discriminator: {
+        type: String,
+        default: null
+    },
+    avatar: { // Hash del avatar de Discord
+        type: String,
+        default: null
+    },
+    guildRoles: { // IDs de los roles del usuario en el servidor de Discord (último inicio de sesión o refresco)
+        type: [String],
+        default: []
+    },
+    isAdmin: {
+        type: Boolean,
+        default: false
+    },
+    firstSeenAt: { // Primer inicio de sesión
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: { // Último inicio de sesión o refresco de sesión
+        type: Date,
+        default: Date.now
+    },
+    // Baneo de la web: sus sesiones se revocan y no puede volver a iniciar sesión ni refrescarla
+    bannedAt: {
+        type: Date,
+        default: null
+    },
+    banReason: {
+        type: String,
+        default: null
+    },
+    bannedById: {
+        type: String,
+        default: null
+    }
+});
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,69 @@
+// models/Wallet.js
+const mongoose = require('mongoose');
+
+// Esquema para los fondos reservados (retenidos) por una puja en una subasta concreta.
+// Cada jugador tiene como mucho una retención por subasta.
+const holdSchema = new mongoose.Schema({
+    auctionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Monedero de Rublos de cada usuario de Discord.
+// balance es el saldo total; held es la parte retenida por pujas (suma de holds).
+// Saldo disponible para pujar = balance - held.
+const WalletSchema = new mongoose.Schema({
+    discordId: { // ID de Discord del propietario
+        type: String,
+        required: true,
+        unique: true
+    },
+    username: { // Último nombre de Discord conocido
+        type: String,
+        default: null
+    },
+    balance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    held: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    holds: [holdSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Saldo disponible (no retenido por pujas)
+WalletSchema.virtual('available').get(function() {
+    return this.balance - this.held;
+});
+
+WalletSchema.set('toJSON', { virtuals: true });
+WalletSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Wallet', WalletSchema);
@@ -0,0 +1,75 @@
+// models/WalletTransaction.js
+const mongoose = require('mongoose');
+
+// Libro de movimientos de los monederos. Es de SOLO ANEXAR: cada cambio de saldo o de
+// retención añade una entrada y ninguna se modifica ni se borra (ver hooks más abajo).
+const WalletTransactionSchema = new mongoose.Schema({
+    discordId: { // Monedero afectado
+        type: String,
+        required: true,
+        index: true
+    },
+    // credit/debit: ajustes manuales de un admin
+    // hold/release: reserva y liberación de fondos por pujas
+    // settle: cobro al ganador de una subasta; payout: ingreso al vendedor
+    // refund/reversal: devolución al ganador y retirada al vendedor cuando se anula un cobro
+    type: {
+        type: String,
+        enum: ['credit', 'debit', 'hold', 'release', 'settle', 'payout', 'refund', 'reversal'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    balanceAfter: { // Saldo total tras el movimiento
+        type: Number,
+        required: true
+    },
+    heldAfter: { // Total retenido tras el movimiento
+        type: Number,
+        required: true
+    },
+    auctionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        default: null
+    },
+    counterpartyId: { // Otro monedero implicado (vendedor/ganador) o 'house' para la casa
+        type: String,
+        default: null
+    },
+    reason: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    actorId: { // Quién originó el movimiento (admin, jugador o 'system')
+        type: String,
+        default: 'system'
+    },
+    actorName: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+// Impedir modificaciones y borrados: el libro es de solo anexar
+function rejectLedgerMutation(next) {
+    next(new Error('El libro de movimientos de monederos es de solo anexar.'));
+}
+WalletTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectLedgerMutation);
+WalletTransactionSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectLedgerMutation(next);
+    }
+    next();
+});
+
+module.exports = mongoose.model('WalletTransaction', WalletTransactionSchema);
@@ -1,15 +1,53 @@
 // routes/auctions.js
 const express = require('express');
+const mongoose = require('mongoose');
 const Auction = require('../models/Auction'); // Importa tu modelo de subasta
-const axios = require('axios'); // Necesario para enviar webhooks a Discord
+const { parseIncrementRule } = require('../services/bidding'); // Reglas de incremento de puja
+const { setHold, releaseHold, releaseAuctionHolds, settleAuction, refundSettlement } = require('../services/wallet'); // Monederos de Rublos
+const { restartFulfillment } = require('../services/fulfillment'); // Entrega en el juego tras finalizar
+const { finalizeAuction, completeFinalization } = require('../services/finalization'); // Finalización única de subastas
+const { placeBid } = require('../services/bidPlacement'); // Pujas (también desde Discord)
+const { notifyNewAuction, notifyBidVoided } = require('../services/notifications'); // Avisos de Discord con reintentos
+const realtime = require('../services/realtime'); // Eventos de Socket.IO por salas
+const { snapshotAuction, recordAuctionAudit, isBidAdjustment } = require('../services/audit'); // Registro de auditoría
+const { parseBrowseQuery, findPage } = require('../services/auctionSearch'); // Búsqueda pública con paginación por cursor
+const { resolveLotItems } = require('../services/catalog'); // Lotes de objetos del catálogo de DayZ
+const { parseAuctionTypeSettings, getFirstDutchDropAt } = require('../services/auctionTypes'); // Puja sellada y holandesa
+const { parseSoftCloseSettings, parsePricingSettings, validatePricing, parseRelistPolicy, parseAuctionDates, parseNewAuctionInput } = require('../services/auctionInput'); // Validación de los datos de una subasta
+const { inspectBid } = require('../services/abuseDetection'); // Detector de pujas sospechosas
+const { resolveAuctionImages, syncAuctionImages, PLACEHOLDER_IMAGE_URL } = require('../services/images'); // Imágenes subidas al backend
+const { cloneAuction } = require('../services/relisting'); // Copias y reventas de subastas
+const { getEffectivePermissions } = require('../services/permissions');
 
 // --- IMPORTANTE: Asegúrate de que estos middlewares existan y se exporten desde '../middleware/auth' ---
-// Se asume que authenticateToken adjunta req.user y authorizeAdmin verifica si req.user es admin.
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
-
-// Asegúrate de que estas variables de entorno estén accesibles en tu entorno de ejecución (Render).
-const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
-const FRONTEND_URL = process.env.FRONTEND_URL || 'https://guerramundialz.github.io'; // ¡Tu URL de GitHub Pages!
+// Se asume que authenticateToken adjunta req.user y requirePermission verifica los permisos de sus roles.
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+const { bidRateLimit, blockSanctionedBidders } = require('../middleware/antiAbuse'); // Límites de pujas y sanciones
+
+// Estados que se pueden fijar editando la subasta (PUT). Los demás cambios tienen su propio flujo, con sus
+// comprobaciones y su entrada de auditoría: aprobar o rechazar propuestas, publicar borradores y finalizar.
+const EDITABLE_STATUSES = ['scheduled', 'active', 'cancelled'];
+
+// Comprueba un cambio de estado pedido con PUT. Devuelve un mensaje de error o null.
+function getStatusChangeError(currentStatus, newStatus) {
+    if (newStatus === currentStatus) return null;
+    if (currentStatus === 'pending_review' || currentStatus === 'rejected') {
+        return 'Las propuestas de jugadores se aprueban o rechazan con POST /api/listings/:id/approve o /reject.';
+    }
+    if (currentStatus === 'draft') {
+        return 'Los borradores se publican con POST /api/auctions/:id/publish.';
+    }
+    if (newStatus === 'finalized') {
+        return 'Para finalizar una subasta usa POST /api/auctions/:id/finalize.';
+    }
+    if (currentStatus === 'finalized') {
+        return 'No se puede cambiar el estado de una subasta finalizada.';
+    }
+    if (!EDITABLE_STATUSES.includes(newStatus)) {
+        return `El estado solo puede cambiarse a: ${EDITABLE_STATUSES.join(', ')}.`;
+    }
+    return null;
+}
 
 // Exportar una función que reciba la instancia de io
 module.exports = (io) => {
@@ -17,10 +55,12 @@ module.exports = (io) => {
 
     // 1. GET /api/auctions - Obtener TODAS las subastas (para el panel de administración)
     // Esta ruta ahora está protegida para administradores y devuelve todas las subastas (activas, finalizadas, canceladas).
-    router.get('/', authenticateToken, authorizeAdmin, async (req, res) => {
+    // Con ?deleted=true devuelve en su lugar las subastas eliminadas (para restaurarlas).
+    router.get('/', authenticateToken, requirePermission(PERMISSIONS.EDIT_AUCTIONS), async (req, res) => {
         try {
-            const auctions = await Auction.find().sort({ endDate: 1 });
-            res.json(auctions);
+            const filter = req.query.deleted === 'true' ? { deletedAt: { $ne: null } } : {};
+            const auctions = await Auction.find(filter).select('+reservePrice').sort({ endDate: 1 });
+            res.json(auctions.map(auction => auction.toAdminJSON()));
         } catch (error) {
             console.error('Error fetching all auctions for admin:', error);
             res.status(500).json({ message: 'Error al obtener las subastas para administración.' });
@@ -33,22 +73,96 @@ module.exports = (io) => {
         try {
             // Busca subastas activas cuya fecha de finalización sea mayor que la actual
             const auctions = await Auction.find({ status: 'active', endDate: { $gt: new Date() } }).sort({ endDate: 1 });
-            res.json(auctions);
+            res.json(auctions.map(auction => auction.toPublicJSON()));
         } catch (error) {
             console.error('Error fetching active auctions:', error);
             res.status(500).json({ message: 'Error al obtener las subastas activas.' });
         }
     });
 
-    // 3. GET /api/auctions/:id - Obtener una subasta específica por ID (para edición en admin)
-    // Protegida para administradores
-    router.get('/:id', authenticateToken, authorizeAdmin, async (req, res) => {
+    // 2b. GET /api/auctions/upcoming - Subastas programadas que aún no han empezado (pública)
+    router.get('/upcoming', async (req, res) => {
         try {
-            const auction = await Auction.findById(req.params.id);
-            if (!auction) {
+            const auctions = await Auction.find({ status: 'scheduled' }).sort({ startDate: 1 });
+            res.json(auctions.map(auction => auction.toPublicJSON()));
+        } catch (error) {
+            console.error('Error fetching upcoming auctions:', error);
+            res.status(500).json({ message: 'Error al obtener las próximas subastas.' });
+        }
+    });
+
+    // 2c. GET /api/auctions/browse - Búsqueda pública de subastas con paginación por cursor
+    // Parámetros: ?q= (texto en título y descripción), ?status=active,finalized,scheduled (por defecto active),
+    // ?category=, ?item= (nombre de clase de DayZ de un objeto del lote), ?type=english|sealed|dutch,
+    // ?minPrice=, ?maxPrice=, ?endFrom=, ?endTo= (fechas ISO), ?sort=ending_soon|ending_latest|newest|oldest|
+    // price_asc|price_desc, ?limit=N y ?cursor= (el nextCursor de la página anterior).
+    router.get('/browse', async (req, res) => {
+        const query = parseBrowseQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ message: query.error });
+        }
+        try {
+            const page = await findPage(Auction, query);
+            res.json({
+                auctions: page.items.map(auction => auction.toPublicJSON({ summary: true })),
+                nextCursor: page.nextCursor
+            });
+        } catch (error) {
+            console.error('Error browsing auctions:', error);
+            res.status(500).json({ message: 'Error al buscar subastas.' });
+        }
+    });
+
+    // 2d. GET /api/auctions/recently-sold - Subastas vendidas recientemente y su precio final (pública)
+    // Acepta los mismos filtros que /browse (salvo status); por defecto, las más recientes primero.
+    router.get('/recently-sold', async (req, res) => {
+        const query = parseBrowseQuery({ ...req.query, status: 'finalized' }, { sort: 'ending_latest' });
+        if (query.error) {
+            return res.status(400).json({ message: query.error });
+        }
+        query.filter.$and.push({ outcome: { $in: ['sold', 'bought_now'] } });
+        try {
+            const page = await findPage(Auction, query);
+            res.json({
+                sales: page.items.map(auction => ({
+                    auctionId: auction._id,
+                    title: auction.title,
+                    imageUrl: auction.imageUrl,
+                    category: auction.category,
+                    startBid: auction.startBid,
+                    finalPrice: auction.finalPrice,
+                    outcome: auction.outcome,
+                    winnerName: auction.winnerName,
+                    bidCount: auction.bidHistory.length,
+                    endDate: auction.endDate
+                })),
+                nextCursor: page.nextCursor
+            });
+        } catch (error) {
+            console.error('Error fetching recently sold auctions:', error);
+            res.status(500).json({ message: 'Error al obtener las subastas vendidas recientemente.' });
+        }
+    });
+
+    // 3. GET /api/auctions/:id - Obtener una subasta específica por ID, con su historial de pujas
+    // Pública: cualquiera puede ver una subasta programada, activa o finalizada. Quien puede editar
+    // subastas recibe además los campos de administración (reserva) y también ve las canceladas, los
+    // borradores y las propuestas de jugadores sin aprobar; el vendedor ve las suyas igual que un admin.
+    router.get('/:id', authenticateToken, async (req, res) => {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Subasta no encontrada.' });
+        }
+        try {
+            const permissions = await getEffectivePermissions(req.user);
+            const isEditor = permissions.includes(PERMISSIONS.EDIT_AUCTIONS);
+
+            const auction = await Auction.findById(req.params.id).select('+reservePrice');
+            const isSeller = Boolean(auction && req.user && auction.sellerId === req.user.id);
+            const isHidden = auction && Auction.HIDDEN_STATUSES.includes(auction.status);
+            if (!auction || (isHidden && !isEditor && !isSeller)) {
                 return res.status(404).json({ message: 'Subasta no encontrada.' });
             }
-            res.json(auction);
+            res.json(isEditor || isSeller ? auction.toAdminJSON() : auction.toPublicJSON());
         } catch (error) {
             console.error('Error fetching single auction:', error);
             res.status(500).json({ message: 'Error al obtener la subasta.' });
@@ -57,57 +171,35 @@ module.exports = (io) => {
 
     // 4. POST /api/auctions - Crear una nueva subasta (Solo administradores)
     // La ruta es ahora '/', consistente con el frontend del panel de administración
-    router.post('/', authenticateToken, authorizeAdmin, async (req, res) => {
-        const { title, description, imageUrl, startBid, endDate } = req.body;
-
-        if (!title || !description || !startBid || !endDate) {
-            return res.status(400).json({ message: 'Todos los campos son obligatorios.' });
-        }
-        const parsedEndDate = new Date(endDate);
-        if (isNaN(parsedEndDate.getTime()) || parsedEndDate <= new Date()) {
-            return res.status(400).json({ message: 'La fecha de finalización debe ser una fecha futura válida.' });
-        }
-        if (startBid < 0) {
-            return res.status(400).json({ message: 'La puja inicial no puede ser negativa.' });
-        }
-
+    router.post('/', authenticateToken, requirePermission(PERMISSIONS.CREATE_AUCTIONS), async (req, res) => {
         try {
+            // Los admins pueden usar imágenes subidas por cualquiera (p. ej. las de una propuesta)
+            const input = await parseNewAuctionInput(req.body || {}, { user: req.user, canUseAnyImage: true });
+            if (input.error) {
+                return res.status(400).json({ message: input.error });
+            }
+
             const newAuction = new Auction({
-                title,
-                description,
-                imageUrl: imageUrl || 'https://via.placeholder.com/300x200?text=No+Image', // Usar imagen por defecto si no se proporciona
-                startBid: parseFloat(startBid),
-                currentBid: parseFloat(startBid), // La puja actual empieza con la puja inicial
-                endDate: parsedEndDate,
+                ...input.fields,
                 creatorId: req.user.id,
                 creatorName: req.user.username,
-                status: 'active' // Asegurarse de que el estado inicial sea activo
+                status: input.isScheduled ? 'scheduled' : 'active' // Activa ya, o programada hasta startDate
             });
 
             await newAuction.save();
+            await syncAuctionImages(newAuction);
+
+            await recordAuctionAudit({ action: 'auction.create', auction: newAuction, actor: req.user, after: snapshotAuction(newAuction) });
 
-            if (DISCORD_WEBHOOK_URL) {
-                axios.post(DISCORD_WEBHOOK_URL, {
-                    content: `🚨 ¡Nueva subasta creada por **${newAuction.creatorName}**! **${newAuction.title}** con puja inicial de **${newAuction.startBid} Rublos**. Finaliza el <t:${Math.floor(newAuction.endDate.getTime() / 1000)}:F>. ¡Puja ahora en la web!`,
-                    embeds: [{
-                        title: newAuction.title,
-                        description: newAuction.description,
-                        url: `${FRONTEND_URL}/subastas.html`, // URL CORRECTA
-                        color: 15158332, // Un color vibrante para Discord
-                        image: { url: newAuction.imageUrl },
-                        fields: [
-                            { name: "Puja Inicial", value: `${newAuction.startBid} Rublos`, inline: true },
-                            { name: "Finaliza", value: `<t:${Math.floor(newAuction.endDate.getTime() / 1000)}:R>`, inline: true }
-                        ],
-                        footer: { text: `Creada por ${newAuction.creatorName} | ID: ${newAuction._id}` }
-                    }]
-                }).catch(err => console.error("Error enviando webhook de Discord para nueva subasta:", err.message));
-            }
-
-            // Emitir evento de Socket.IO cuando se crea una nueva subasta
-            io.emit('auctionUpdated', newAuction);
-
-            res.status(201).json(newAuction);
+            // Las subastas programadas se anuncian cuando se activan (ver services/scheduler.js)
+            if (newAuction.status === 'active') {
+                notifyNewAuction(newAuction);
+
+                // Emitir evento de Socket.IO cuando se crea una nueva subasta
+                realtime.emitAuctionUpdated(io, newAuction);
+            }
+
+            res.status(201).json(newAuction.toAdminJSON());
         } catch (error) {
             console.error('Error creating auction:', error);
             res.status(500).json({ message: 'Error al crear la subasta.' });
@@ -115,20 +207,48 @@ module.exports = (io) => {
     });
 
     // 5. PUT /api/auctions/:id - Actualizar una subasta existente (Solo administradores)
-    router.put('/:id', authenticateToken, authorizeAdmin, async (req, res) => {
+    router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.EDIT_AUCTIONS), async (req, res) => {
         const { id } = req.params;
-        const { title, description, imageUrl, startBid, endDate, currentBid, currentBidderId, currentBidderName, status } = req.body;
+        const body = req.body || {};
+        const { title, description, imageUrl, category, startBid, startDate, endDate, status } = body;
 
         try {
-            const auction = await Auction.findById(id);
+            const auction = await Auction.findById(id).select('+reservePrice');
             if (!auction) {
                 return res.status(404).json({ message: 'Subasta no encontrada para actualizar.' });
             }
+            const before = snapshotAuction(auction);
+            const previousImages = auction.images.map(image => image.toObject());
 
             // Actualizar campos si se proporcionan
             if (title !== undefined) auction.title = title;
             if (description !== undefined) auction.description = description;
-            if (imageUrl !== undefined) auction.imageUrl = imageUrl || 'https://via.placeholder.com/300x200?text=No+Image';
+            if (imageUrl !== undefined) auction.imageUrl = imageUrl || PLACEHOLDER_IMAGE_URL;
+            // Imágenes subidas (imageIds sustituye la lista; las que se quitan se borran al guardar)
+            if (body.imageIds !== undefined) {
+                const resolved = await resolveAuctionImages(body.imageIds, { user: req.user, canUseAnyImage: true, auctionId: auction._id });
+                if (resolved.error) {
+                    return res.status(400).json({ message: resolved.error });
+                }
+                auction.images = resolved.images;
+                if (imageUrl === undefined) {
+                    // La portada pasa a ser la primera imagen; si se quitan todas, la imagen por defecto
+                    if (resolved.images.length > 0) {
+                        auction.imageUrl = resolved.images[0].url;
+                    } else if (previousImages.some(image => image.url === auction.imageUrl)) {
+                        auction.imageUrl = PLACEHOLDER_IMAGE_URL;
+                    }
+                }
+            }
+            if (category !== undefined) auction.category = category || null;
+            if (body.items !== undefined) {
+                const lot = await resolveLotItems(body.items);
+                if (lot.error) {
+                    return res.status(400).json({ message: lot.error });
+                }
+                auction.items = lot.items;
+                if (category === undefined) auction.category = lot.items[0].category;
+            }
             if (startBid !== undefined) auction.startBid = parseFloat(startBid);
             if (endDate !== undefined) {
                 const parsedEndDate = new Date(endDate);
@@ -137,11 +257,82 @@ module.exports = (io) => {
                 }
                 auction.endDate = parsedEndDate;
             }
-            // Permitir que el admin pueda ajustar la puja actual y el pujador si es necesario
-            if (currentBid !== undefined) auction.currentBid = parseFloat(currentBid);
-            if (currentBidderId !== undefined) auction.currentBidderId = currentBidderId;
-            if (currentBidderName !== undefined) auction.currentBidderName = currentBidderName;
-            if (status !== undefined) auction.status = status; // Permitir cambiar el estado
+            if (startDate !== undefined) {
+                const parsedStartDate = startDate ? new Date(startDate) : new Date();
+                if (isNaN(parsedStartDate.getTime())) {
+                    return res.status(400).json({ message: 'La fecha de inicio no es válida.' });
+                }
+                auction.startDate = parsedStartDate;
+            }
+            // La puja actual y el pujador no se editan a mano: saltarían las retenciones de los monederos.
+            // Una puja indebida se anula con POST /api/auctions/:id/bids/:bidId/void, que recalcula el líder.
+            if (['currentBid', 'currentBidderId', 'currentBidderName'].some(field => body[field] !== undefined)) {
+                return res.status(400).json({ message: 'La puja actual no se puede editar. Para quitar una puja, anúlala con POST /api/auctions/:id/bids/:bidId/void.' });
+            }
+            if (status !== undefined) {
+                const statusError = getStatusChangeError(auction.status, status);
+                if (statusError) {
+                    return res.status(400).json({ message: statusError });
+                }
+                auction.status = status; // Permitir cambiar el estado (activa, programada o cancelada)
+            }
+
+            // Configuración de cierre suave (anti-sniping)
+            const softClose = parseSoftCloseSettings(body);
+            if (softClose.error) {
+                return res.status(400).json({ message: softClose.error });
+            }
+            Object.assign(auction, softClose.settings);
+
+            // Precio de reserva y "Cómpralo Ya"
+            const pricing = parsePricingSettings(body);
+            if (pricing.error) {
+                return res.status(400).json({ message: pricing.error });
+            }
+            Object.assign(auction, pricing.settings);
+            const pricingError = validatePricing(auction);
+            if (pricingError) {
+                return res.status(400).json({ message: pricingError });
+            }
+
+            // Formato de la subasta: solo puede cambiarse mientras nadie haya pujado
+            const changesType = body.type !== undefined || body.sealedPricing !== undefined || body.dutch !== undefined ||
+                (auction.type === 'dutch' && startBid !== undefined);
+            if (changesType) {
+                if (auction.bidHistory.length > 0 || auction.sealedBidCount > 0) {
+                    return res.status(400).json({ message: 'No se puede cambiar el formato de una subasta que ya tiene pujas.' });
+                }
+                const typeSettings = parseAuctionTypeSettings(body, auction);
+                if (typeSettings.error) {
+                    return res.status(400).json({ message: typeSettings.error });
+                }
+                Object.assign(auction, typeSettings.settings);
+                if (typeSettings.settings.dutch) {
+                    auction.currentBid = auction.startBid;
+                    auction.dutch.nextDropAt = getFirstDutchDropAt(
+                        auction.startDate > new Date() ? auction.startDate : new Date(),
+                        auction.dutch.intervalMinutes
+                    );
+                }
+            }
+
+            // Regla de incremento mínimo
+            if (body.incrementRule !== undefined) {
+                const parsedRule = parseIncrementRule(body.incrementRule);
+                if (parsedRule.error) {
+                    return res.status(400).json({ message: parsedRule.error });
+                }
+                auction.incrementRule = parsedRule.rule;
+            }
+
+            // Reventa automática si finaliza sin ganador
+            if (body.relistPolicy !== undefined) {
+                const parsedPolicy = parseRelistPolicy(body.relistPolicy);
+                if (parsedPolicy.error) {
+                    return res.status(400).json({ message: parsedPolicy.error });
+                }
+                auction.relistPolicy = parsedPolicy.policy;
+            }
 
             // Validaciones adicionales antes de guardar
             if (auction.startBid < 0) {
@@ -154,14 +345,40 @@ module.exports = (io) => {
             if (auction.status === 'active' && auction.endDate <= new Date()) {
                 return res.status(400).json({ message: 'No se puede activar una subasta con fecha de finalización pasada.' });
             }
+            // Una subasta programada debe empezar antes de terminar (la activa la tarea programada)
+            if (auction.status === 'scheduled' && auction.startDate >= auction.endDate) {
+                return res.status(400).json({ message: 'La fecha de inicio debe ser anterior a la fecha de finalización.' });
+            }
 
 
             await auction.save();
+            await syncAuctionImages(auction, previousImages);
+
+            // Auditoría: los cambios de puja actual o pujador se registran como ajuste de puja
+            const after = snapshotAuction(auction);
+            await recordAuctionAudit({
+                action: isBidAdjustment(before, after) ? 'auction.bidAdjust' : 'auction.update',
+                auction,
+                actor: req.user,
+                before,
+                after,
+                reason: body.reason
+            });
 
-            // Emitir evento de Socket.IO cuando se actualiza una subasta
-            io.emit('auctionUpdated', auction);
+            // Una subasta cancelada ya no retiene fondos de nadie
+            if (auction.status === 'cancelled') {
+                await releaseAuctionHolds(auction._id, { reason: 'Subasta cancelada' });
+            }
 
-            res.json({ message: 'Subasta actualizada con éxito.', auction });
+            // Emitir evento de Socket.IO cuando se actualiza una subasta, solo si los jugadores pueden verla;
+            // si acaba de ocultarse (p. ej. al cancelarla), la lista la quita como si se hubiera eliminado
+            if (!Auction.HIDDEN_STATUSES.includes(auction.status)) {
+                realtime.emitAuctionUpdated(io, auction);
+            } else if (!Auction.HIDDEN_STATUSES.includes(before.status)) {
+                realtime.emitAuctionDeleted(io, auction._id);
+            }
+
+            res.json({ message: 'Subasta actualizada con éxito.', auction: auction.toAdminJSON() });
         } catch (error) {
             console.error('Error updating auction:', error);
             res.status(500).json({ message: 'Error al actualizar la subasta.' });
@@ -169,18 +386,43 @@ module.exports = (io) => {
     });
 
     // 6. DELETE /api/auctions/:id - Eliminar una subasta (Solo administradores)
-    router.delete('/:id', authenticateToken, authorizeAdmin, async (req, res) => {
+    // Es un borrado lógico: la subasta y su historial de pujas se conservan y pueden restaurarse.
+    router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_AUCTIONS), async (req, res) => {
         const { id } = req.params;
 
         try {
-            const deletedAuction = await Auction.findByIdAndDelete(id);
+            const auction = await Auction.findById(id).select('+reservePrice');
 
-            if (!deletedAuction) {
+            if (!auction) {
                 return res.status(404).json({ message: 'Subasta no encontrada para eliminar.' });
             }
 
+            // Las consultas ya excluyen las eliminadas (404 arriba); el filtro deletedAt: null hace además que,
+            // si llegan dos DELETE a la vez, solo uno la elimine, audite y avise
+            const before = snapshotAuction(auction);
+            const deleted = await Auction.findOneAndUpdate(
+                { _id: auction._id, deletedAt: null },
+                { $set: { deletedAt: new Date(), deletedById: req.user.id, deletedByName: req.user.username }, $inc: { __v: 1 } },
+                { new: true, projection: '+reservePrice' }
+            );
+            if (!deleted) {
+                return res.status(409).json({ message: 'La subasta ya se ha eliminado.' });
+            }
+
+            await recordAuctionAudit({
+                action: 'auction.delete',
+                auction: deleted,
+                actor: req.user,
+                before,
+                after: snapshotAuction(deleted),
+                reason: req.body && req.body.reason
+            });
+
+            // Devolver los fondos retenidos por pujas en la subasta eliminada
+            await releaseAuctionHolds(auction._id, { reason: 'Subasta eliminada' });
+
             // Emitir evento de Socket.IO cuando se elimina una subasta
-            io.emit('auctionDeleted', deletedAuction._id);
+            realtime.emitAuctionDeleted(io, auction._id);
 
             res.json({ message: 'Subasta eliminada con éxito.' });
         } catch (error) {
@@ -189,65 +431,58 @@ module.exports = (io) => {
         }
     });
 
-    // 7. POST /api/auctions/:id/finalize - Finalizar una subasta manualmente (Solo administradores)
-    router.post('/:id/finalize', authenticateToken, authorizeAdmin, async (req, res) => {
+    // 6b. POST /api/auctions/:id/restore - Restaurar una subasta eliminada (Solo administradores)
+    // Las retenciones de fondos se liberaron al eliminarla y no se recrean.
+    router.post('/:id/restore', authenticateToken, requirePermission(PERMISSIONS.DELETE_AUCTIONS), async (req, res) => {
         const { id } = req.params;
 
         try {
-            const auction = await Auction.findById(id);
+            const auction = await Auction.findOne({ _id: id, deletedAt: { $ne: null } }).select('+reservePrice');
 
             if (!auction) {
-                return res.status(404).json({ message: 'Subasta no encontrada.' });
+                return res.status(404).json({ message: 'Subasta eliminada no encontrada.' });
             }
 
-            if (auction.status === 'finalized' || auction.status === 'cancelled') {
-                return res.status(400).json({ message: `La subasta ya está ${auction.status}.` });
-            }
-
-            auction.status = 'finalized';
-            // Si hay un pujador actual, ese es el ganador
-            if (auction.currentBidderId) {
-                auction.winnerId = auction.currentBidderId;
-                auction.winnerName = auction.currentBidderName;
-                auction.finalPrice = auction.currentBid;
-            } else {
-                auction.winnerId = null;
-                auction.winnerName = null;
-                auction.finalPrice = null; // O el precio inicial si no hubo pujas y quieres que sea ese
-            }
-            auction.endDate = new Date(); // Establecer la fecha de fin a ahora
-
+            const before = snapshotAuction(auction);
+            auction.deletedAt = null;
+            auction.deletedById = null;
+            auction.deletedByName = null;
             await auction.save();
 
-            // Opcional: Enviar un webhook de Discord para notificar la finalización manual
-            if (DISCORD_WEBHOOK_URL) {
-                let message = '';
-                let embedColor = 5793266; // Un color verde para Discord (hex 0x57F287)
-
-                if (auction.winnerId) {
-                    message = `🎉 ¡Subasta **${auction.title}** ha sido finalizada manualmente! Ganador: **${auction.winnerName}** con **${auction.finalPrice} Rublos**.`;
-                } else {
-                    message = `⚠️ Subasta **${auction.title}** ha sido finalizada manualmente sin pujas.`;
-                    embedColor = 10038562; // Un color gris/rojo para Discord (hex 0x99AAB5)
-                }
+            await recordAuctionAudit({
+                action: 'auction.restore',
+                auction,
+                actor: req.user,
+                before,
+                after: snapshotAuction(auction),
+                reason: req.body && req.body.reason
+            });
 
-                axios.post(DISCORD_WEBHOOK_URL, {
-                    content: message,
-                    embeds: [{
-                        title: `Subasta Finalizada Manualmente: ${auction.title}`,
-                        description: auction.winnerId ? `Ganador: **${auction.winnerName}**\nPuja Final: **${auction.finalPrice} Rublos**` : 'No hubo pujas.',
-                        url: `${FRONTEND_URL}/subastas.html`,
-                        color: embedColor,
-                        thumbnail: { url: auction.imageUrl || 'https://via.placeholder.com/150' },
-                        footer: { text: `Subasta ID: ${auction._id}` }
-                    }]
-                }).catch(err => console.error("Error enviando webhook de fin de subasta manual:", err.message));
+            if (!Auction.HIDDEN_STATUSES.includes(auction.status)) {
+                realtime.emitAuctionUpdated(io, auction);
             }
 
-            // Emitir evento de Socket.IO cuando se finaliza una subasta manualmente
-            io.emit('auctionUpdated', auction);
+            res.json({ message: 'Subasta restaurada con éxito.', auction: auction.toAdminJSON() });
+        } catch (error) {
+            console.error('Error restoring auction:', error);
+            res.status(500).json({ message: 'Error al restaurar la subasta.' });
+        }
+    });
 
-            res.json({ message: 'Subasta finalizada manualmente con éxito.', auction });
+    // 7. POST /api/auctions/:id/finalize - Finalizar una subasta manualmente (Solo administradores)
+    // Usa la misma finalización que la tarea programada: si ambas coinciden, solo una la aplica.
+    router.post('/:id/finalize', authenticateToken, requirePermission(PERMISSIONS.FINALIZE_AUCTIONS), async (req, res) => {
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ message: 'Subasta no encontrada.' });
+        }
+
+        try {
+            const result = await finalizeAuction(io, id, { actor: req.user, reason: req.body && req.body.reason });
+            if (result.error) {
+                return res.status(result.status).json({ message: result.error });
+            }
+            res.json({ message: 'Subasta finalizada manualmente con éxito.', auction: result.auction.toAdminJSON() });
         } catch (error) {
             console.error('Error finalizing auction manually:', error);
             res.status(500).json({ message: 'Error al finalizar la subasta manualmente.' });
@@ -256,19 +491,31 @@ module.exports = (io) => {
 
 
     // 8. POST /api/auctions/:id/bid - Realizar una puja
-    // Aplica authenticateToken para asegurar que req.user esté disponible.
-    router.post('/:id/bid', authenticateToken, async (req, res) => {
-        const { id } = req.params;
-        const { bidAmount } = req.body;
-
-        // Verificar que el usuario esté autenticado para pujar
-        if (!req.user || !req.user.id || !req.user.username) {
-            return res.status(401).json({ message: 'Debes iniciar sesión para realizar una puja.' });
+    // Acepta una puja normal ({ bidAmount }) o una puja máxima secreta ({ maxBid }); con maxBid el
+    // sistema puja automáticamente lo mínimo necesario para mantener al jugador en cabeza.
+    // requirePermission exige sesión iniciada y el permiso de pujar (que puede depender de un rol de Discord);
+    // después se aplican el límite de pujas por minuto y las sanciones del jugador (middleware/antiAbuse.js).
+    // En una puja sellada se envía { bidAmount } (se puede cambiar hasta el cierre) y en una holandesa
+    // se acepta el precio actual (opcionalmente { bidAmount } con el precio que se cree aceptar).
+    // La validación y el registro de la puja están en services/bidPlacement.js (también los usa /pujar en Discord).
+    router.post('/:id/bid', authenticateToken, requirePermission(PERMISSIONS.PLACE_BIDS), bidRateLimit, blockSanctionedBidders, async (req, res) => {
+        const { bidAmount, maxBid } = req.body || {};
+        try {
+            const result = await placeBid(io, req.params.id, req.user, { bidAmount, maxBid });
+            if (result.error) {
+                return res.status(result.status).json({ message: result.error, ...result.details });
+            }
+            res.json(result);
+        } catch (error) {
+            console.error('Error placing bid:', error);
+            res.status(500).json({ message: 'Error al realizar la puja.' });
         }
+    });
 
-        if (typeof bidAmount !== 'number' || bidAmount <= 0) {
-            return res.status(400).json({ message: 'La cantidad de puja debe ser un número positivo.' });
-        }
+    // 9. POST /api/auctions/:id/buy-now - Comprar al precio de "Cómpralo Ya" y finalizar la subasta
+    // Solo disponible mientras ninguna puja haya alcanzado ese precio.
+    router.post('/:id/buy-now', authenticateToken, requirePermission(PERMISSIONS.PLACE_BIDS), bidRateLimit, blockSanctionedBidders, async (req, res) => {
+        const { id } = req.params;
 
         try {
             const auction = await Auction.findById(id);
@@ -276,54 +523,312 @@ module.exports = (io) => {
             if (!auction) {
                 return res.status(404).json({ message: 'Subasta no encontrada.' });
             }
+            if (auction.status === 'scheduled') {
+                return res.status(400).json({ message: 'Esta subasta todavía no ha comenzado.' });
+            }
             if (auction.status !== 'active' || auction.endDate <= new Date()) {
                 return res.status(400).json({ message: 'Esta subasta no está activa o ya ha finalizado.' });
             }
-            if (bidAmount <= auction.currentBid) {
-                return res.status(400).json({ message: `Tu puja (${bidAmount} Rublos) debe ser mayor que la puja actual (${auction.currentBid} Rublos).` });
+            if (auction.sellerId === req.user.id) {
+                return res.status(403).json({ message: 'No puedes comprar tu propia subasta.' });
             }
-            // Validación adicional: Si ya eres el pujador actual, tu puja debe ser estrictamente mayor para superarte a ti mismo
-            if (req.user.id === auction.currentBidderId && bidAmount <= auction.currentBid) {
-                 return res.status(400).json({ message: 'Ya eres el pujador actual. Tu puja debe ser superior para superarte.' });
+            if (auction.type !== 'english' || auction.buyNowPrice === null || auction.buyNowPrice === undefined) {
+                return res.status(400).json({ message: 'Esta subasta no tiene precio de "Cómpralo Ya".' });
+            }
+            if (auction.currentBid >= auction.buyNowPrice) {
+                return res.status(400).json({ message: 'Las pujas ya han alcanzado el precio de "Cómpralo Ya".' });
             }
 
-            // Guardar la puja anterior antes de actualizar la actual
-            const oldBid = auction.currentBid;
+            const price = auction.buyNowPrice;
+            const hold = await setHold(req.user.id, req.user.username, auction._id, price, { actorId: req.user.id, actorName: req.user.username });
+            if (hold.error) {
+                return res.status(402).json({ message: hold.error });
+            }
 
-            auction.currentBid = bidAmount;
-            auction.currentBidderId = req.user.id;
-            auction.currentBidderName = req.user.username;
-            // Añadir la puja al historial
-            auction.bidHistory.push({
-                bidderId: req.user.id,
-                bidderName: req.user.username,
-                amount: bidAmount,
-                timestamp: new Date()
+            // Escritura condicional: solo se compra si la subasta sigue activa y ninguna puja ha
+            // alcanzado el precio mientras tanto.
+            const now = new Date();
+            const boughtAuction = await Auction.findOneAndUpdate(
+                {
+                    _id: auction._id,
+                    status: 'active',
+                    endDate: { $gt: now },
+                    buyNowPrice: price,
+                    currentBid: { $lt: price }
+                },
+                {
+                    $set: {
+                        status: 'finalized',
+                        outcome: 'bought_now',
+                        currentBid: price,
+                        currentBidderId: req.user.id,
+                        currentBidderName: req.user.username,
+                        reserveMet: true,
+                        winnerId: req.user.id,
+                        winnerName: req.user.username,
+                        finalPrice: price,
+                        endDate: now,
+                        finalizationPendingSince: now
+                    },
+                    $push: {
+                        bidHistory: { bidderId: req.user.id, bidderName: req.user.username, amount: price, timestamp: now }
+                    },
+                    $inc: { __v: 1 }
+                },
+                { new: true, runValidators: true }
+            );
+
+            if (!boughtAuction) {
+                await (hold.previousAmount > 0
+                    ? setHold(req.user.id, req.user.username, auction._id, hold.previousAmount)
+                    : releaseHold(req.user.id, auction._id));
+                const fresh = await Auction.findById(id);
+                return res.status(409).json({
+                    message: 'La subasta ha cambiado mientras se procesaba tu compra. Ya no está disponible al precio de "Cómpralo Ya".',
+                    currentBid: fresh ? fresh.currentBid : null,
+                    currentBidderName: fresh ? fresh.currentBidderName : null
+                });
+            }
+
+            // Cobrar al comprador, liberar las retenciones del resto de pujadores, abrir la entrega,
+            // avisar en Discord y emitir la finalización (outcome 'bought_now')
+            inspectBid(boughtAuction, req.user);
+            await completeFinalization(io, boughtAuction);
+            // Quien iba en cabeza pierde la subasta: aviso privado
+            const history = boughtAuction.bidHistory;
+            const previousLeaderId = history.length > 1 ? history[history.length - 2].bidderId : null;
+            if (previousLeaderId && previousLeaderId !== req.user.id) {
+                realtime.emitOutbid(io, previousLeaderId, boughtAuction);
+            }
+
+            res.json({ message: 'Compra realizada con éxito.', auction: boughtAuction });
+        } catch (error) {
+            console.error('Error buying auction now:', error);
+            res.status(500).json({ message: 'Error al realizar la compra inmediata.' });
+        }
+    });
+
+    // 10. POST /api/auctions/:id/bids/:bidId/void - Anular una puja (Solo administradores)
+    // Body: { reason }. La puja se conserva en el historial marcada como anulada y se recalculan la puja
+    // actual y el líder con las pujas válidas (y, si la subasta ya finalizó, el ganador y el precio final).
+    // La puja máxima del pujador anulado se retira para que no vuelva a pujar por él automáticamente, y las
+    // demás vuelven a competir: el precio que la puja anulada hizo subir a la puja automática del líder se deshace.
+    router.post('/:id/bids/:bidId/void', authenticateToken, requirePermission(PERMISSIONS.EDIT_AUCTIONS), async (req, res) => {
+        const { id, bidId } = req.params;
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ message: 'Indica el motivo de la anulación.' });
+        }
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(bidId)) {
+            return res.status(404).json({ message: 'Puja no encontrada.' });
+        }
+
+        try {
+            const auction = await Auction.findById(id).select('+reservePrice +proxyBids');
+            if (!auction) {
+                return res.status(404).json({ message: 'Subasta no encontrada.' });
+            }
+            const bid = auction.bidHistory.id(bidId);
+            if (!bid) {
+                return res.status(404).json({ message: 'Puja no encontrada en esta subasta.' });
+            }
+            if (bid.voidedAt) {
+                return res.status(400).json({ message: 'Esta puja ya está anulada.' });
+            }
+
+            const before = snapshotAuction(auction);
+            const previousLeaderId = auction.currentBidderId;
+            const previousWinnerId = auction.winnerId;
+            const previousFinalPrice = auction.finalPrice;
+
+            bid.voidedAt = new Date();
+            bid.voidReason = reason;
+            bid.voidedById = req.user.id;
+            bid.voidedByName = req.user.username;
+            auction.proxyBids = auction.proxyBids.filter(proxy => proxy.bidderId !== bid.bidderId);
+            auction.recomputeFromValidBids();
+
+            // Incrementar la versión: las pujas simultáneas leídas antes de la anulación fallan su escritura condicional
+            auction.increment();
+            try {
+                await auction.save();
+            } catch (error) {
+                if (error.name === 'VersionError') {
+                    return res.status(409).json({ message: 'La subasta ha cambiado mientras se anulaba la puja. Inténtalo de nuevo.' });
+                }
+                throw error;
+            }
+
+            const warnings = [];
+            if (auction.status === 'active') {
+                // Retenciones: solo el líder recalculado retiene fondos (su puja o su puja máxima)
+                for (const bidderId of new Set([bid.bidderId, previousLeaderId])) {
+                    if (bidderId && bidderId !== auction.currentBidderId) {
+                        await releaseHold(bidderId, auction._id, { actorId: req.user.id, actorName: req.user.username, reason: 'Puja anulada' });
+                    }
+                }
+                if (auction.currentBidderId) {
+                    const leaderProxy = auction.proxyBids.find(proxy => proxy.bidderId === auction.currentBidderId);
+                    const exposure = Math.max(auction.currentBid, leaderProxy ? leaderProxy.maxAmount : 0);
+                    const hold = await setHold(auction.currentBidderId, auction.currentBidderName, auction._id, exposure, { actorId: req.user.id, actorName: req.user.username });
+                    if (hold.error) {
+                        warnings.push(`No se pudo reservar el saldo del nuevo líder: ${hold.error}`);
+                    }
+                }
+            } else if (auction.status === 'finalized' && (auction.winnerId !== previousWinnerId || auction.finalPrice !== previousFinalPrice)) {
+                // Devolver el cobro del resultado anterior, cobrar el nuevo y reabrir la entrega
+                if (previousWinnerId) {
+                    const refund = await refundSettlement(
+                        { _id: auction._id, title: auction.title, winnerId: previousWinnerId },
+                        { actorId: req.user.id, actorName: req.user.username, reason: `Puja anulada en ${auction.title}: ${reason}` }
+                    );
+                    if (refund.error || refund.warning) {
+                        warnings.push(refund.error || refund.warning);
+                    }
+                }
+                if (auction.winnerId) {
+                    const settlement = await settleAuction(auction);
+                    if (settlement.error) {
+                        warnings.push(settlement.error);
+                    }
+                }
+                await restartFulfillment(auction, { note: `Puja anulada: ${reason}`, actor: req.user });
+            }
+
+            await recordAuctionAudit({
+                action: 'auction.bidVoid',
+                auction,
+                actor: req.user,
+                before,
+                after: snapshotAuction(auction),
+                reason
             });
-            await auction.save();
 
-            if (DISCORD_WEBHOOK_URL) {
-                axios.post(DISCORD_WEBHOOK_URL, {
-                    // Mensaje más claro para el webhook, usando oldBid
-                    content: `🔔 ¡Nueva puja en **${auction.title}**! **${req.user.username}** ha pujado **${bidAmount} Rublos**.`,
-                    embeds: [{
-                        title: `Nueva Puja en ${auction.title}`,
-                        description: `**${req.user.username}** ha pujado **${bidAmount} Rublos**.\nPuja anterior: **${oldBid} Rublos**\nNueva puja: **${auction.currentBid} Rublos**`,
-                        url: `${FRONTEND_URL}/subastas.html`, // URL CORRECTA
-                        color: 3447003, // Color azul para Discord
-                        thumbnail: { url: req.user.avatar ? `https://cdn.discordapp.com/avatars/${req.user.id}/${req.user.avatar}.png` : `https://cdn.discordapp.com/embed/avatars/${parseInt(req.user.id) % 5}.png` },
-                        footer: { text: `Finaliza el <t:${Math.floor(auction.endDate.getTime() / 1000)}:R>` }
-                    }]
-                }).catch(err => console.error("Error enviando webhook de Discord para nueva puja:", err.message));
-            }
-
-            // Emitir evento de Socket.IO cuando se realiza una puja
-            io.emit('auctionUpdated', auction);
-
-            res.json({ message: 'Puja realizada con éxito.', auction });
+            // Anunciar la anulación en Discord, en las salas de la subasta y a los jugadores afectados
+            notifyBidVoided(auction, { bid, reason });
+            realtime.emitBidVoided(io, auction, bid);
+            realtime.emitBidVoidedNotice(io, bid.bidderId, auction, { bid, effect: 'voided' });
+            if (auction.status === 'finalized') {
+                if (auction.winnerId !== previousWinnerId) {
+                    if (previousWinnerId && previousWinnerId !== bid.bidderId) {
+                        realtime.emitBidVoidedNotice(io, previousWinnerId, auction, { bid, effect: 'lost' });
+                    }
+                    if (auction.winnerId) {
+                        realtime.emitBidVoidedNotice(io, auction.winnerId, auction, { bid, effect: 'won' });
+                    }
+                }
+            } else if (auction.currentBidderId && auction.currentBidderId !== previousLeaderId) {
+                realtime.emitBidVoidedNotice(io, auction.currentBidderId, auction, { bid, effect: 'leading' });
+            }
+
+            res.json({
+                message: 'Puja anulada y subasta recalculada.',
+                warning: warnings.length > 0 ? warnings.join(' ') : undefined,
+                auction: auction.toAdminJSON()
+            });
         } catch (error) {
-            console.error('Error placing bid:', error);
-            res.status(500).json({ message: 'Error al realizar la puja.' });
+            console.error('Error voiding bid:', error);
+            res.status(500).json({ message: 'Error al anular la puja.' });
+        }
+    });
+
+    // 11. POST /api/auctions/:id/clone - Copiar una subasta en un borrador (Solo administradores)
+    // Body opcional: { startDate, endDate } (por defecto, desde ahora y con la misma duración que la original).
+    // Se copian la configuración y las imágenes, no las pujas ni el resultado. El borrador solo lo ven los
+    // admins: se edita con PUT /api/auctions/:id y se publica con POST /api/auctions/:id/publish.
+    router.post('/:id/clone', authenticateToken, requirePermission(PERMISSIONS.CREATE_AUCTIONS), async (req, res) => {
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ message: 'Subasta no encontrada.' });
+        }
+        const body = req.body || {};
+
+        try {
+            const result = await cloneAuction(id, { actor: req.user, startDate: body.startDate, endDate: body.endDate });
+            if (result.error) {
+                return res.status(result.status).json({ message: result.error });
+            }
+
+            await recordAuctionAudit({
+                action: 'auction.clone',
+                auction: result.auction,
+                actor: req.user,
+                after: snapshotAuction(result.auction),
+                reason: `Copia de la subasta ${result.source._id} (${result.source.title})`
+            });
+
+            res.status(201).json({ message: 'Subasta copiada en un borrador.', auction: result.auction.toAdminJSON() });
+        } catch (error) {
+            console.error('Error cloning auction:', error);
+            res.status(500).json({ message: 'Error al copiar la subasta.' });
+        }
+    });
+
+    // 12. POST /api/auctions/:id/publish - Publicar un borrador (Solo administradores)
+    // Body opcional: { startDate, endDate } para cambiar sus fechas. Pasa a activa (o programada, si su fecha
+    // de inicio es futura) y se anuncia como cualquier otra subasta.
+    router.post('/:id/publish', authenticateToken, requirePermission(PERMISSIONS.CREATE_AUCTIONS), async (req, res) => {
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ message: 'Borrador no encontrado.' });
+        }
+        const body = req.body || {};
+
+        try {
+            const draft = await Auction.findById(id).select('+reservePrice');
+            if (!draft || draft.status !== 'draft') {
+                return res.status(404).json({ message: 'No hay ningún borrador con ese ID.' });
+            }
+
+            // Con solo una nueva fecha de inicio, se mantiene la duración del borrador
+            const dates = parseAuctionDates(
+                { startDate: body.startDate || draft.startDate, endDate: body.endDate || (body.startDate ? null : draft.endDate) },
+                { durationMs: draft.endDate.getTime() - draft.startDate.getTime() }
+            );
+            if (dates.error) {
+                return res.status(400).json({ message: dates.error });
+            }
+
+            // Un borrador no tiene pujas: la puja actual es la inicial
+            const $set = {
+                status: dates.isScheduled ? 'scheduled' : 'active',
+                startDate: dates.startDate,
+                endDate: dates.endDate,
+                originalEndDate: dates.endDate,
+                currentBid: draft.startBid,
+                reserveMet: !draft.hasReserve || draft.startBid >= draft.reservePrice
+            };
+            if (draft.type === 'dutch') {
+                $set['dutch.nextDropAt'] = getFirstDutchDropAt(dates.startDate, draft.dutch.intervalMinutes);
+            }
+            const published = await Auction.findOneAndUpdate(
+                { _id: draft._id, status: 'draft', __v: draft.__v },
+                { $set, $inc: { __v: 1 } },
+                { new: true, projection: '+reservePrice' }
+            );
+            if (!published) {
+                return res.status(409).json({ message: 'El borrador ha cambiado mientras se publicaba. Vuelve a cargarlo.' });
+            }
+
+            await recordAuctionAudit({
+                action: 'auction.publish',
+                auction: published,
+                actor: req.user,
+                before: snapshotAuction(draft),
+                after: snapshotAuction(published),
+                reason: body.reason
+            });
+
+            // Las programadas se anuncian cuando se activan (ver services/scheduler.js)
+            if (published.status === 'active') {
+                notifyNewAuction(published);
+                realtime.emitAuctionUpdated(io, published);
+            }
+
+            res.json({ message: 'Subasta publicada.', auction: published.toAdminJSON() });
+        } catch (error) {
+            console.error('Error publishing draft auction:', error);
+            res.status(500).json({ message: 'Error al publicar el borrador.' });
         }
     });
 
@@ -0,0 +1,50 @@
+// routes/audit.js
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+
+// 1. GET /api/audit - Consultar el registro de auditoría (Solo administradores)
+// Filtros opcionales: ?action=auction.update, ?auctionId=, ?actorId=, ?from=, ?to= (fechas ISO),
+// ?limit=N y ?before=<fecha ISO> para paginar hacia atrás. Más recientes primero.
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_AUDIT), async (req, res) => {
+    const { action, auctionId, actorId, from, to, before } = req.query;
+    const filter = {};
+
+    if (action) filter.action = action;
+    if (actorId) filter.actorId = actorId;
+    if (auctionId) {
+        if (!mongoose.Types.ObjectId.isValid(auctionId)) {
+            return res.status(400).json({ message: 'El ID de subasta no es válido.' });
+        }
+        filter.auctionId = auctionId;
+    }
+
+    const createdAt = {};
+    for (const [key, operator] of [['from', '$gte'], ['to', '$lte'], ['before', '$lt']]) {
+        if (!req.query[key]) continue;
+        const date = new Date(req.query[key]);
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ message: `La fecha '${key}' no es válida.` });
+        }
+        createdAt[operator] = date;
+    }
+    if (from || to || before) filter.createdAt = createdAt;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_AUDIT_LIMIT, 1), MAX_AUDIT_LIMIT);
+
+    try {
+        const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(limit);
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ message: 'Error al obtener el registro de auditoría.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+// routes/fulfillment.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const {
+    transitionFulfillment,
+    offerToNextRunnerUp,
+    respondToOffer,
+    acknowledgeFulfillment,
+    toFulfillmentView
+} = require('../services/fulfillment');
+const realtime = require('../services/realtime');
+const { snapshotAuction, recordAuctionAudit } = require('../services/audit');
+const { flagNonPayingWinner } = require('../services/abuseDetection');
+const { getEffectivePermissions } = require('../services/permissions');
+const { authenticateToken, requireUser, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Un id de subasta mal formado es simplemente una entrega que no existe
+router.param('auctionId', (req, res, next, auctionId) => {
+    if (!mongoose.isValidObjectId(auctionId)) {
+        return res.status(404).json({ message: 'Esta subasta no tiene una entrega en curso.' });
+    }
+    next();
+});
+
+// Avisa por Socket.IO al ganador actual (y, si cambió, al anterior) del nuevo estado de la entrega
+function notifyFulfillment(req, auction, previousWinnerId = null) {
+    const io = req.app.get('socketio');
+    if (!io) return;
+    realtime.emitFulfillmentUpdated(io, auction.winnerId, toFulfillmentView(auction, auction.winnerId));
+    if (previousWinnerId && previousWinnerId !== auction.winnerId) {
+        realtime.emitFulfillmentUpdated(io, previousWinnerId, { auctionId: auction._id, title: auction.title, status: 'forfeited' });
+    }
+    const { offer } = auction.fulfillment;
+    if (offer && offer.status === 'pending' && offer.expiresAt > new Date()) {
+        realtime.emitRunnerUpOffer(io, auction);
+    }
+}
+
+// 1. GET /api/fulfillment - Listar entregas (Solo administradores)
+// Acepta ?status=awaiting_payment|paid|scheduled|delivered|disputed|forfeited y ?limit=N.
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.MANAGE_FULFILLMENT), async (req, res) => {
+    const { status } = req.query;
+    if (status && !Auction.FULFILLMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Estado no válido. Usa uno de: ${Auction.FULFILLMENT_STATUSES.join(', ')}.` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const auctions = await Auction.find({
+            status: 'finalized',
+            'fulfillment.status': status || { $in: Auction.FULFILLMENT_STATUSES }
+        })
+            .select('+fulfillment')
+            .sort({ 'fulfillment.updatedAt': -1 })
+            .limit(limit);
+        res.json(auctions.map(auction => toFulfillmentView(auction, req.user.id, { isManager: true })));
+    } catch (error) {
+        console.error('Error fetching fulfillments:', error);
+        res.status(500).json({ message: 'Error al obtener las entregas.' });
+    }
+});
+
+// 2. GET /api/fulfillment/mine - Entregas de mis subastas ganadas y ofertas que me han hecho
+router.get('/mine', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const auctions = await Auction.find({
+            status: 'finalized',
+            $or: [
+                { winnerId: req.user.id, 'fulfillment.status': { $in: Auction.FULFILLMENT_STATUSES } },
+                { 'fulfillment.offer.bidderId': req.user.id, 'fulfillment.offer.status': 'pending' }
+            ]
+        })
+            .select('+fulfillment')
+            .sort({ 'fulfillment.updatedAt': -1 });
+        res.json(auctions.map(auction => toFulfillmentView(auction, req.user.id)).filter(Boolean));
+    } catch (error) {
+        console.error('Error fetching user fulfillments:', error);
+        res.status(500).json({ message: 'Error al obtener tus entregas.' });
+    }
+});
+
+// 3. GET /api/fulfillment/:auctionId - Estado de la entrega (ganador, pujador con oferta o administradores)
+router.get('/:auctionId', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const auction = await Auction.findById(req.params.auctionId).select('+fulfillment');
+        if (!auction || auction.status !== 'finalized' || !auction.fulfillment) {
+            return res.status(404).json({ message: 'Esta subasta no tiene una entrega en curso.' });
+        }
+        const permissions = await getEffectivePermissions(req.user);
+        const view = toFulfillmentView(auction, req.user.id, { isManager: permissions.includes(PERMISSIONS.MANAGE_FULFILLMENT) });
+        if (!view) {
+            return res.status(403).json({ message: 'Solo el ganador puede ver esta entrega.' });
+        }
+        res.json(view);
+    } catch (error) {
+        console.error('Error fetching fulfillment:', error);
+        res.status(500).json({ message: 'Error al obtener la entrega.' });
+    }
+});
+
+// 4. POST /api/fulfillment/:auctionId/transition - Cambiar el estado de la entrega (Solo administradores)
+// Body: { status, note, deliveryCoordinates, deliveryAt, paidExternally, offerToRunnerUp, offerHours }
+router.post('/:auctionId/transition', authenticateToken, requirePermission(PERMISSIONS.MANAGE_FULFILLMENT), async (req, res) => {
+    const body = req.body || {};
+    try {
+        const result = await transitionFulfillment(req.params.auctionId, {
+            to: body.status,
+            note: body.note,
+            deliveryCoordinates: body.deliveryCoordinates,
+            deliveryAt: body.deliveryAt,
+            paidExternally: body.paidExternally === true,
+            offerToRunnerUp: body.offerToRunnerUp === true,
+            offerHours: body.offerHours
+        }, req.user);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        const { auction } = result;
+        await recordAuctionAudit({ action: `fulfillment.${auction.fulfillment.status}`, auction, actor: req.user, reason: body.note || null });
+        notifyFulfillment(req, auction);
+        if (auction.fulfillment.status === 'forfeited') {
+            // Un ganador que no paga queda señalado para que lo revise un moderador
+            flagNonPayingWinner(auction);
+        }
+
+        res.json({
+            message: 'Estado de la entrega actualizado.',
+            warning: result.warning || undefined,
+            fulfillment: toFulfillmentView(auction, req.user.id, { isManager: true })
+        });
+    } catch (error) {
+        console.error('Error updating fulfillment:', error);
+        res.status(500).json({ message: 'Error al actualizar la entrega.' });
+    }
+});
+
+// 5. POST /api/fulfillment/:auctionId/acknowledge - El ganador confirma que ha visto el estado de la entrega
+router.post('/:auctionId/acknowledge', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const result = await acknowledgeFulfillment(req.params.auctionId, req.user);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json({ message: 'Entrega confirmada.', fulfillment: toFulfillmentView(result.auction, req.user.id) });
+    } catch (error) {
+        console.error('Error acknowledging fulfillment:', error);
+        res.status(500).json({ message: 'Error al confirmar la entrega.' });
+    }
+});
+
+// 6. POST /api/fulfillment/:auctionId/offer - Ofrecer el objeto al siguiente pujador (Solo administradores)
+// Body opcional: { hours } - plazo para aceptar (por defecto RUNNER_UP_OFFER_HOURS)
+router.post('/:auctionId/offer', authenticateToken, requirePermission(PERMISSIONS.MANAGE_FULFILLMENT), async (req, res) => {
+    try {
+        const result = await offerToNextRunnerUp(req.params.auctionId, { hours: req.body && req.body.hours }, req.user);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        const { auction } = result;
+        await recordAuctionAudit({ action: 'fulfillment.offer', auction, actor: req.user, reason: `Oferta a ${auction.fulfillment.offer.bidderName}` });
+        notifyFulfillment(req, auction);
+        res.json({ message: `Objeto ofrecido a ${auction.fulfillment.offer.bidderName}.`, fulfillment: toFulfillmentView(auction, req.user.id, { isManager: true }) });
+    } catch (error) {
+        console.error('Error offering to runner-up:', error);
+        res.status(500).json({ message: 'Error al ofrecer el objeto al siguiente pujador.' });
+    }
+});
+
+// 7. POST /api/fulfillment/:auctionId/offer/accept - El pujador acepta la oferta y pasa a ser el ganador
+router.post('/:auctionId/offer/accept', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const before = await Auction.findById(req.params.auctionId);
+        const result = await respondToOffer(req.params.auctionId, req.user, true);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        const { auction } = result;
+        await recordAuctionAudit({
+            action: 'fulfillment.offerAccepted',
+            auction,
+            actor: req.user,
+            before: snapshotAuction(before),
+            after: snapshotAuction(auction)
+        });
+        notifyFulfillment(req, auction, before && before.winnerId);
+        res.json({
+            message: result.settlementError
+                ? `Has aceptado la oferta, pero el cobro está pendiente: ${result.settlementError}`
+                : `¡Has aceptado la oferta por ${auction.finalPrice} Rublos!`,
+            fulfillment: toFulfillmentView(auction, req.user.id)
+        });
+    } catch (error) {
+        console.error('Error accepting runner-up offer:', error);
+        res.status(500).json({ message: 'Error al aceptar la oferta.' });
+    }
+});
+
+// 8. POST /api/fulfillment/:auctionId/offer/decline - El pujador rechaza la oferta
+router.post('/:auctionId/offer/decline', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const result = await respondToOffer(req.params.auctionId, req.user, false);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        await recordAuctionAudit({ action: 'fulfillment.offerDeclined', auction: result.auction, actor: req.user });
+        res.json({ message: 'Has rechazado la oferta.' });
+    } catch (error) {
+        console.error('Error declining runner-up offer:', error);
+        res.status(500).json({ message: 'Error al rechazar la oferta.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// routes/images.js
+// Imágenes de las subastas guardadas en el backend (ver services/images.js): subida con sesión iniciada y
+// descarga pública desde una URL estable que se puede cachear indefinidamente (el contenido de un ID no cambia).
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const AuctionImage = require('../models/AuctionImage');
+const { MAX_IMAGE_BYTES, MAX_IMAGES_PER_AUCTION, ALLOWED_IMAGE_TYPES, detectImageType, storeImage, openImageStream, deleteImages, getImageUrl } = require('../services/images');
+const { getEffectivePermissions } = require('../services/permissions');
+const { authenticateToken, requireUser, PERMISSIONS } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/antiAbuse');
+
+const router = express.Router();
+
+// Subidas por usuario y hora (IMAGE_UPLOADS_PER_HOUR)
+const uploadRateLimit = rateLimit({
+    name: 'imageUpload',
+    windowMs: 60 * 60 * 1000,
+    limits: { user: parseInt(process.env.IMAGE_UPLOADS_PER_HOUR, 10) || 60 }
+});
+
+// Los archivos se leen en memoria (como mucho MAX_IMAGES_PER_AUCTION de MAX_IMAGE_BYTES) y se guardan en GridFS
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_AUCTION }
+}).array('images', MAX_IMAGES_PER_AUCTION);
+
+// Ejecuta multer y traduce sus errores (tamaño, número de archivos...) a respuestas 4xx
+function parseUpload(req, res, next) {
+    upload(req, res, error => {
+        if (!error) return next();
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: `Cada imagen puede ocupar como máximo ${Math.floor(MAX_IMAGE_BYTES / 1024 / 1024)} MB.` });
+            }
+            if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+                return res.status(400).json({ message: `Envía hasta ${MAX_IMAGES_PER_AUCTION} imágenes en el campo "images".` });
+            }
+            return res.status(400).json({ message: `Subida no válida: ${error.message}` });
+        }
+        console.error('Error reading image upload:', error);
+        res.status(400).json({ message: 'No se pudo leer la subida. Envía las imágenes como multipart/form-data.' });
+    });
+}
+
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ message: 'Imagen no encontrada.' });
+    }
+    next();
+});
+
+function toImageResponse(image) {
+    return { id: image._id, url: getImageUrl(image._id), contentType: image.contentType, size: image.size };
+}
+
+// 1. POST /api/images - Subir imágenes (multipart/form-data, campo "images", PNG/JPEG/GIF/WebP)
+// Devuelve sus IDs para enviarlos como imageIds al crear o editar una subasta. Las que no se asignan a
+// ninguna subasta se borran solas al cabo de un día.
+router.post('/', authenticateToken, requireUser, uploadRateLimit, parseUpload, async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ message: 'No se ha recibido ninguna imagen (campo "images").' });
+    }
+    // Comprobar todas antes de guardar ninguna
+    const invalid = files.find(file => !detectImageType(file.buffer));
+    if (invalid) {
+        return res.status(415).json({ message: `"${invalid.originalname}" no es una imagen válida.`, allowedTypes: ALLOWED_IMAGE_TYPES });
+    }
+
+    const stored = [];
+    try {
+        for (const file of files) {
+            const result = await storeImage(file, req.user);
+            if (result.error) {
+                await deleteImages(stored.map(image => image._id));
+                return res.status(400).json({ message: result.error });
+            }
+            stored.push(result.image);
+        }
+        console.log(`${req.user.username} subió ${stored.length} imagen(es).`);
+        res.status(201).json({ message: 'Imágenes subidas con éxito.', images: stored.map(toImageResponse) });
+    } catch (error) {
+        console.error('Error uploading images:', error);
+        await deleteImages(stored.map(image => image._id)).catch(err => console.error('Error borrando imágenes tras una subida fallida:', err));
+        res.status(500).json({ message: 'Error al subir las imágenes.' });
+    }
+});
+
+// 2. GET /api/images/:id - Descargar una imagen (pública, cacheable)
+router.get('/:id', async (req, res) => {
+    try {
+        const image = await AuctionImage.findById(req.params.id);
+        if (!image) {
+            return res.status(404).json({ message: 'Imagen no encontrada.' });
+        }
+
+        const etag = `"${image.sha256}"`;
+        res.set({
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            ETag: etag,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        if (req.get('If-None-Match') === etag) {
+            return res.status(304).end();
+        }
+
+        res.set({ 'Content-Type': image.contentType, 'Content-Length': String(image.size) });
+        openImageStream(image._id)
+            .on('error', error => {
+                console.error(`Error leyendo la imagen ${image._id}:`, error.message);
+                if (!res.headersSent) {
+                    res.removeHeader('Cache-Control');
+                    res.status(404).json({ message: 'Imagen no encontrada.' });
+                } else {
+                    res.destroy(error);
+                }
+            })
+            .pipe(res);
+    } catch (error) {
+        console.error('Error serving image:', error);
+        res.status(500).json({ message: 'Error al obtener la imagen.' });
+    }
+});
+
+// 3. DELETE /api/images/:id - Borrar una imagen aún sin asignar (quien la subió o un admin que edita subastas)
+// Para quitar una imagen de una subasta se edita la subasta sin ella.
+router.delete('/:id', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const image = await AuctionImage.findById(req.params.id);
+        if (!image) {
+            return res.status(404).json({ message: 'Imagen no encontrada.' });
+        }
+        if (image.uploadedById !== req.user.id) {
+            const permissions = await getEffectivePermissions(req.user);
+            if (!permissions.includes(PERMISSIONS.EDIT_AUCTIONS)) {
+                return res.status(403).json({ message: 'Solo puedes borrar las imágenes que has subido.' });
+            }
+        }
+        if (image.auctionId) {
+            return res.status(400).json({ message: 'La imagen está en una subasta: quítala editando la subasta.' });
+        }
+        if (image.templateId) {
+            return res.status(400).json({ message: 'La imagen está en una plantilla: quítala editando la plantilla.' });
+        }
+        await deleteImages([image._id]);
+        res.json({ message: 'Imagen borrada con éxito.' });
+    } catch (error) {
+        console.error('Error deleting image:', error);
+        res.status(500).json({ message: 'Error al borrar la imagen.' });
+    }
+});
+
+module.exports = router;
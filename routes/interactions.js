@@ -0,0 +1,47 @@
+// routes/interactions.js
+// Endpoint de interacciones de Discord (comandos de barra, botones y formularios). Discord firma cada
+// petición con Ed25519 sobre el cuerpo sin parsear, así que esta ruta lee el cuerpo en bruto y se monta en
+// server.js antes de express.json(). La lógica de los comandos está en services/discordInteractions.js.
+const express = require('express');
+const { DISCORD_PUBLIC_KEY, verifyInteractionSignature, handleInteraction } = require('../services/discordInteractions');
+
+// Exportar una función que reciba la instancia de io (las pujas desde Discord emiten los mismos eventos)
+module.exports = (io) => {
+    const router = express.Router();
+
+    // 1. POST /api/discord/interactions - Interacción de Discord (firmada)
+    router.post('/', express.raw({ type: 'application/json', limit: '100kb' }), async (req, res) => {
+        if (!DISCORD_PUBLIC_KEY) {
+            return res.status(503).json({ message: 'La integración con Discord no está configurada (DISCORD_PUBLIC_KEY).' });
+        }
+        // Discord comprueba que las firmas inválidas se rechazan con 401 al guardar la URL del endpoint
+        if (!verifyInteractionSignature(req.body, req.get('X-Signature-Ed25519'), req.get('X-Signature-Timestamp'))) {
+            return res.status(401).json({ message: 'Firma de la interacción no válida.' });
+        }
+
+        let interaction;
+        try {
+            interaction = JSON.parse(req.body.toString('utf8'));
+        } catch (error) {
+            return res.status(400).json({ message: 'El cuerpo de la interacción no es JSON válido.' });
+        }
+
+        try {
+            const result = await handleInteraction(io, interaction);
+            if (!result) {
+                return res.status(400).json({ message: 'Tipo de interacción no admitido.' });
+            }
+            // Las pujas se responden en diferido: el resultado se envía editando la respuesta una vez entregada
+            if (result.followUp) {
+                res.once('finish', result.followUp);
+            }
+            res.json(result.response);
+        } catch (error) {
+            console.error('Error handling Discord interaction:', error);
+            // Discord muestra el mensaje al usuario: mejor una respuesta efímera que "La interacción ha fallado"
+            res.json({ type: 4, data: { content: '❌ Error al procesar el comando. Inténtalo de nuevo.', flags: 64 } });
+        }
+    });
+
+    return router;
+};
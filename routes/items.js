@@ -0,0 +1,136 @@
+// routes/items.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Auction = require('../models/Auction');
+const { parseItemInput, parseCatalogImport, importCatalogItems } = require('../services/catalog');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+// 1. GET /api/items - Catálogo de objetos de DayZ (público)
+// Filtros opcionales: ?q= (nombre visible o de clase), ?category=, ?includeInactive=true para ver también los retirados.
+router.get('/', async (req, res) => {
+    const filter = {};
+    if (req.query.category) filter.category = String(req.query.category).toLowerCase();
+    if (req.query.includeInactive !== 'true') filter.active = true;
+    if (req.query.q) {
+        const pattern = new RegExp(String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ displayName: pattern }, { className: pattern }];
+    }
+    try {
+        const items = await Item.find(filter).sort({ category: 1, displayName: 1 });
+        res.json(items);
+    } catch (error) {
+        console.error('Error fetching catalog items:', error);
+        res.status(500).json({ message: 'Error al obtener el catálogo de objetos.' });
+    }
+});
+
+// 2. GET /api/items/meta - Categorías de objetos y estados de conservación disponibles (público)
+router.get('/meta', (req, res) => {
+    res.json({ categories: Item.CATEGORIES, conditions: Auction.ITEM_CONDITIONS });
+});
+
+// 3. POST /api/items/import - Importar objetos desde CSV (text/csv) o JSON (Gestores del catálogo)
+// CSV con cabecera className,displayName,category,iconUrl. Los objetos existentes (mismo className) se actualizan.
+router.post('/import', authenticateToken, requirePermission(PERMISSIONS.MANAGE_CATALOG),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+        // Sin cuerpo (o un CSV vacío) se responde con el mismo 400 que un formato no reconocido
+        const parsed = parseCatalogImport(req.body || {});
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+        try {
+            const summary = await importCatalogItems(parsed.rows);
+            console.log(`Admin ${req.user.username} importó el catálogo: ${summary.created} nuevos, ${summary.updated} actualizados, ${summary.errors.length} con errores.`);
+            res.json({ message: 'Importación completada.', ...summary });
+        } catch (error) {
+            console.error('Error importing catalog items:', error);
+            res.status(500).json({ message: 'Error al importar el catálogo.' });
+        }
+    });
+
+// 4. GET /api/items/:id - Obtener un objeto del catálogo (público)
+router.get('/:id', async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Objeto no encontrado.' });
+    }
+    try {
+        const item = await Item.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ message: 'Objeto no encontrado.' });
+        }
+        res.json(item);
+    } catch (error) {
+        console.error('Error fetching catalog item:', error);
+        res.status(500).json({ message: 'Error al obtener el objeto.' });
+    }
+});
+
+// 5. POST /api/items - Añadir un objeto al catálogo (Gestores del catálogo)
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.MANAGE_CATALOG), async (req, res) => {
+    const parsed = parseItemInput(req.body || {});
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+    try {
+        if (await Item.exists({ className: parsed.fields.className })) {
+            return res.status(409).json({ message: `Ya existe un objeto con el nombre de clase "${parsed.fields.className}".` });
+        }
+        const item = await Item.create(parsed.fields);
+        res.status(201).json(item);
+    } catch (error) {
+        console.error('Error creating catalog item:', error);
+        res.status(500).json({ message: 'Error al crear el objeto.' });
+    }
+});
+
+// 6. PUT /api/items/:id - Editar un objeto del catálogo (Gestores del catálogo)
+// Las subastas existentes conservan la copia de los datos que tenían al crearse.
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.MANAGE_CATALOG), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Objeto no encontrado.' });
+    }
+    const parsed = parseItemInput(req.body || {}, { partial: true });
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+    try {
+        if (parsed.fields.className && await Item.exists({ className: parsed.fields.className, _id: { $ne: req.params.id } })) {
+            return res.status(409).json({ message: `Ya existe un objeto con el nombre de clase "${parsed.fields.className}".` });
+        }
+        const item = await Item.findByIdAndUpdate(
+            req.params.id,
+            { $set: { ...parsed.fields, updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!item) {
+            return res.status(404).json({ message: 'Objeto no encontrado.' });
+        }
+        res.json({ message: 'Objeto actualizado con éxito.', item });
+    } catch (error) {
+        console.error('Error updating catalog item:', error);
+        res.status(500).json({ message: 'Error al actualizar el objeto.' });
+    }
+});
+
+// 7. DELETE /api/items/:id - Retirar un objeto del catálogo (Gestores del catálogo)
+// No se borra, porque las subastas lo referencian: deja de poder usarse en subastas nuevas.
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.MANAGE_CATALOG), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Objeto no encontrado.' });
+    }
+    try {
+        const item = await Item.findByIdAndUpdate(req.params.id, { $set: { active: false, updatedAt: new Date() } }, { new: true });
+        if (!item) {
+            return res.status(404).json({ message: 'Objeto no encontrado.' });
+        }
+        res.json({ message: 'Objeto retirado del catálogo.', item });
+    } catch (error) {
+        console.error('Error retiring catalog item:', error);
+        res.status(500).json({ message: 'Error al retirar el objeto.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,277 @@
+// routes/listings.js
+// Subastas propuestas por los jugadores. Cualquier jugador con sesión puede proponer una subasta de su
+// propio equipo: queda en 'pending_review' hasta que un admin la aprueba (pasa a activa o programada, con
+// el jugador como creador y vendedor), la rechaza ('rejected') o le pide cambios. El vendedor cobra el
+// precio final en su monedero y no puede pujar en sus propias subastas.
+const express = require('express');
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const { parseNewAuctionInput } = require('../services/auctionInput');
+const { syncAuctionImages } = require('../services/images');
+const { getFirstDutchDropAt } = require('../services/auctionTypes');
+const { notifyNewAuction } = require('../services/notifications');
+const realtime = require('../services/realtime');
+const { snapshotAuction, recordAuctionAudit } = require('../services/audit');
+const { authenticateToken, requireUser, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ message: 'Subasta propuesta no encontrada.' });
+    }
+    next();
+});
+
+// Motivo obligatorio para rechazar o pedir cambios
+function readReason(body) {
+    return typeof body.reason === 'string' ? body.reason.trim().slice(0, 1000) : '';
+}
+
+// Aplica una decisión de revisión solo si la propuesta sigue pendiente y no se ha reenviado mientras tanto.
+// Incrementa la versión para que un reenvío del vendedor leído antes de la decisión falle al guardarse.
+function saveReviewDecision(listing, $set, event) {
+    return Auction.findOneAndUpdate(
+        { _id: listing._id, status: 'pending_review', 'review.state': 'pending', 'review.submittedAt': listing.review.submittedAt },
+        { $set, $push: { 'review.history': event }, $inc: { __v: 1 } },
+        { new: true, projection: '+reservePrice' }
+    );
+}
+
+// Datos de la subasta que sustituye un reenvío. Los opcionales que el vendedor no reenvía (reserva,
+// "Cómpralo Ya", formato, cierre suave, incremento, reventa) vuelven a su valor por defecto.
+const RESUBMITTED_FIELDS = [
+    'title', 'description', 'imageUrl', 'images', 'items', 'category', 'startBid', 'currentBid', 'startDate', 'endDate',
+    'softCloseWindowMinutes', 'softCloseExtensionMinutes', 'maxExtensions', 'reservePrice', 'buyNowPrice',
+    'type', 'sealedPricing', 'dutch', 'incrementRule', 'relistPolicy'
+];
+
+// 1. POST /api/listings - Proponer una subasta (cualquier jugador con sesión)
+// Mismo body que POST /api/auctions; la subasta queda pendiente de revisión.
+router.post('/', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const input = await parseNewAuctionInput(req.body || {}, { user: req.user });
+        if (input.error) {
+            return res.status(400).json({ message: input.error });
+        }
+
+        const now = new Date();
+        const listing = new Auction({
+            ...input.fields,
+            creatorId: req.user.id,
+            creatorName: req.user.username,
+            sellerId: req.user.id,
+            status: 'pending_review',
+            review: {
+                state: 'pending',
+                submittedAt: now,
+                history: [{ state: 'pending', actorId: req.user.id, actorName: req.user.username, at: now }]
+            }
+        });
+        await listing.save();
+        await syncAuctionImages(listing);
+
+        await recordAuctionAudit({ action: 'listing.submit', auction: listing, actor: req.user, after: snapshotAuction(listing) });
+
+        res.status(201).json({ message: 'Subasta enviada a revisión.', listing: listing.toAdminJSON() });
+    } catch (error) {
+        console.error('Error submitting listing:', error);
+        res.status(500).json({ message: 'Error al proponer la subasta.' });
+    }
+});
+
+// 2. GET /api/listings/mine - Mis subastas como vendedor (pendientes, rechazadas, activas y finalizadas)
+router.get('/mine', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const listings = await Auction.find({ sellerId: req.user.id }).select('+reservePrice').sort({ createdAt: -1 });
+        res.json(listings.map(listing => listing.toAdminJSON()));
+    } catch (error) {
+        console.error('Error fetching user listings:', error);
+        res.status(500).json({ message: 'Error al obtener tus subastas.' });
+    }
+});
+
+// 3. GET /api/listings/queue - Cola de revisión (Solo administradores)
+// ?state=pending (por defecto) o changes_requested. Las más antiguas primero.
+router.get('/queue', authenticateToken, requirePermission(PERMISSIONS.REVIEW_LISTINGS), async (req, res) => {
+    const state = req.query.state || 'pending';
+    if (!['pending', 'changes_requested'].includes(state)) {
+        return res.status(400).json({ message: 'Estado no válido. Usa pending o changes_requested.' });
+    }
+    try {
+        const listings = await Auction.find({ status: 'pending_review', 'review.state': state })
+            .select('+reservePrice')
+            .sort({ 'review.submittedAt': 1 });
+        res.json(listings.map(listing => listing.toAdminJSON()));
+    } catch (error) {
+        console.error('Error fetching review queue:', error);
+        res.status(500).json({ message: 'Error al obtener la cola de revisión.' });
+    }
+});
+
+// 4. PUT /api/listings/:id - El vendedor corrige su propuesta y la reenvía a revisión
+// Mismo body que al proponerla: se sustituyen todos los datos, y los opcionales que no se envían vuelven a su
+// valor por defecto. Solo mientras está pendiente de revisión.
+router.put('/:id', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const listing = await Auction.findById(req.params.id).select('+reservePrice');
+        if (!listing || listing.sellerId !== req.user.id) {
+            return res.status(404).json({ message: 'Subasta propuesta no encontrada.' });
+        }
+        if (listing.status !== 'pending_review') {
+            return res.status(400).json({ message: 'Solo se pueden modificar las subastas pendientes de revisión.' });
+        }
+
+        const input = await parseNewAuctionInput(req.body || {}, { user: req.user, auctionId: listing._id });
+        if (input.error) {
+            return res.status(400).json({ message: input.error });
+        }
+        const before = snapshotAuction(listing);
+        const previousImages = listing.images.map(image => image.toObject());
+
+        // Los valores de una subasta nueva con los datos recibidos, con los por defecto de lo que no se envía
+        const replacement = new Auction(input.fields).toObject({ transform: false, depopulate: true });
+        for (const field of RESUBMITTED_FIELDS) {
+            listing.set(field, replacement[field]);
+        }
+        listing.originalEndDate = listing.endDate;
+        const now = new Date();
+        listing.review.state = 'pending';
+        listing.review.submittedAt = now;
+        listing.review.history.push({ state: 'pending', reason: 'Reenviada con cambios', actorId: req.user.id, actorName: req.user.username, at: now });
+
+        // Si un admin ha revisado la propuesta mientras tanto, la versión ya no coincide y no se guarda
+        listing.increment();
+        try {
+            await listing.save();
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                return res.status(409).json({ message: 'La subasta ya ha sido revisada. Vuelve a cargarla.' });
+            }
+            throw error;
+        }
+        await syncAuctionImages(listing, previousImages);
+
+        await recordAuctionAudit({
+            action: 'listing.resubmit',
+            auction: listing,
+            actor: req.user,
+            before,
+            after: snapshotAuction(listing)
+        });
+
+        res.json({ message: 'Subasta reenviada a revisión.', listing: listing.toAdminJSON() });
+    } catch (error) {
+        console.error('Error updating listing:', error);
+        res.status(500).json({ message: 'Error al modificar la subasta propuesta.' });
+    }
+});
+
+// 5. POST /api/listings/:id/approve - Aprobar una propuesta (Solo administradores)
+// Pasa a activa (o programada, si su fecha de inicio es futura) y se anuncia como cualquier otra subasta.
+router.post('/:id/approve', authenticateToken, requirePermission(PERMISSIONS.REVIEW_LISTINGS), async (req, res) => {
+    try {
+        const listing = await Auction.findById(req.params.id);
+        if (!listing || listing.status !== 'pending_review' || listing.review.state !== 'pending') {
+            return res.status(404).json({ message: 'No hay ninguna propuesta pendiente con ese ID.' });
+        }
+        const now = new Date();
+        if (listing.endDate <= now) {
+            return res.status(400).json({ message: 'La fecha de finalización ya ha pasado. Pide cambios al vendedor.' });
+        }
+
+        // Empieza ahora salvo que el vendedor pidiera una fecha de inicio futura
+        const startDate = listing.startDate > now ? listing.startDate : now;
+        const $set = {
+            status: startDate > now ? 'scheduled' : 'active',
+            startDate,
+            'review.state': 'approved',
+            'review.reason': null,
+            'review.reviewedById': req.user.id,
+            'review.reviewedByName': req.user.username,
+            'review.reviewedAt': now
+        };
+        if (listing.type === 'dutch') {
+            $set['dutch.nextDropAt'] = getFirstDutchDropAt(startDate, listing.dutch.intervalMinutes);
+        }
+
+        const approved = await saveReviewDecision(listing, $set, { state: 'approved', actorId: req.user.id, actorName: req.user.username, at: now });
+        if (!approved) {
+            return res.status(409).json({ message: 'La propuesta ha cambiado mientras se revisaba. Vuelve a cargarla.' });
+        }
+
+        await recordAuctionAudit({
+            action: 'listing.approve',
+            auction: approved,
+            actor: req.user,
+            before: snapshotAuction(listing),
+            after: snapshotAuction(approved)
+        });
+
+        const io = req.app.get('socketio');
+        // Las programadas se anuncian cuando se activan (ver services/scheduler.js)
+        if (approved.status === 'active') {
+            notifyNewAuction(approved);
+            if (io) realtime.emitAuctionUpdated(io, approved);
+        }
+        if (io) realtime.emitListingReviewed(io, approved);
+
+        res.json({ message: 'Subasta aprobada.', auction: approved.toAdminJSON() });
+    } catch (error) {
+        console.error('Error approving listing:', error);
+        res.status(500).json({ message: 'Error al aprobar la subasta.' });
+    }
+});
+
+// 6. POST /api/listings/:id/reject - Rechazar una propuesta con un motivo (Solo administradores)
+// 7. POST /api/listings/:id/request-changes - Pedir cambios al vendedor con un motivo (Solo administradores)
+for (const [path, state] of [['reject', 'rejected'], ['request-changes', 'changes_requested']]) {
+    router.post(`/:id/${path}`, authenticateToken, requirePermission(PERMISSIONS.REVIEW_LISTINGS), async (req, res) => {
+        const reason = readReason(req.body || {});
+        if (!reason) {
+            return res.status(400).json({ message: 'Indica el motivo para el vendedor.' });
+        }
+        try {
+            const listing = await Auction.findById(req.params.id);
+            if (!listing || listing.status !== 'pending_review' || listing.review.state !== 'pending') {
+                return res.status(404).json({ message: 'No hay ninguna propuesta pendiente con ese ID.' });
+            }
+
+            const now = new Date();
+            const $set = {
+                'review.state': state,
+                'review.reason': reason,
+                'review.reviewedById': req.user.id,
+                'review.reviewedByName': req.user.username,
+                'review.reviewedAt': now
+            };
+            if (state === 'rejected') {
+                $set.status = 'rejected';
+            }
+            const reviewed = await saveReviewDecision(listing, $set, { state, reason, actorId: req.user.id, actorName: req.user.username, at: now });
+            if (!reviewed) {
+                return res.status(409).json({ message: 'La propuesta ha cambiado mientras se revisaba. Vuelve a cargarla.' });
+            }
+
+            await recordAuctionAudit({
+                action: state === 'rejected' ? 'listing.reject' : 'listing.requestChanges',
+                auction: reviewed,
+                actor: req.user,
+                reason
+            });
+
+            const io = req.app.get('socketio');
+            if (io) realtime.emitListingReviewed(io, reviewed);
+
+            res.json({
+                message: state === 'rejected' ? 'Subasta rechazada.' : 'Se han pedido cambios al vendedor.',
+                listing: reviewed.toAdminJSON()
+            });
+        } catch (error) {
+            console.error(`Error reviewing listing (${state}):`, error);
+            res.status(500).json({ message: 'Error al revisar la subasta.' });
+        }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,165 @@
+// routes/moderation.js
+const express = require('express');
+const mongoose = require('mongoose');
+const BidSanction = require('../models/BidSanction');
+const AbuseFlag = require('../models/AbuseFlag');
+const { activeSanctionFilter, parseSanctionInput } = require('../services/sanctions');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Todas las rutas son de moderación: sanciones de pujas y revisión de los avisos del detector de abusos
+router.use(authenticateToken, requirePermission(PERMISSIONS.MODERATE_PLAYERS));
+
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ message: 'No encontrado.' });
+    }
+    next();
+});
+
+const MAX_LIST_LIMIT = 200;
+
+function parseLimit(value) {
+    return Math.min(Math.max(parseInt(value, 10) || 50, 1), MAX_LIST_LIMIT);
+}
+
+// 1. GET /api/moderation/sanctions - Sanciones de pujas, más recientes primero
+// Acepta ?discordId= y ?active=true (solo las vigentes) y ?limit=N.
+router.get('/sanctions', async (req, res) => {
+    try {
+        const filter = req.query.active === 'true' ? activeSanctionFilter() : {};
+        if (req.query.discordId) {
+            filter.discordId = String(req.query.discordId);
+        }
+        const sanctions = await BidSanction.find(filter).sort({ createdAt: -1 }).limit(parseLimit(req.query.limit));
+        res.json(sanctions);
+    } catch (error) {
+        console.error('Error fetching bid sanctions:', error);
+        res.status(500).json({ message: 'Error al obtener las sanciones.' });
+    }
+});
+
+// 2. POST /api/moderation/sanctions - Sancionar a un jugador: baneo de pujas o aviso (strike)
+// Body: { discordId, username, kind: 'ban'|'strike', reason, expiresAt | durationHours } (sin caducidad = indefinida)
+router.post('/sanctions', async (req, res) => {
+    const parsed = parseSanctionInput(req.body || {});
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+    if (parsed.sanction.discordId === req.user.id) {
+        return res.status(400).json({ message: 'No puedes sancionarte a ti mismo.' });
+    }
+    try {
+        const sanction = await BidSanction.create({ ...parsed.sanction, createdById: req.user.id, createdByName: req.user.username });
+        console.log(`Moderador ${req.user.username} sancionó (${sanction.kind}) a ${sanction.discordId}: ${sanction.reason}`);
+        res.status(201).json({ message: 'Sanción registrada con éxito.', sanction });
+    } catch (error) {
+        console.error('Error creating bid sanction:', error);
+        res.status(500).json({ message: 'Error al registrar la sanción.' });
+    }
+});
+
+// 3. DELETE /api/moderation/sanctions/:id - Levantar una sanción (se conserva en el historial)
+router.delete('/sanctions/:id', async (req, res) => {
+    try {
+        const sanction = await BidSanction.findOneAndUpdate(
+            { _id: req.params.id, liftedAt: null },
+            { $set: { liftedAt: new Date(), liftedById: req.user.id, liftedByName: req.user.username } },
+            { new: true }
+        );
+        if (!sanction) {
+            const exists = await BidSanction.exists({ _id: req.params.id });
+            return exists
+                ? res.status(400).json({ message: 'La sanción ya estaba levantada.' })
+                : res.status(404).json({ message: 'Sanción no encontrada.' });
+        }
+        console.log(`Moderador ${req.user.username} levantó la sanción ${sanction._id} de ${sanction.discordId}.`);
+        res.json({ message: 'Sanción levantada con éxito.', sanction });
+    } catch (error) {
+        console.error('Error lifting bid sanction:', error);
+        res.status(500).json({ message: 'Error al levantar la sanción.' });
+    }
+});
+
+// 4. GET /api/moderation/flags - Avisos del detector de abusos, más recientes primero
+// Acepta ?status=open|dismissed|confirmed|all (por defecto open), ?kind=, ?discordId= y ?limit=N.
+router.get('/flags', async (req, res) => {
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !['open', 'dismissed', 'confirmed'].includes(status)) {
+        return res.status(400).json({ message: 'Estado no válido. Usa open, dismissed, confirmed o all.' });
+    }
+    if (req.query.kind && !AbuseFlag.KINDS.includes(req.query.kind)) {
+        return res.status(400).json({ message: `Tipo no válido. Usa: ${AbuseFlag.KINDS.join(', ')}.` });
+    }
+    try {
+        const filter = status === 'all' ? {} : { status };
+        if (req.query.kind) filter.kind = req.query.kind;
+        if (req.query.discordId) filter.discordIds = String(req.query.discordId);
+        const flags = await AbuseFlag.find(filter)
+            .populate('auctionIds', 'title status endDate')
+            .sort({ createdAt: -1 })
+            .limit(parseLimit(req.query.limit));
+        res.json(flags);
+    } catch (error) {
+        console.error('Error fetching abuse flags:', error);
+        res.status(500).json({ message: 'Error al obtener los avisos.' });
+    }
+});
+
+// 5. POST /api/moderation/flags/:id/review - Cerrar un aviso: descartarlo o confirmarlo
+// Body: { status: 'dismissed'|'confirmed', note, sanction?: { kind, reason, expiresAt | durationHours } }
+// Al confirmar se puede sancionar en el mismo paso a todos los jugadores del aviso.
+router.post('/flags/:id/review', async (req, res) => {
+    const body = req.body || {};
+    const { status, sanction } = body;
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+    if (!['dismissed', 'confirmed'].includes(status)) {
+        return res.status(400).json({ message: 'El estado debe ser "dismissed" o "confirmed".' });
+    }
+    if (sanction && status !== 'confirmed') {
+        return res.status(400).json({ message: 'Solo se puede sancionar al confirmar el aviso.' });
+    }
+    try {
+        const flag = await AbuseFlag.findById(req.params.id);
+        if (!flag) {
+            return res.status(404).json({ message: 'Aviso no encontrado.' });
+        }
+        if (flag.status !== 'open') {
+            return res.status(400).json({ message: `El aviso ya está cerrado (${flag.status}).` });
+        }
+
+        // Validar la sanción para cada jugador antes de cerrar el aviso
+        let sanctions = [];
+        if (sanction) {
+            for (const discordId of flag.discordIds) {
+                const parsed = parseSanctionInput({ ...sanction, discordId, reason: sanction.reason || note });
+                if (parsed.error) {
+                    return res.status(400).json({ message: parsed.error });
+                }
+                sanctions.push({ ...parsed.sanction, flagId: flag._id, createdById: req.user.id, createdByName: req.user.username });
+            }
+        }
+
+        // Escritura condicional: si otro moderador lo ha cerrado a la vez, solo gana uno
+        const reviewed = await AbuseFlag.findOneAndUpdate(
+            { _id: flag._id, status: 'open' },
+            { $set: { status, reviewNote: note || null, reviewedById: req.user.id, reviewedByName: req.user.username, reviewedAt: new Date() } },
+            { new: true }
+        );
+        if (!reviewed) {
+            return res.status(409).json({ message: 'Otro moderador ha revisado este aviso a la vez.' });
+        }
+        if (sanctions.length > 0) {
+            sanctions = await BidSanction.insertMany(sanctions);
+        }
+
+        console.log(`Moderador ${req.user.username} marcó el aviso ${flag._id} (${flag.kind}) como ${status}${sanctions.length > 0 ? ` y sancionó a ${sanctions.length} jugador(es)` : ''}.`);
+        res.json({ message: 'Aviso revisado con éxito.', flag: reviewed, sanctions });
+    } catch (error) {
+        console.error('Error reviewing abuse flag:', error);
+        res.status(500).json({ message: 'Error al revisar el aviso.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// routes/notifications.js
+const express = require('express');
+const Notification = require('../models/Notification');
+const { replayNotification, processOutbox } = require('../services/notifications');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// 1. GET /api/notifications - Listar mensajes de la bandeja de salida (Solo administradores)
+// Por defecto muestra los fallidos (?status=dead); acepta ?status=pending|sending|sent|dead y ?limit=N.
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.MANAGE_NOTIFICATIONS), async (req, res) => {
+    const status = req.query.status || 'dead';
+    if (!NOTIFICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Estado no válido. Usa uno de: ${NOTIFICATION_STATUSES.join(', ')}.` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const notifications = await Notification.find({ status }).sort({ createdAt: -1 }).limit(limit);
+        res.json(notifications);
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Error al obtener las notificaciones.' });
+    }
+});
+
+// 2. POST /api/notifications/replay-dead - Reenviar todos los mensajes fallidos (Solo administradores)
+router.post('/replay-dead', authenticateToken, requirePermission(PERMISSIONS.MANAGE_NOTIFICATIONS), async (req, res) => {
+    try {
+        const now = new Date();
+        const result = await Notification.updateMany(
+            { status: 'dead' },
+            { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, lockedUntil: null, lastError: null, updatedAt: now } }
+        );
+        processOutbox();
+        res.json({ message: `${result.modifiedCount} notificaciones puestas de nuevo en cola.` });
+    } catch (error) {
+        console.error('Error replaying dead notifications:', error);
+        res.status(500).json({ message: 'Error al reenviar las notificaciones fallidas.' });
+    }
+});
+
+// 3. POST /api/notifications/:id/replay - Reenviar un mensaje fallido o ya enviado (Solo administradores)
+router.post('/:id/replay', authenticateToken, requirePermission(PERMISSIONS.MANAGE_NOTIFICATIONS), async (req, res) => {
+    try {
+        const notification = await replayNotification(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ message: 'Notificación no encontrada o todavía pendiente de envío.' });
+        }
+        processOutbox();
+        res.json({ message: 'Notificación puesta de nuevo en cola.', notification });
+    } catch (error) {
+        console.error('Error replaying notification:', error);
+        res.status(500).json({ message: 'Error al reenviar la notificación.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// routes/permissions.js
+const express = require('express');
+const RolePermission = require('../models/RolePermission');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+const {
+    ALL_PERMISSIONS,
+    CONFIG_MAPPINGS,
+    BID_REQUIRED_ROLE_IDS,
+    invalidatePermissionCache
+} = require('../services/permissions');
+
+const router = express.Router();
+
+// 1. GET /api/permissions - Permisos disponibles y asignaciones por rol (configuración y base de datos)
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.MANAGE_PERMISSIONS), async (req, res) => {
+    try {
+        const roles = await RolePermission.find().sort({ roleId: 1 });
+        res.json({
+            permissions: ALL_PERMISSIONS,
+            bidRequiredRoleIds: BID_REQUIRED_ROLE_IDS,
+            configRoles: CONFIG_MAPPINGS, // De ADMIN_DISCORD_ROLE_IDS y ROLE_PERMISSIONS (solo lectura)
+            roles
+        });
+    } catch (error) {
+        console.error('Error fetching role permissions:', error);
+        res.status(500).json({ message: 'Error al obtener los permisos.' });
+    }
+});
+
+// 2. PUT /api/permissions/roles/:roleId - Crear o reemplazar los permisos de un rol de Discord
+router.put('/roles/:roleId', authenticateToken, requirePermission(PERMISSIONS.MANAGE_PERMISSIONS), async (req, res) => {
+    const { roleId } = req.params;
+    const { name, permissions } = req.body || {};
+
+    if (!/^\d+$/.test(roleId)) {
+        return res.status(400).json({ message: 'El ID del rol de Discord no es válido.' });
+    }
+    if (!Array.isArray(permissions)) {
+        return res.status(400).json({ message: 'Los permisos deben ser una lista.' });
+    }
+    const unknown = permissions.filter(permission => permission !== '*' && !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+        return res.status(400).json({ message: `Permisos desconocidos: ${unknown.join(', ')}.` });
+    }
+
+    try {
+        const role = await RolePermission.findOneAndUpdate(
+            { roleId },
+            { $set: { name: name || null, permissions: [...new Set(permissions)], updatedById: req.user.id, updatedAt: new Date() } },
+            { upsert: true, new: true }
+        );
+        invalidatePermissionCache();
+        console.log(`Admin ${req.user.username} actualizó los permisos del rol ${roleId}: ${role.permissions.join(', ')}`);
+        res.json({ message: 'Permisos del rol guardados con éxito.', role });
+    } catch (error) {
+        console.error('Error saving role permissions:', error);
+        res.status(500).json({ message: 'Error al guardar los permisos del rol.' });
+    }
+});
+
+// 3. DELETE /api/permissions/roles/:roleId - Quitar los permisos guardados de un rol
+router.delete('/roles/:roleId', authenticateToken, requirePermission(PERMISSIONS.MANAGE_PERMISSIONS), async (req, res) => {
+    try {
+        const role = await RolePermission.findOneAndDelete({ roleId: req.params.roleId });
+        if (!role) {
+            return res.status(404).json({ message: 'El rol no tiene permisos guardados.' });
+        }
+        invalidatePermissionCache();
+        console.log(`Admin ${req.user.username} eliminó los permisos del rol ${req.params.roleId}.`);
+        res.json({ message: 'Permisos del rol eliminados con éxito.' });
+    } catch (error) {
+        console.error('Error deleting role permissions:', error);
+        res.status(500).json({ message: 'Error al eliminar los permisos del rol.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// routes/stats.js
+const express = require('express');
+const Auction = require('../models/Auction');
+const {
+    STATS_INTERVALS,
+    EXPORT_FORMATS,
+    DEFAULT_TOP_LIMIT,
+    MAX_TOP_LIMIT,
+    CSV_COLUMNS,
+    parseDateRange,
+    getVolume,
+    getSummary,
+    getTopParticipants,
+    getPriceHistory,
+    auctionToCsvRows,
+    exportCursor
+} = require('../services/marketStats');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Todas las rutas aceptan ?from= y ?to= (fechas ISO) sobre la fecha de finalización de las subastas
+router.use(authenticateToken, requirePermission(PERMISSIONS.VIEW_STATS), (req, res, next) => {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ message: range.error });
+    }
+    req.dateMatch = range.match;
+    next();
+});
+
+// 1. GET /api/stats/summary - Resumen: ventas por resultado, tasa de venta, Rublos movidos y precio final medio frente a la puja inicial
+router.get('/summary', async (req, res) => {
+    try {
+        res.json(await getSummary(req.dateMatch));
+    } catch (error) {
+        console.error('Error fetching market summary:', error);
+        res.status(500).json({ message: 'Error al obtener el resumen del mercado.' });
+    }
+});
+
+// 2. GET /api/stats/volume - Rublos movidos y ventas por periodo (?interval=day|week, por defecto day)
+router.get('/volume', async (req, res) => {
+    const interval = req.query.interval || 'day';
+    if (!STATS_INTERVALS.includes(interval)) {
+        return res.status(400).json({ message: `Intervalo no válido. Usa uno de: ${STATS_INTERVALS.join(', ')}.` });
+    }
+    try {
+        res.json({ interval, periods: await getVolume(req.dateMatch, interval) });
+    } catch (error) {
+        console.error('Error fetching market volume:', error);
+        res.status(500).json({ message: 'Error al obtener el volumen del mercado.' });
+    }
+});
+
+// 3. GET /api/stats/top - Jugadores que más pujan y que más ganan (?limit=N)
+router.get('/top', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_TOP_LIMIT, 1), MAX_TOP_LIMIT);
+    try {
+        res.json(await getTopParticipants(req.dateMatch, limit));
+    } catch (error) {
+        console.error('Error fetching top participants:', error);
+        res.status(500).json({ message: 'Error al obtener los jugadores más activos.' });
+    }
+});
+
+// 4. GET /api/stats/price-history - Precios de venta de un objeto (?item=<className>) o por título (?title=)
+router.get('/price-history', async (req, res) => {
+    try {
+        const result = await getPriceHistory(req.dateMatch, { item: req.query.item, title: req.query.title });
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching price history:', error);
+        res.status(500).json({ message: 'Error al obtener el historial de precios.' });
+    }
+});
+
+// 5. GET /api/stats/export - Exportar subastas con su historial de pujas (?format=json|csv, ?status=)
+// Se envía como archivo adjunto y se escribe a medida que se leen las subastas. El CSV lleva BOM para que
+// las hojas de cálculo lo abran como UTF-8.
+router.get('/export', async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `Formato no válido. Usa uno de: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+    const { status } = req.query;
+    const statuses = Auction.schema.path('status').enumValues;
+    if (status && !statuses.includes(status)) {
+        return res.status(400).json({ message: `Estado no válido. Usa uno de: ${statuses.join(', ')}.` });
+    }
+
+    const filename = `subastas-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+
+    try {
+        let first = true;
+        res.write(format === 'csv' ? `\uFEFF${CSV_COLUMNS.join(',')}\n` : '[');
+        for await (const auction of exportCursor(req.dateMatch, { status })) {
+            if (format === 'csv') {
+                res.write(`${auctionToCsvRows(auction).join('\n')}\n`);
+            } else {
+                res.write(`${first ? '' : ','}\n${JSON.stringify(auction.toAdminJSON())}`);
+            }
+            first = false;
+        }
+        res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+        console.error('Error exporting auctions:', error);
+        // La respuesta ya ha empezado: solo se puede cortar
+        res.end();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+// routes/templates.js
+const express = require('express');
+const mongoose = require('mongoose');
+const AuctionTemplate = require('../models/AuctionTemplate');
+const { parseTemplateInput, createAuctionFromTemplate } = require('../services/templates');
+const { syncTemplateImages, deleteImages } = require('../services/images');
+const { notifyNewAuction } = require('../services/notifications');
+const realtime = require('../services/realtime');
+const { snapshotAuction, recordAuctionAudit } = require('../services/audit');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Todas las rutas son de administración: las plantillas solo sirven para crear subastas
+router.use(authenticateToken, requirePermission(PERMISSIONS.CREATE_AUCTIONS));
+
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ message: 'Plantilla no encontrada.' });
+    }
+    next();
+});
+
+// 1. GET /api/templates - Plantillas de subasta, por nombre
+router.get('/', async (req, res) => {
+    try {
+        const templates = await AuctionTemplate.find().sort({ name: 1 });
+        res.json(templates);
+    } catch (error) {
+        console.error('Error fetching auction templates:', error);
+        res.status(500).json({ message: 'Error al obtener las plantillas.' });
+    }
+});
+
+// 2. GET /api/templates/:id - Una plantilla
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await AuctionTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Plantilla no encontrada.' });
+        }
+        res.json(template);
+    } catch (error) {
+        console.error('Error fetching auction template:', error);
+        res.status(500).json({ message: 'Error al obtener la plantilla.' });
+    }
+});
+
+// 3. POST /api/templates - Crear una plantilla
+// Body: { name, durationHours, imageIds } más los datos de la subasta que acepta POST /api/auctions
+// (title, description, items, startBid, incrementRule, reservePrice, buyNowPrice, type, relistPolicy...).
+router.post('/', async (req, res) => {
+    try {
+        const parsed = await parseTemplateInput(req.body || {}, { user: req.user });
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+        const template = new AuctionTemplate({
+            ...parsed.fields,
+            createdById: req.user.id,
+            createdByName: req.user.username
+        });
+        await template.save();
+        await syncTemplateImages(template);
+
+        res.status(201).json({ message: 'Plantilla creada con éxito.', template });
+    } catch (error) {
+        console.error('Error creating auction template:', error);
+        res.status(500).json({ message: 'Error al crear la plantilla.' });
+    }
+});
+
+// 4. PUT /api/templates/:id - Modificar una plantilla (solo los campos enviados; imageIds sustituye la lista)
+// Las subastas ya creadas desde la plantilla no cambian.
+router.put('/:id', async (req, res) => {
+    try {
+        const template = await AuctionTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Plantilla no encontrada.' });
+        }
+        const parsed = await parseTemplateInput(req.body || {}, { user: req.user, template });
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+        const previousImages = template.images.map(image => image.toObject());
+
+        Object.assign(template, parsed.fields);
+        template.markModified('auctionInput');
+        template.updatedById = req.user.id;
+        template.updatedByName = req.user.username;
+        template.updatedAt = new Date();
+        await template.save();
+        await syncTemplateImages(template, previousImages);
+
+        res.json({ message: 'Plantilla actualizada con éxito.', template });
+    } catch (error) {
+        console.error('Error updating auction template:', error);
+        res.status(500).json({ message: 'Error al actualizar la plantilla.' });
+    }
+});
+
+// 5. DELETE /api/templates/:id - Borrar una plantilla y sus imágenes
+// Las subastas creadas desde ella tienen sus propias copias de las imágenes y no se ven afectadas.
+router.delete('/:id', async (req, res) => {
+    try {
+        const template = await AuctionTemplate.findByIdAndDelete(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Plantilla no encontrada.' });
+        }
+        await deleteImages(template.images.map(image => image.imageId));
+        console.log(`Admin ${req.user.username} borró la plantilla de subasta "${template.name}".`);
+        res.json({ message: 'Plantilla borrada con éxito.' });
+    } catch (error) {
+        console.error('Error deleting auction template:', error);
+        res.status(500).json({ message: 'Error al borrar la plantilla.' });
+    }
+});
+
+// 6. POST /api/templates/:id/auctions - Crear una subasta desde la plantilla
+// Body opcional: { startDate, endDate, draft }. Por defecto empieza ahora y dura durationHours; con
+// draft: true se crea como borrador para revisarla antes de publicarla (POST /api/auctions/:id/publish).
+router.post('/:id/auctions', async (req, res) => {
+    const body = req.body || {};
+    try {
+        const template = await AuctionTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Plantilla no encontrada.' });
+        }
+        const result = await createAuctionFromTemplate(template, {
+            user: req.user,
+            startDate: body.startDate,
+            endDate: body.endDate,
+            draft: body.draft === true
+        });
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+        const { auction } = result;
+
+        await recordAuctionAudit({
+            action: 'auction.create',
+            auction,
+            actor: req.user,
+            after: snapshotAuction(auction),
+            reason: `Creada desde la plantilla "${template.name}"`
+        });
+
+        // Las programadas se anuncian cuando se activan (ver services/scheduler.js) y los borradores al publicarse
+        if (auction.status === 'active') {
+            notifyNewAuction(auction);
+            const io = req.app.get('socketio');
+            if (io) realtime.emitAuctionUpdated(io, auction);
+        }
+
+        res.status(201).json({ message: 'Subasta creada desde la plantilla.', auction: auction.toAdminJSON() });
+    } catch (error) {
+        console.error('Error creating auction from template:', error);
+        res.status(500).json({ message: 'Error al crear la subasta desde la plantilla.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+// routes/users.js
+const express = require('express');
+const Auction = require('../models/Auction');
+const User = require('../models/User');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+const { revokeAllSessions } = require('../services/tokens');
+const { summarizeParticipation, findBidAuctions } = require('../services/participation'); // Pujas de un usuario
+
+const router = express.Router();
+
+// 1. GET /api/users/me/bids - Subastas en las que he pujado, con mi puja más alta y si voy ganando
+router.get('/me/bids', authenticateToken, async (req, res) => {
+    if (!req.user || !req.user.id) {
+        return res.status(401).json({ message: 'Debes iniciar sesión para ver tus pujas.' });
+    }
+    try {
+        const auctions = await findBidAuctions(req.user.id, req.query.status);
+        res.json(auctions.map(auction => summarizeParticipation(auction, req.user.id)));
+    } catch (error) {
+        console.error('Error fetching user bids:', error);
+        res.status(500).json({ message: 'Error al obtener tus pujas.' });
+    }
+});
+
+// 2. GET /api/users/me/wins - Subastas que he ganado
+router.get('/me/wins', authenticateToken, async (req, res) => {
+    if (!req.user || !req.user.id) {
+        return res.status(401).json({ message: 'Debes iniciar sesión para ver tus subastas ganadas.' });
+    }
+    try {
+        const auctions = await Auction.find({ winnerId: req.user.id, status: 'finalized' }).sort({ endDate: -1 });
+        res.json(auctions);
+    } catch (error) {
+        console.error('Error fetching user wins:', error);
+        res.status(500).json({ message: 'Error al obtener tus subastas ganadas.' });
+    }
+});
+
+// 3. GET /api/users/:discordId - Perfil e historial completo de pujas de cualquier usuario (Solo administradores)
+router.get('/:discordId', authenticateToken, requirePermission(PERMISSIONS.MANAGE_USERS), async (req, res) => {
+    const { discordId } = req.params;
+    try {
+        const user = await User.findOne({ discordId });
+        const auctions = await findBidAuctions(discordId, req.query.status);
+        const participations = auctions.map(auction => summarizeParticipation(auction, discordId, { includeBids: true }));
+        const wins = participations.filter(participation => participation.isWinner);
+
+        if (!user && participations.length === 0) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+
+        res.json({
+            user,
+            stats: {
+                auctionsBidOn: participations.length,
+                totalBids: participations.reduce((total, participation) => total + participation.myBidCount, 0),
+                auctionsWon: wins.length,
+                totalSpent: wins.reduce((total, participation) => total + (participation.finalPrice || 0), 0)
+            },
+            auctions: participations
+        });
+    } catch (error) {
+        console.error('Error fetching user record for admin:', error);
+        res.status(500).json({ message: 'Error al obtener el historial del usuario.' });
+    }
+});
+
+// 4. POST /api/users/:discordId/revoke-sessions - Cerrar todas las sesiones de un usuario al momento (Solo administradores)
+router.post('/:discordId/revoke-sessions', authenticateToken, requirePermission(PERMISSIONS.MANAGE_USERS), async (req, res) => {
+    const body = req.body || {};
+    try {
+        await revokeAllSessions(req.params.discordId, { reason: body.reason || 'Revocado por un administrador', revokedById: req.user.id });
+        console.log(`Admin ${req.user.username} revocó todas las sesiones de ${req.params.discordId}.`);
+        res.json({ message: 'Sesiones del usuario revocadas con éxito.' });
+    } catch (error) {
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({ message: 'Error al revocar las sesiones del usuario.' });
+    }
+});
+
+// 5. POST /api/users/:discordId/ban - Banear a un usuario de la web: revoca sus sesiones y le impide volver a entrar (Solo administradores)
+router.post('/:discordId/ban', authenticateToken, requirePermission(PERMISSIONS.MANAGE_USERS), async (req, res) => {
+    const { discordId } = req.params;
+    const body = req.body || {};
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) {
+        return res.status(400).json({ message: 'Debes indicar el motivo del baneo.' });
+    }
+    if (discordId === req.user.id) {
+        return res.status(400).json({ message: 'No puedes banearte a ti mismo.' });
+    }
+    try {
+        const user = await User.findOneAndUpdate(
+            { discordId },
+            { $set: { bannedAt: new Date(), banReason: reason, bannedById: req.user.id } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+        await revokeAllSessions(discordId, { reason: `Baneo: ${reason}`, revokedById: req.user.id });
+        console.log(`Admin ${req.user.username} baneó a ${user.username} (${discordId}): ${reason}`);
+        res.json({ message: 'Usuario baneado con éxito.', user });
+    } catch (error) {
+        console.error('Error banning user:', error);
+        res.status(500).json({ message: 'Error al banear al usuario.' });
+    }
+});
+
+// 6. DELETE /api/users/:discordId/ban - Levantar el baneo de un usuario (Solo administradores)
+router.delete('/:discordId/ban', authenticateToken, requirePermission(PERMISSIONS.MANAGE_USERS), async (req, res) => {
+    try {
+        const user = await User.findOneAndUpdate(
+            { discordId: req.params.discordId },
+            { $set: { bannedAt: null, banReason: null, bannedById: null } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+        console.log(`Admin ${req.user.username} levantó el baneo de ${user.username} (${user.discordId}).`);
+        res.json({ message: 'Baneo levantado con éxito.', user });
+    } catch (error) {
+        console.error('Error unbanning user:', error);
+        res.status(500).json({ message: 'Error al levantar el baneo.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+// routes/wallet.js
+const express = require('express');
+const Auction = require('../models/Auction');
+const WalletTransaction = require('../models/WalletTransaction');
+const { getOrCreateWallet, adjustBalance } = require('../services/wallet');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Número de movimientos del historial que se devuelven por defecto (y máximo permitido)
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+// Construye la respuesta de un monedero: saldo, retenciones (con el título de cada subasta) e historial.
+// Acepta ?limit=N y ?before=<fecha ISO> para paginar el historial hacia atrás.
+async function buildWalletResponse(discordId, username, query) {
+    const wallet = await getOrCreateWallet(discordId, username);
+
+    const auctionIds = wallet.holds.map(hold => hold.auctionId);
+    const auctions = await Auction.find({ _id: { $in: auctionIds } }).select('title status endDate currentBid currentBidderId');
+    const auctionsById = new Map(auctions.map(auction => [String(auction._id), auction]));
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+    const historyFilter = { discordId };
+    if (query.before) {
+        const before = new Date(query.before);
+        if (!isNaN(before.getTime())) {
+            historyFilter.createdAt = { $lt: before };
+        }
+    }
+    const history = await WalletTransaction.find(historyFilter).sort({ createdAt: -1 }).limit(limit);
+
+    return {
+        discordId: wallet.discordId,
+        username: wallet.username,
+        balance: wallet.balance,
+        held: wallet.held,
+        available: wallet.available,
+        holds: wallet.holds.map(hold => {
+            const auction = auctionsById.get(String(hold.auctionId));
+            return {
+                auctionId: hold.auctionId,
+                auctionTitle: auction ? auction.title : null,
+                auctionStatus: auction ? auction.status : null,
+                auctionEndDate: auction ? auction.endDate : null,
+                amount: hold.amount,
+                isLeading: auction ? auction.currentBidderId === discordId : false,
+                updatedAt: hold.updatedAt
+            };
+        }),
+        history
+    };
+}
+
+// Valida el body de un ajuste manual de saldo (amount positivo y motivo obligatorio)
+function validateAdjustment(body) {
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return { error: 'La cantidad debe ser un número positivo.' };
+    }
+    if (!body.reason || typeof body.reason !== 'string' || !body.reason.trim()) {
+        return { error: 'Debes indicar el motivo del ajuste.' };
+    }
+    return { amount, reason: body.reason.trim() };
+}
+
+// 1. GET /api/wallet - Monedero del usuario logueado (saldo, retenciones e historial)
+router.get('/', authenticateToken, async (req, res) => {
+    if (!req.user || !req.user.id) {
+        return res.status(401).json({ message: 'Debes iniciar sesión para ver tu monedero.' });
+    }
+    try {
+        res.json(await buildWalletResponse(req.user.id, req.user.username, req.query));
+    } catch (error) {
+        console.error('Error fetching wallet:', error);
+        res.status(500).json({ message: 'Error al obtener el monedero.' });
+    }
+});
+
+// 2. GET /api/wallet/:discordId - Monedero de cualquier usuario (Solo administradores)
+router.get('/:discordId', authenticateToken, requirePermission(PERMISSIONS.MANAGE_WALLETS), async (req, res) => {
+    try {
+        res.json(await buildWalletResponse(req.params.discordId, null, req.query));
+    } catch (error) {
+        console.error('Error fetching wallet for admin:', error);
+        res.status(500).json({ message: 'Error al obtener el monedero.' });
+    }
+});
+
+// Manejador común de los ajustes manuales de saldo ('credit' o 'debit')
+function adjustBalanceHandler(type) {
+    return async (req, res) => {
+        const body = req.body || {};
+        const adjustment = validateAdjustment(body);
+        if (adjustment.error) {
+            return res.status(400).json({ message: adjustment.error });
+        }
+
+        try {
+            const result = await adjustBalance(req.params.discordId, adjustment.amount, {
+                type,
+                reason: adjustment.reason,
+                actorId: req.user.id,
+                actorName: req.user.username,
+                username: body.username
+            });
+            if (result.error) {
+                return res.status(400).json({ message: result.error });
+            }
+            console.log(`Admin ${req.user.username} (${type}) ${adjustment.amount} Rublos al monedero de ${req.params.discordId}: ${adjustment.reason}`);
+            res.json({
+                message: type === 'credit' ? 'Saldo ingresado con éxito.' : 'Saldo retirado con éxito.',
+                wallet: result.wallet,
+                transaction: result.transaction
+            });
+        } catch (error) {
+            console.error(`Error applying wallet ${type}:`, error);
+            res.status(500).json({ message: 'Error al ajustar el saldo del monedero.' });
+        }
+    };
+}
+
+// 3. POST /api/wallet/:discordId/credit - Ingresar Rublos con un motivo (Solo administradores)
+router.post('/:discordId/credit', authenticateToken, requirePermission(PERMISSIONS.MANAGE_WALLETS), adjustBalanceHandler('credit'));
+
+// 4. POST /api/wallet/:discordId/debit - Retirar Rublos con un motivo (Solo administradores)
+router.post('/:discordId/debit', authenticateToken, requirePermission(PERMISSIONS.MANAGE_WALLETS), adjustBalanceHandler('debit'));
+
+module.exports = router;
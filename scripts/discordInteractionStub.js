@@ -0,0 +1,140 @@
+// scripts/discordInteractionStub.js
+// Sustituto local de Discord para probar /api/discord/interactions sin registrar la aplicación: firma las
+// interacciones con Ed25519 igual que Discord y muestra la respuesta del backend.
+//
+// 1. Generar un par de claves y arrancar el backend con la clave pública:
+//      node scripts/discordInteractionStub.js keygen
+//    (pon DISCORD_PUBLIC_KEY en el .env del backend y DISCORD_STUB_PRIVATE_KEY en el entorno del sustituto)
+// 2. Enviar interacciones:
+//      node scripts/discordInteractionStub.js ping
+//      node scripts/discordInteractionStub.js subastas
+//      node scripts/discordInteractionStub.js subasta <id>
+//      node scripts/discordInteractionStub.js pujar <id> <cantidad>
+//      node scripts/discordInteractionStub.js mis-pujas
+//      node scripts/discordInteractionStub.js boton <id>            (pulsar "Pujar" en un anuncio)
+//      node scripts/discordInteractionStub.js modal <id> <cantidad>  (enviar el formulario de puja)
+//    Con --firma-incorrecta se envía una firma inválida (el backend debe responder 401).
+//    pujar y modal reciben una respuesta diferida (type 5): el resultado de la puja lo envía el backend
+//    editando la respuesta en Discord, lo que sin Discord falla y queda en la consola del backend.
+//
+// Variables: STUB_URL (por defecto http://localhost:<PORT>/api/discord/interactions), STUB_USER_ID,
+// STUB_USERNAME, STUB_ROLES (IDs de roles separados por comas) y DISCORD_GUILD_ID.
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+
+const STUB_URL = process.env.STUB_URL || `http://localhost:${process.env.PORT || 3000}/api/discord/interactions`;
+
+// Genera un par de claves Ed25519: la pública en hex (como la muestra Discord) y la privada en PKCS#8 (hex)
+function generateKeys() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        publicKey: publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex'),
+        privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('hex')
+    };
+}
+
+// Firma el cuerpo como Discord: Ed25519 sobre el timestamp seguido del cuerpo
+function signInteraction(privateKeyHex, body, timestamp = String(Math.floor(Date.now() / 1000))) {
+    const privateKey = crypto.createPrivateKey({ key: Buffer.from(privateKeyHex, 'hex'), format: 'der', type: 'pkcs8' });
+    const signature = crypto.sign(null, Buffer.from(timestamp + body, 'utf8'), privateKey).toString('hex');
+    return { signature, timestamp };
+}
+
+// Interacción con los campos que usa el backend, como si la enviara un miembro del servidor
+function buildInteraction(type, data) {
+    return {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        data,
+        guild_id: process.env.DISCORD_GUILD_ID || '966528764878131240',
+        member: {
+            roles: (process.env.STUB_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+            user: {
+                id: process.env.STUB_USER_ID || '100000000000000001',
+                username: process.env.STUB_USERNAME || 'superviviente_local',
+                avatar: null
+            }
+        },
+        application_id: process.env.DISCORD_CLIENT_ID || '000000000000000000',
+        token: 'stub-token',
+        version: 1
+    };
+}
+
+function buildFromArgs([command, ...args]) {
+    switch (command) {
+        case 'ping':
+            return { type: 1 };
+        case 'subastas':
+        case 'mis-pujas':
+            return buildInteraction(2, { name: command, type: 1 });
+        case 'subasta':
+            return buildInteraction(2, { name: 'subasta', type: 1, options: [{ name: 'id', type: 3, value: args[0] }] });
+        case 'pujar':
+            return buildInteraction(2, {
+                name: 'pujar',
+                type: 1,
+                options: [{ name: 'id', type: 3, value: args[0] }, { name: 'cantidad', type: 4, value: Number(args[1]) }]
+            });
+        case 'boton':
+            return buildInteraction(3, { custom_id: `bid:${args[0]}`, component_type: 2 });
+        case 'modal':
+            return buildInteraction(5, {
+                custom_id: `bid-modal:${args[0]}`,
+                components: [{ type: 1, components: [{ type: 4, custom_id: 'amount', value: String(args[1]) }] }]
+            });
+        default:
+            return null;
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2).filter(arg => arg !== '--firma-incorrecta');
+    if (args[0] === 'keygen') {
+        const keys = generateKeys();
+        console.log(`DISCORD_PUBLIC_KEY=${keys.publicKey}`);
+        console.log(`DISCORD_STUB_PRIVATE_KEY=${keys.privateKey}`);
+        return;
+    }
+
+    const interaction = buildFromArgs(args);
+    if (!interaction) {
+        console.error('Uso: node scripts/discordInteractionStub.js keygen|ping|subastas|subasta <id>|pujar <id> <cantidad>|mis-pujas|boton <id>|modal <id> <cantidad>');
+        process.exitCode = 1;
+        return;
+    }
+    if (!process.env.DISCORD_STUB_PRIVATE_KEY) {
+        console.error('Falta DISCORD_STUB_PRIVATE_KEY (genérala con: node scripts/discordInteractionStub.js keygen).');
+        process.exitCode = 1;
+        return;
+    }
+
+    const body = JSON.stringify(interaction);
+    const { signature, timestamp } = signInteraction(process.env.DISCORD_STUB_PRIVATE_KEY, body);
+    const badSignature = process.argv.includes('--firma-incorrecta');
+    const response = await axios.post(STUB_URL, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Signature-Ed25519': badSignature ? signature.replace(/^./, c => (c === '0' ? '1' : '0')) : signature,
+            'X-Signature-Timestamp': timestamp
+        },
+        validateStatus: () => true,
+        timeout: 10000
+    });
+    console.log(`HTTP ${response.status}`);
+    console.log(JSON.stringify(response.data, null, 2));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error enviando la interacción:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    generateKeys,
+    signInteraction,
+    buildInteraction
+};
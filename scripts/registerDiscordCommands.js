@@ -0,0 +1,28 @@
+// scripts/registerDiscordCommands.js
+// Registra (o actualiza) los comandos de barra de las subastas en el servidor de Discord.
+// Necesita DISCORD_CLIENT_ID (ID de la aplicación), DISCORD_BOT_TOKEN y DISCORD_GUILD_ID.
+// Uso: node scripts/registerDiscordCommands.js
+require('dotenv').config();
+const axios = require('axios');
+const { COMMAND_DEFINITIONS } = require('../services/discordInteractions');
+const { DISCORD_GUILD_ID } = require('../services/discordGuild');
+
+async function main() {
+    if (!process.env.DISCORD_CLIENT_ID || !process.env.DISCORD_BOT_TOKEN) {
+        console.error('Faltan DISCORD_CLIENT_ID o DISCORD_BOT_TOKEN.');
+        process.exitCode = 1;
+        return;
+    }
+    // PUT sustituye todos los comandos del servidor por esta lista
+    const response = await axios.put(
+        `https://discord.com/api/v10/applications/${process.env.DISCORD_CLIENT_ID}/guilds/${DISCORD_GUILD_ID}/commands`,
+        COMMAND_DEFINITIONS,
+        { headers: { Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}` }, timeout: 10000 }
+    );
+    console.log(`Comandos registrados en el servidor ${DISCORD_GUILD_ID}: ${response.data.map(command => `/${command.name}`).join(', ')}`);
+}
+
+main().catch(error => {
+    console.error('Error registrando los comandos:', error.response ? JSON.stringify(error.response.data) : error.message);
+    process.exitCode = 1;
+});
@@ -3,12 +3,12 @@ const express = require('express');
 const passport = require('passport');
 const DiscordStrategy = require('passport-discord').Strategy;
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
-const cron = require('node-cron');
-const axios = require('axios'); // Necesario para hacer llamadas a la API de Discord
 const http = require('http'); // Importar módulo HTTP para Socket.IO
 const { Server } = require('socket.io'); // Importar Server de Socket.IO
+const User = require('./models/User'); // Perfiles persistentes de usuarios de Discord
+const { fetchGuildMember } = require('./services/discordGuild'); // Roles del usuario en el gremio
+const tokens = require('./services/tokens'); // Tokens de acceso, de refresco y revocación
 
 const app = express();
 const server = http.createServer(app); // Crear servidor HTTP a partir de la app Express
@@ -26,12 +26,10 @@ const RENDER_BACKEND_URL = process.env.RENDER_BACKEND_URL || `https://guerra-mun
 // Esta será la URL de tu frontend de GitHub Pages.
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://guerramundialz.github.io'; // ¡Tu URL de GitHub Pages!
 
-// ¡IMPORTANTE! Reemplaza con el ID de tu SERVIDOR (GUILD) de Discord.
-// Necesario para verificar los roles del usuario en ese servidor.
-const DISCORD_GUILD_ID = process.env.DISCORD_GUILD_ID || '966528764878131240'; // <-- ¡CONFIRMA ESTE ID!
+// El ID del SERVIDOR (GUILD) de Discord (DISCORD_GUILD_ID), necesario para verificar los roles
+// del usuario, se usa en services/discordGuild.js.
 
-// URL del Webhook de Discord para notificaciones.
-const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
+// La URL del Webhook de Discord (DISCORD_WEBHOOK_URL) se usa en services/notifications.js.
 
 // Configuración de CORS
 const corsOptions = {
@@ -42,6 +40,16 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// Render (y la mayoría de alojamientos) pone un proxy delante: confiar en él para que req.ip sea la IP
+// real del cliente, que usan los límites de peticiones por IP (middleware/antiAbuse.js).
+// TRUST_PROXY_HOPS indica cuántos proxies hay delante (0 si el backend se expone directamente).
+app.set('trust proxy', process.env.TRUST_PROXY_HOPS !== undefined ? parseInt(process.env.TRUST_PROXY_HOPS, 10) || false : 1);
+
+// Interacciones de Discord (comandos de barra y botón "Pujar"): se monta antes de express.json() porque
+// necesita el cuerpo sin parsear para verificar la firma Ed25519 de Discord
+const interactionRoutes = require('./routes/interactions');
+app.use('/api/discord/interactions', interactionRoutes(io));
+
 // Middleware para parsear cuerpos de petición JSON.
 app.use(express.json());
 
@@ -60,57 +68,68 @@ async function(accessToken, refreshToken, profile, cb) {
     console.log('Profile ID:', profile.id);
     console.log('Profile Username:', profile.username);
 
-    let isAdminUser = false;
-    let userGuildRoles = []; // Almacenará los IDs de los roles del usuario en el gremio
+    // Roles del usuario en el gremio (con el token OAuth del usuario o, si está configurado, con el bot).
+    // Si hay un error al obtenerlos (ej. el usuario no está en el gremio), no se le considerará administrador.
+    const member = await fetchGuildMember(profile.id, accessToken);
+    const userGuildRoles = member.guildRoles || []; // IDs de los roles del usuario en el gremio
+    const isAdminUser = Boolean(member.isAdmin);
+    console.log('Roles del usuario en el gremio:', userGuildRoles);
+
+    // Adjuntar la bandera isAdmin y los roles del gremio al perfil para el JWT
+    profile.isAdmin = isAdminUser;
+    profile.guildRoles = userGuildRoles; // Guardamos los roles obtenidos del gremio
+    // Token OAuth de Discord, para volver a comprobar los roles al refrescar la sesión
+    profile.discordAccessToken = accessToken;
 
+    // Crear o actualizar el perfil persistente del usuario. Un fallo aquí no impide iniciar sesión.
     try {
-        // Hacemos una llamada a la API de Discord para obtener los roles del usuario en el gremio específico
-        const guildMemberResponse = await axios.get(
-            `https://discord.com/api/users/@me/guilds/${DISCORD_GUILD_ID}/member`,
+        const now = new Date();
+        const user = await User.findOneAndUpdate(
+            { discordId: profile.id },
             {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`
-                }
-            }
+                $set: {
+                    username: profile.username,
+                    discriminator: profile.discriminator || null,
+                    avatar: profile.avatar || null,
+                    guildRoles: userGuildRoles,
+                    isAdmin: isAdminUser,
+                    lastSeenAt: now
+                },
+                $setOnInsert: { firstSeenAt: now }
+            },
+            { upsert: true, new: true }
         );
-
-        // Los roles del usuario en el gremio están en guildMemberResponse.data.roles
-        userGuildRoles = guildMemberResponse.data.roles;
-        console.log('Roles del usuario en el gremio:', userGuildRoles);
-
-        // Importamos la lista de IDs de rol de administrador desde el middleware
-        // para determinar si el usuario es admin.
-        const { ADMIN_DISCORD_ROLE_IDS } = require('./middleware/auth');
-        isAdminUser = userGuildRoles.some(roleId => ADMIN_DISCORD_ROLE_IDS.includes(roleId));
-
+        profile.bannedAt = user.bannedAt;
     } catch (error) {
-        console.error('Error al obtener roles del gremio desde Discord API:', error.response ? error.response.data : error.message);
-        // Si hay un error al obtener los roles (ej. el usuario no está en el gremio),
-        // no se le considerará administrador por rol.
-        isAdminUser = false;
-        userGuildRoles = []; // Asegurarse de que sea un array vacío si falla
+        console.error('Error guardando el perfil del usuario:', error.message);
     }
 
-    // Adjuntar la bandera isAdmin y los roles del gremio al perfil para el JWT
-    profile.isAdmin = isAdminUser;
-    profile.guildRoles = userGuildRoles; // Guardamos los roles obtenidos del gremio
-
     return cb(null, profile);
 }));
 
 // --- Importación de Middlewares de Autenticación y Autorización ---
-const { authenticateToken, authorizeAdmin } = require('./middleware/auth');
+const { authenticateToken } = require('./middleware/auth');
+const { authRateLimit } = require('./middleware/antiAbuse'); // Límite de peticiones de inicio de sesión por IP
+const { getEffectivePermissions, BID_REQUIRED_ROLE_IDS } = require('./services/permissions');
 
 // Aplica el middleware authenticateToken a TODAS las rutas para parsear el JWT si existe.
 app.use(authenticateToken);
 
 // --- Conexión a la base de datos MongoDB ---
 mongoose.connect(process.env.MONGODB_URI)
-    .then(() => console.log('Conectado a MongoDB'))
+    .then(() => {
+        console.log('Conectado a MongoDB');
+        // Entrega de la bandeja de salida de notificaciones de Discord
+        startNotificationWorker();
+        // Tarea programada de subastas; su primera vuelta recupera las que terminaron con el servidor parado
+        startAuctionScheduler(io);
+    })
     .catch(err => console.error('Error de conexión a MongoDB:', err));
 
-// Importar el modelo de Subasta (necesario para el cron job y rutas)
-const Auction = require('./models/Auction');
+const { startNotificationWorker } = require('./services/notifications');
+const realtime = require('./services/realtime'); // Eventos de Socket.IO por salas
+// Activación, bajadas holandesas y finalización de subastas (una sola instancia a la vez)
+const { startAuctionScheduler } = require('./services/scheduler');
 
 // Hacer que la instancia de Socket.IO sea accesible en las rutas
 app.set('socketio', io);
@@ -124,44 +143,127 @@ app.get('/', (req, res) => {
 });
 
 // 2. Ruta para iniciar el proceso de OAuth de Discord
-app.get('/auth/discord', passport.authenticate('discord'));
+app.get('/auth/discord', authRateLimit, passport.authenticate('discord'));
 
 // 3. Ruta de callback después de que el usuario autoriza en Discord
 app.get('/auth/discord/callback',
+    authRateLimit,
     passport.authenticate('discord', {
         session: false, // No usamos sesiones de Express
         failureRedirect: `${FRONTEND_URL}/error.html` // Redirección al frontend en caso de fallo
     }),
-    function(req, res) {
+    async function(req, res) {
         console.log('--- Autenticación Exitosa en Backend (Discord) ---');
         console.log('Usuario de Discord (req.user):', req.user.username, 'isAdmin:', req.user.isAdmin);
         console.log('Roles de Gremio en JWT:', req.user.guildRoles);
 
-        // Generar un JWT para el usuario autenticado, incluyendo la bandera isAdmin y los roles del gremio
-        const token = jwt.sign(
-            {
-                id: req.user.id,
-                username: req.user.username,
-                discriminator: req.user.discriminator,
-                avatar: req.user.avatar,
-                isAdmin: req.user.isAdmin, // Incluir la bandera isAdmin en el JWT
-                guildRoles: req.user.guildRoles // ¡IMPORTANTE! Incluir los roles del gremio en el JWT
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' } // Token expira en 1 hora
-        );
+        if (req.user.bannedAt) {
+            console.warn(`Inicio de sesión rechazado: ${req.user.username} (ID: ${req.user.id}) está baneado.`);
+            return res.redirect(`${FRONTEND_URL}/error.html`);
+        }
 
-        console.log('JWT generado. Redirigiendo a frontend con token.');
-        res.redirect(`${FRONTEND_URL}/?token=${token}`);
+        try {
+            // Los tokens no van en la URL: el frontend canjea este código de un solo uso con POST /auth/exchange
+            const code = await tokens.issueLoginCode(req.user, req.user.discordAccessToken);
+            console.log('Código de inicio de sesión generado. Redirigiendo a frontend.');
+            res.redirect(`${FRONTEND_URL}/?code=${encodeURIComponent(code)}`);
+        } catch (error) {
+            console.error('Error creando la sesión:', error);
+            res.redirect(`${FRONTEND_URL}/error.html`);
+        }
     }
 );
 
-// Ruta para obtener la información del usuario logueado (ahora incluye isAdmin y guildRoles)
-app.get('/api/user', (req, res) => {
+// 4. Ruta para canjear el código de inicio de sesión por el par de tokens de la sesión.
+// Body: { code }. Devuelve { token, refreshToken, expiresIn }, igual que /auth/refresh.
+app.post('/auth/exchange', authRateLimit, async (req, res) => {
+    const body = req.body || {};
+    try {
+        const redeemed = await tokens.redeemLoginCode(body.code);
+        if (redeemed.error) {
+            return res.status(401).json({ message: redeemed.error });
+        }
+        const { record } = redeemed;
+        // Token de acceso de corta duración (incluye isAdmin y los roles del gremio) y token de refresco
+        const session = await tokens.issueSession(record.user, tokens.decryptDiscordToken(record.discordAccessToken));
+        res.json(session);
+    } catch (error) {
+        console.error('Error exchanging login code:', error);
+        res.status(500).json({ message: 'Error al iniciar la sesión.' });
+    }
+});
+
+// 5. Ruta para refrescar la sesión: consume el token de refresco (se rota en cada uso), vuelve a
+// comprobar la pertenencia y los roles en el gremio de Discord y devuelve un nuevo par de tokens.
+app.post('/auth/refresh', authRateLimit, async (req, res) => {
+    const body = req.body || {};
+    try {
+        const consumed = await tokens.consumeRefreshToken(body.refreshToken);
+        if (consumed.error) {
+            return res.status(401).json({ message: consumed.error });
+        }
+        const { record } = consumed;
+
+        const profile = await User.findOne({ discordId: record.discordId });
+        if (!profile) {
+            return res.status(401).json({ message: 'Usuario no encontrado. Inicia sesión de nuevo.' });
+        }
+        if (profile.bannedAt) {
+            await tokens.revokeAllSessions(profile.discordId, { reason: 'Usuario baneado', revokedById: 'system' });
+            return res.status(403).json({ message: 'Tu cuenta está baneada.' });
+        }
+
+        const discordAccessToken = tokens.decryptDiscordToken(record.discordAccessToken);
+        const member = await fetchGuildMember(record.discordId, discordAccessToken);
+        if (member.error && member.unauthorized) {
+            // El token OAuth de Discord ya no vale: hay que volver a iniciar sesión con Discord
+            return res.status(401).json({ message: 'Tu autorización de Discord ha caducado. Inicia sesión de nuevo.' });
+        }
+
+        const update = { lastSeenAt: new Date() };
+        if (member.error) {
+            // Discord no responde: se mantienen los últimos roles conocidos hasta el siguiente refresco
+            console.warn(`No se pudieron re-sincronizar los roles de ${profile.username}; se usan los guardados.`);
+        } else {
+            // Sin pertenencia al gremio se pierden todos los roles (igual que al iniciar sesión)
+            update.guildRoles = member.notMember ? [] : member.guildRoles;
+            update.isAdmin = member.notMember ? false : member.isAdmin;
+        }
+        const updated = await User.findOneAndUpdate({ discordId: record.discordId }, { $set: update }, { new: true });
+
+        const session = await tokens.issueSession(toSessionUser(updated), discordAccessToken);
+        await tokens.linkRotatedToken(record, session.refreshToken);
+        res.json(session);
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        res.status(500).json({ message: 'Error al refrescar la sesión.' });
+    }
+});
+
+// Datos del perfil guardado que van en el token de acceso
+function toSessionUser(profile) {
+    return {
+        id: profile.discordId,
+        username: profile.username,
+        discriminator: profile.discriminator,
+        avatar: profile.avatar,
+        isAdmin: profile.isAdmin,
+        guildRoles: profile.guildRoles
+    };
+}
+
+// Ruta para obtener la información del usuario logueado (incluye isAdmin, guildRoles y los permisos efectivos)
+app.get('/api/user', async (req, res) => {
     console.log('--- Solicitud a /api/user ---');
     if (req.user) {
         console.log('Usuario autenticado por JWT:', req.user.username, 'isAdmin:', req.user.isAdmin);
         console.log('Roles de Gremio enviados al frontend:', req.user.guildRoles);
+        let permissions = [];
+        try {
+            permissions = await getEffectivePermissions(req.user);
+        } catch (error) {
+            console.error('Error calculando los permisos del usuario:', error);
+        }
         res.json({
             loggedIn: true,
             id: req.user.id,
@@ -169,7 +271,9 @@ app.get('/api/user', (req, res) => {
             discriminator: req.user.discriminator,
             avatar: req.user.avatar,
             isAdmin: req.user.isAdmin, // Asegurarse de que isAdmin se envíe al frontend
-            guildRoles: req.user.guildRoles // ¡IMPORTANTE! Enviar los roles del gremio al frontend
+            guildRoles: req.user.guildRoles, // ¡IMPORTANTE! Enviar los roles del gremio al frontend
+            permissions, // Permisos efectivos según los roles (para mostrar u ocultar acciones en el frontend)
+            bidRequiresRole: BID_REQUIRED_ROLE_IDS.length > 0
         });
     } else {
         console.log('Usuario NO autenticado por JWT.');
@@ -177,82 +281,82 @@ app.get('/api/user', (req, res) => {
     }
 });
 
-// Ruta para cerrar sesión (con JWT, es más simple: el frontend simplemente descarta el token)
-app.get('/auth/logout', (req, res) => {
+// Ruta para cerrar sesión: revoca el token de acceso actual y el token de refresco enviado en el body.
+// Con { all: true } se cierran todas las sesiones del usuario en todos los dispositivos.
+async function logoutHandler(req, res) {
     console.log('--- Solicitud de cierre de sesión ---');
-    res.status(200).json({ message: 'Sesión cerrada exitosamente (token eliminado del cliente).' });
-});
+    try {
+        const body = req.body || {};
+        if (req.user && body.all === true) {
+            await tokens.revokeAllSessions(req.user.id, { reason: 'logout', revokedById: 'self' });
+        } else {
+            await tokens.revokeAccessToken(req.user, { reason: 'logout', revokedById: 'self' });
+            await tokens.revokeRefreshToken(body.refreshToken, 'logout');
+        }
+        res.status(200).json({ message: 'Sesión cerrada exitosamente.' });
+    } catch (error) {
+        console.error('Error during logout:', error);
+        res.status(500).json({ message: 'Error al cerrar la sesión.' });
+    }
+}
+app.get('/auth/logout', authRateLimit, logoutHandler);
+app.post('/auth/logout', authRateLimit, logoutHandler);
 
 // Importar y usar las rutas de subastas
 const auctionRoutes = require('./routes/auctions');
 // Pasar la instancia de io a las rutas de subastas
 app.use('/api/auctions', auctionRoutes(io)); // Las rutas de subastas ahora son una función que recibe 'io'
 
-// --- Tarea Programada para Finalizar Subastas ---
-cron.schedule('* * * * *', async () => { // Se ejecuta cada minuto
-    console.log('Buscando subastas finalizadas...');
-    const now = new Date();
-    try {
-        const endedAuctions = await Auction.find({
-            status: 'active',
-            endDate: { $lte: now }
-        });
+// Rutas de usuarios ("mis pujas", "mis victorias" y consulta de admin)
+const userRoutes = require('./routes/users');
+app.use('/api/users', userRoutes);
 
-        for (const auction of endedAuctions) {
-            auction.status = 'finalized';
-            // Establecer ganador y precio final si hubo pujas
-            if (auction.currentBidderId) {
-                auction.winnerId = auction.currentBidderId;
-                auction.winnerName = auction.currentBidderName;
-                auction.finalPrice = auction.currentBid;
-            } else {
-                auction.winnerId = null;
-                auction.winnerName = null;
-                auction.finalPrice = null;
-            }
-            await auction.save();
-
-            let message;
-            let embedColor;
-            if (auction.currentBidderId) {
-                message = `🎉 ¡La subasta de **${auction.title}** ha finalizado! El ganador es **${auction.currentBidderName}** con una puja de **${auction.currentBid} Rublos**. ¡Felicidades!`;
-                embedColor = 3066993; // Un color verde para Discord (hex 0x2ECC71)
-            } else {
-                message = `💔 La subasta de **${auction.title}** ha finalizado sin pujas.`;
-                embedColor = 10038562; // Un color gris/rojo para Discord (hex 0x99AAB5)
-            }
-
-            console.log(message);
-            if (DISCORD_WEBHOOK_URL) {
-                axios.post(DISCORD_WEBHOOK_URL, {
-                    content: message,
-                    embeds: [{
-                        title: `Subasta Finalizada: ${auction.title}`,
-                        description: auction.currentBidderId ? `Ganador: **${auction.currentBidderName}**\nPuja Final: **${auction.finalPrice} Rublos**` : 'No hubo pujas.',
-                        url: `${FRONTEND_URL}/subastas.html`, // URL CORRECTA
-                        color: embedColor,
-                        thumbnail: { url: auction.imageUrl || 'https://via.placeholder.com/150' },
-                        footer: { text: `Subasta ID: ${auction._id}` }
-                    }]
-                }).catch(err => console.error("Error enviando webhook de fin de subasta:", err.message));
-            }
-
-            // Emitir evento de Socket.IO para notificar a los clientes sobre la subasta actualizada
-            io.emit('auctionUpdated', auction);
-        }
-    } catch (error) {
-        console.error('Error en la tarea programada de subastas:', error);
-    }
-});
+// Subastas propuestas por los jugadores y cola de revisión de los admins
+const listingRoutes = require('./routes/listings');
+app.use('/api/listings', listingRoutes);
 
-// Manejo de conexiones de Socket.IO
-io.on('connection', (socket) => {
-    console.log('Cliente conectado a Socket.IO:', socket.id);
+// Registro de auditoría de las acciones de administración
+const auditRoutes = require('./routes/audit');
+app.use('/api/audit', auditRoutes);
 
-    socket.on('disconnect', () => {
-        console.log('Cliente desconectado de Socket.IO:', socket.id);
-    });
-});
+// Estadísticas del mercado y exportación de subastas (panel de admin e informes de economía en Discord)
+const statsRoutes = require('./routes/stats');
+app.use('/api/stats', statsRoutes);
+
+// Catálogo de objetos de DayZ que se pueden subastar
+const itemRoutes = require('./routes/items');
+app.use('/api/items', itemRoutes);
+
+// Permisos por rol de Discord (configuración y asignaciones guardadas en la base de datos)
+const permissionRoutes = require('./routes/permissions');
+app.use('/api/permissions', permissionRoutes);
+
+// Rutas de administración de la bandeja de salida de notificaciones de Discord
+const notificationRoutes = require('./routes/notifications');
+app.use('/api/notifications', notificationRoutes);
+
+// Rutas de monederos de Rublos (saldo, retenciones, movimientos y ajustes de admin)
+const walletRoutes = require('./routes/wallet');
+app.use('/api/wallet', walletRoutes);
+
+// Entrega en el juego de las subastas ganadas (pago, cita, entrega, disputas y ofertas al siguiente pujador)
+const fulfillmentRoutes = require('./routes/fulfillment');
+app.use('/api/fulfillment', fulfillmentRoutes);
+
+// Moderación: sanciones de pujas (baneos y avisos) y revisión de los avisos del detector de abusos
+const moderationRoutes = require('./routes/moderation');
+app.use('/api/moderation', moderationRoutes);
+
+// Imágenes de las subastas guardadas en el backend (subida y URL estable /api/images/:id)
+const imageRoutes = require('./routes/images');
+app.use('/api/images', imageRoutes);
+
+// Plantillas de subasta para objetos que se subastan a menudo (solo administradores)
+const templateRoutes = require('./routes/templates');
+app.use('/api/templates', templateRoutes);
+
+// Manejo de conexiones de Socket.IO (handshake autenticado con JWT y salas por subasta/usuario)
+realtime.setupSocketServer(io);
 
 
 // Iniciar el servidor HTTP (no la app Express directamente)
@@ -0,0 +1,157 @@
+// services/abuseDetection.js
+// Detector de pujas sospechosas. No bloquea nada: abre avisos (models/AbuseFlag.js) para que los revise
+// un admin y, si hay webhook de moderación, manda una alerta a Discord. Detecta:
+//   - self_bidding:      el creador o el vendedor puja en su propia subasta
+//   - bid_ring:          dos cuentas que se suben la puja una a otra en varias subastas
+//   - non_paying_winner: un ganador pierde la subasta por no pagar
+// Ninguna función lanza: un fallo del detector se registra pero no debe romper la puja o la entrega.
+const Auction = require('../models/Auction');
+const AbuseFlag = require('../models/AbuseFlag');
+const { notifyAbuseFlag } = require('./notifications');
+
+// Intercambios de puja entre dos cuentas (A supera a B, B supera a A...) en una misma subasta para contarla
+const RING_MIN_EXCHANGES = parseInt(process.env.RING_MIN_EXCHANGES, 10) || 4;
+// Subastas con ese patrón entre las mismas dos cuentas para abrir un aviso
+const RING_MIN_AUCTIONS = parseInt(process.env.RING_MIN_AUCTIONS, 10) || 2;
+// Días hacia atrás en los que se buscan otras subastas de la misma pareja
+const RING_LOOKBACK_DAYS = parseInt(process.env.RING_LOOKBACK_DAYS, 10) || 30;
+
+// Abre el aviso o añade las pruebas al abierto del mismo caso, en una sola operación
+function upsertOpenFlag({ kind, dedupeKey, discordIds, auctionIds, details }) {
+    const now = new Date();
+    return AbuseFlag.findOneAndUpdate(
+        { dedupeKey, status: 'open' },
+        {
+            $setOnInsert: { kind, createdAt: now },
+            $addToSet: { discordIds: { $each: discordIds }, auctionIds: { $each: auctionIds } },
+            $set: { details, lastSeenAt: now }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+    );
+}
+
+/**
+ * Abre un aviso o, si ya hay uno abierto para el mismo caso (dedupeKey), le añade las nuevas pruebas.
+ * Solo se alerta en Discord cuando el aviso es nuevo.
+ */
+async function raiseFlag({ kind, dedupeKey, discordIds, auctionIds, details }) {
+    const evidence = { kind, dedupeKey, discordIds, auctionIds, details };
+    let result;
+    try {
+        result = await upsertOpenFlag(evidence);
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Otra detección abrió el aviso a la vez (índice único de los abiertos): ahora se actualiza ese
+        result = await upsertOpenFlag(evidence);
+    }
+    const flag = result.value;
+    if (!result.lastErrorObject.updatedExisting) {
+        console.warn(`Aviso de abuso '${kind}' abierto para ${discordIds.join(', ')}.`);
+        notifyAbuseFlag(flag);
+    }
+    return flag;
+}
+
+/**
+ * Revisa una puja que se acaba de aceptar. Llamar sin await.
+ * @param {Object} auction Subasta (con creatorId, creatorName y sellerId).
+ * @param {Object} bidder Usuario que ha pujado ({ id, username }).
+ */
+async function inspectBid(auction, bidder) {
+    try {
+        if (bidder.id === auction.creatorId || bidder.id === auction.sellerId) {
+            await raiseFlag({
+                kind: 'self_bidding',
+                dedupeKey: `self_bidding:${bidder.id}`,
+                discordIds: [bidder.id],
+                auctionIds: [auction._id],
+                details: { jugador: bidder.username, subasta: auction.title, creador: auction.creatorName }
+            });
+        }
+    } catch (error) {
+        console.error(`Error revisando la puja de ${bidder.id} en la subasta ${auction._id}:`, error);
+    }
+}
+
+// Intercambios de puja de cada pareja de cuentas en una subasta (pujas válidas en orden):
+// cada vez que una cuenta supera directamente a la otra cuenta uno
+function countBidExchanges(bidHistory) {
+    const exchanges = new Map();
+    const bids = bidHistory.filter(bid => !bid.voidedAt);
+    for (let i = 1; i < bids.length; i++) {
+        const [a, b] = [bids[i - 1].bidderId, bids[i].bidderId];
+        if (a === b) continue;
+        const key = [a, b].sort().join(':');
+        exchanges.set(key, (exchanges.get(key) || 0) + 1);
+    }
+    return exchanges;
+}
+
+/**
+ * Revisa una subasta recién finalizada en busca de parejas de cuentas que se suben la puja y lo han
+ * hecho también en otras subastas recientes. Llamar sin await.
+ */
+async function inspectFinalizedAuction(auction) {
+    try {
+        const since = new Date(Date.now() - RING_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+        for (const [pair, count] of countBidExchanges(auction.bidHistory)) {
+            if (count < RING_MIN_EXCHANGES) continue;
+            const [a, b] = pair.split(':');
+
+            const others = await Auction.find({
+                _id: { $ne: auction._id },
+                'bidHistory.bidderId': { $all: [a, b] },
+                endDate: { $gte: since }
+            }).select('title bidHistory');
+            const ringAuctions = [auction, ...others.filter(other => (countBidExchanges(other.bidHistory).get(pair) || 0) >= RING_MIN_EXCHANGES)];
+            if (ringAuctions.length < RING_MIN_AUCTIONS) continue;
+
+            const names = [a, b].map(id => {
+                const bid = auction.bidHistory.find(entry => entry.bidderId === id);
+                return bid ? bid.bidderName : id;
+            });
+            await raiseFlag({
+                kind: 'bid_ring',
+                dedupeKey: `bid_ring:${pair}`,
+                discordIds: [a, b],
+                auctionIds: ringAuctions.map(ringAuction => ringAuction._id),
+                details: { jugadores: names, subastas: ringAuctions.length, intercambiosEnLaUltima: count }
+            });
+        }
+    } catch (error) {
+        console.error(`Error revisando las pujas de la subasta ${auction._id}:`, error);
+    }
+}
+
+/**
+ * El ganador de una subasta la ha perdido por no pagar (entrega anulada). Llamar sin await.
+ * @param {Object} auction Subasta con el ganador que no ha pagado (winnerId, winnerName).
+ */
+async function flagNonPayingWinner(auction) {
+    try {
+        const dedupeKey = `non_paying_winner:${auction.winnerId}`;
+        const previous = await AbuseFlag.findOne({ dedupeKey, status: 'open' });
+        const previousAuctionIds = previous ? previous.auctionIds.map(String) : [];
+        // Si esta subasta ya constaba en el aviso (p. ej. un reintento), no se cuenta dos veces
+        const forfeits = previousAuctionIds.length + (previousAuctionIds.includes(String(auction._id)) ? 0 : 1);
+        await raiseFlag({
+            kind: 'non_paying_winner',
+            dedupeKey,
+            discordIds: [auction.winnerId],
+            auctionIds: [auction._id],
+            details: { jugador: auction.winnerName, subastasSinPagar: forfeits, ultima: auction.title }
+        });
+    } catch (error) {
+        console.error(`Error registrando el impago de la subasta ${auction._id}:`, error);
+    }
+}
+
+module.exports = {
+    RING_MIN_EXCHANGES,
+    RING_MIN_AUCTIONS,
+    countBidExchanges,
+    raiseFlag,
+    inspectBid,
+    inspectFinalizedAuction,
+    flagNonPayingWinner
+};
@@ -0,0 +1,248 @@
+// services/auctionInput.js
+// Validación de los datos de una subasta recibidos en el body. La usan la creación de subastas de los
+// admins (routes/auctions.js), las subastas que proponen los jugadores (routes/listings.js) y las plantillas
+// (services/templates.js).
+// Como el resto de servicios, devuelve { error } en lugar de lanzar.
+const { parseIncrementRule } = require('./bidding');
+const { resolveLotItems } = require('./catalog');
+const { parseAuctionTypeSettings, getFirstDutchDropAt } = require('./auctionTypes');
+const { resolveAuctionImages, PLACEHOLDER_IMAGE_URL } = require('./images');
+
+// Valida y normaliza la configuración de cierre suave (anti-sniping) recibida en el body.
+// Devuelve { error } si algún valor no es válido, o solo los campos presentes en el body.
+function parseSoftCloseSettings(body) {
+    const settings = {};
+    const minuteFields = ['softCloseWindowMinutes', 'softCloseExtensionMinutes'];
+    for (const field of minuteFields) {
+        if (body[field] === undefined) continue;
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `El campo ${field} debe ser un número de minutos no negativo.` };
+        }
+        settings[field] = value;
+    }
+    if (body.maxExtensions !== undefined) {
+        if (body.maxExtensions === null || body.maxExtensions === '') {
+            settings.maxExtensions = null; // Sin límite
+        } else {
+            const value = Number(body.maxExtensions);
+            if (!Number.isInteger(value) || value < 0) {
+                return { error: 'El límite de extensiones debe ser un número entero no negativo.' };
+            }
+            settings.maxExtensions = value;
+        }
+    }
+    return { settings };
+}
+
+// Valida y normaliza el precio de reserva y el de "Cómpralo Ya" recibidos en el body.
+// Un valor null o '' los desactiva. Devuelve { error } o solo los campos presentes en el body.
+function parsePricingSettings(body) {
+    const settings = {};
+    for (const field of ['reservePrice', 'buyNowPrice']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null || body[field] === '') {
+            settings[field] = null;
+            continue;
+        }
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value <= 0) {
+            return { error: `El campo ${field} debe ser un número positivo.` };
+        }
+        settings[field] = value;
+    }
+    return { settings };
+}
+
+// Comprueba la coherencia entre puja inicial, reserva y "Cómpralo Ya". Devuelve un mensaje de error o null.
+function validatePricing({ startBid, reservePrice, buyNowPrice }) {
+    const hasReserve = reservePrice !== null && reservePrice !== undefined;
+    const hasBuyNow = buyNowPrice !== null && buyNowPrice !== undefined;
+    if (hasReserve && reservePrice < startBid) {
+        return 'El precio de reserva no puede ser menor que la puja inicial.';
+    }
+    if (hasBuyNow && buyNowPrice <= startBid) {
+        return 'El precio de "Cómpralo Ya" debe ser mayor que la puja inicial.';
+    }
+    if (hasReserve && hasBuyNow && buyNowPrice < reservePrice) {
+        return 'El precio de "Cómpralo Ya" no puede ser menor que el precio de reserva.';
+    }
+    return null;
+}
+
+// Máximo de reventas automáticas que se pueden pedir para una subasta
+const MAX_RELISTS = 10;
+
+// Valida la política de reventa automática (relistPolicy) recibida en el body. null la desactiva.
+// Devuelve { policy } completa (los campos que faltan toman su valor por defecto) o { error }.
+function parseRelistPolicy(input) {
+    if (input === null) {
+        return { policy: { maxRelists: 0, startBidDecreasePercent: 0, minStartBid: null } };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'relistPolicy debe ser un objeto { maxRelists, startBidDecreasePercent, minStartBid } o null.' };
+    }
+    const maxRelists = input.maxRelists === undefined ? 0 : Number(input.maxRelists);
+    if (!Number.isInteger(maxRelists) || maxRelists < 0 || maxRelists > MAX_RELISTS) {
+        return { error: `relistPolicy.maxRelists debe ser un número entero entre 0 y ${MAX_RELISTS}.` };
+    }
+    const startBidDecreasePercent = input.startBidDecreasePercent === undefined ? 0 : Number(input.startBidDecreasePercent);
+    if (!Number.isFinite(startBidDecreasePercent) || startBidDecreasePercent < 0 || startBidDecreasePercent > 90) {
+        return { error: 'relistPolicy.startBidDecreasePercent debe ser un porcentaje entre 0 y 90.' };
+    }
+    let minStartBid = null;
+    if (input.minStartBid !== undefined && input.minStartBid !== null && input.minStartBid !== '') {
+        minStartBid = Number(input.minStartBid);
+        if (!Number.isFinite(minStartBid) || minStartBid < 0) {
+            return { error: 'relistPolicy.minStartBid debe ser un número no negativo.' };
+        }
+    }
+    return { policy: { maxRelists, startBidDecreasePercent, minStartBid } };
+}
+
+/**
+ * Valida las fechas de una subasta que se crea a partir de otra o de una plantilla (copias, borradores
+ * que se publican). Sin startDate empieza ahora; sin endDate dura durationMs desde el inicio.
+ * @param {Object} body { startDate, endDate } recibidos.
+ * @param {Object} options { durationMs, defaultStartDate }
+ * @returns {Object} { startDate, endDate, isScheduled } o { error }.
+ */
+function parseAuctionDates(body, { durationMs, defaultStartDate = null }) {
+    const now = new Date();
+    const startDate = body.startDate ? new Date(body.startDate) : (defaultStartDate || now);
+    if (isNaN(startDate.getTime())) {
+        return { error: 'La fecha de inicio no es válida.' };
+    }
+    // Una fecha de inicio pasada significa "desde ahora"
+    const effectiveStartDate = startDate > now ? startDate : now;
+    const endDate = body.endDate ? new Date(body.endDate) : new Date(effectiveStartDate.getTime() + durationMs);
+    if (isNaN(endDate.getTime()) || endDate <= now) {
+        return { error: 'La fecha de finalización debe ser una fecha futura válida.' };
+    }
+    if (effectiveStartDate >= endDate) {
+        return { error: 'La fecha de inicio debe ser anterior a la fecha de finalización.' };
+    }
+    return { startDate: effectiveStartDate, endDate, isScheduled: effectiveStartDate > now };
+}
+
+/**
+ * Valida los datos de una subasta nueva: título, descripción, lote de objetos, puja inicial, fechas,
+ * cierre suave, reserva, "Cómpralo Ya", formato, regla de incremento, reventa automática (relistPolicy)
+ * e imágenes subidas (imageIds).
+ * @param {Object} body Datos recibidos.
+ * @param {Object} options { user, canUseAnyImage, auctionId }: quién crea la subasta, si puede usar imágenes
+ *        subidas por otros (admins) y, al reenviar una propuesta, su ID (ver resolveAuctionImages).
+ * @returns {Promise<Object>} { fields, isScheduled } (campos listos para new Auction, sin creador ni estado)
+ *          o { error }.
+ */
+async function parseNewAuctionInput(body, { user, canUseAnyImage = false, auctionId = null } = {}) {
+    const { title, description, imageUrl, category, startBid, endDate, startDate } = body;
+
+    if (!title || !description || !startBid || !endDate) {
+        return { error: 'Todos los campos son obligatorios.' };
+    }
+    const parsedEndDate = new Date(endDate);
+    if (isNaN(parsedEndDate.getTime()) || parsedEndDate <= new Date()) {
+        return { error: 'La fecha de finalización debe ser una fecha futura válida.' };
+    }
+    if (startBid < 0) {
+        return { error: 'La puja inicial no puede ser negativa.' };
+    }
+    // Fecha de inicio opcional: si es futura, la subasta queda programada hasta entonces
+    let parsedStartDate = null;
+    if (startDate) {
+        parsedStartDate = new Date(startDate);
+        if (isNaN(parsedStartDate.getTime())) {
+            return { error: 'La fecha de inicio no es válida.' };
+        }
+        if (parsedStartDate >= parsedEndDate) {
+            return { error: 'La fecha de inicio debe ser anterior a la fecha de finalización.' };
+        }
+    }
+    const isScheduled = parsedStartDate !== null && parsedStartDate > new Date();
+    const softClose = parseSoftCloseSettings(body);
+    if (softClose.error) {
+        return softClose;
+    }
+    const pricing = parsePricingSettings(body);
+    if (pricing.error) {
+        return pricing;
+    }
+    const pricingError = validatePricing({ startBid: parseFloat(startBid), ...pricing.settings });
+    if (pricingError) {
+        return { error: pricingError };
+    }
+    // Formato de la subasta: inglesa (por defecto), puja sellada u holandesa
+    const typeSettings = parseAuctionTypeSettings(body);
+    if (typeSettings.error) {
+        return typeSettings;
+    }
+    if (typeSettings.settings.dutch) {
+        typeSettings.settings.dutch.nextDropAt = getFirstDutchDropAt(parsedStartDate || new Date(), typeSettings.settings.dutch.intervalMinutes);
+    }
+    // Regla de incremento mínimo (opcional; por defecto +1 Rublo)
+    let incrementRule;
+    if (body.incrementRule !== undefined) {
+        const parsedRule = parseIncrementRule(body.incrementRule);
+        if (parsedRule.error) {
+            return parsedRule;
+        }
+        incrementRule = parsedRule.rule;
+    }
+
+    // Reventa automática si finaliza sin ganador (opcional; por defecto desactivada)
+    let relistPolicy;
+    if (body.relistPolicy !== undefined) {
+        const parsedPolicy = parseRelistPolicy(body.relistPolicy);
+        if (parsedPolicy.error) {
+            return parsedPolicy;
+        }
+        relistPolicy = parsedPolicy.policy;
+    }
+
+    // Objetos del catálogo que se subastan (obligatorio): [{ itemId | className, quantity, condition }]
+    const lot = await resolveLotItems(body.items);
+    if (lot.error) {
+        return lot;
+    }
+
+    // Imágenes subidas antes con POST /api/images (opcional); la primera es la portada salvo que venga imageUrl
+    let images = [];
+    if (body.imageIds !== undefined) {
+        const resolved = await resolveAuctionImages(body.imageIds, { user, canUseAnyImage, auctionId });
+        if (resolved.error) {
+            return resolved;
+        }
+        images = resolved.images;
+    }
+
+    return {
+        isScheduled,
+        fields: {
+            title,
+            description,
+            imageUrl: imageUrl || (images.length > 0 ? images[0].url : PLACEHOLDER_IMAGE_URL), // Usar imagen por defecto si no se proporciona
+            images,
+            items: lot.items,
+            category: category || lot.items[0].category,
+            startBid: parseFloat(startBid),
+            currentBid: parseFloat(startBid), // La puja actual empieza con la puja inicial
+            startDate: parsedStartDate || new Date(),
+            endDate: parsedEndDate,
+            ...softClose.settings,
+            ...pricing.settings,
+            ...typeSettings.settings,
+            ...(incrementRule ? { incrementRule } : {}),
+            ...(relistPolicy ? { relistPolicy } : {})
+        }
+    };
+}
+
+module.exports = {
+    parseSoftCloseSettings,
+    parsePricingSettings,
+    validatePricing,
+    parseRelistPolicy,
+    parseAuctionDates,
+    parseNewAuctionInput
+};
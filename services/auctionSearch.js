@@ -0,0 +1,160 @@
+// services/auctionSearch.js
+// Búsqueda pública de subastas: filtros, orden y paginación por cursor.
+// El cursor codifica el valor del campo de orden y el _id del último elemento devuelto, de modo que
+// la página siguiente no se descuadra aunque se creen o terminen subastas mientras se navega.
+const mongoose = require('mongoose');
+
+// Estados visibles para el público (las canceladas y eliminadas no se muestran)
+const PUBLIC_STATUSES = ['scheduled', 'active', 'finalized'];
+
+// Órdenes disponibles: ?sort=<clave>
+const SORT_OPTIONS = {
+    ending_soon: { field: 'endDate', direction: 1 },
+    ending_latest: { field: 'endDate', direction: -1 },
+    newest: { field: 'createdAt', direction: -1 },
+    oldest: { field: 'createdAt', direction: 1 },
+    price_asc: { field: 'currentBid', direction: 1 },
+    price_desc: { field: 'currentBid', direction: -1 }
+};
+const DATE_SORT_FIELDS = ['endDate', 'createdAt'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function encodeCursor(auction, sort) {
+    const value = auction[sort.field];
+    return Buffer.from(JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : value,
+        id: String(auction._id)
+    })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!mongoose.isValidObjectId(id)) return null;
+        const value = DATE_SORT_FIELDS.includes(sort.field) ? new Date(v) : v;
+        if (value instanceof Date ? isNaN(value.getTime()) : typeof value !== 'number') return null;
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseDate(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function parseAmount(value) {
+    if (value === undefined || value === '') return undefined;
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Traduce la query de la búsqueda pública a una consulta de MongoDB.
+ * Parámetros: q, status (lista separada por comas), category, item, type, minPrice, maxPrice, endFrom, endTo,
+ * sort (ver SORT_OPTIONS), limit y cursor.
+ * @param {Object} query req.query
+ * @param {Object} defaults { status, sort } por defecto de cada ruta
+ * @returns {Object} { filter, sort, limit } o { error }.
+ */
+function parseBrowseQuery(query, defaults = {}) {
+    const conditions = [];
+
+    const statuses = String(query.status || defaults.status || 'active').split(',').map(status => status.trim()).filter(Boolean);
+    const invalidStatus = statuses.find(status => !PUBLIC_STATUSES.includes(status));
+    if (invalidStatus) {
+        return { error: `Estado no válido: ${invalidStatus}. Usa uno de: ${PUBLIC_STATUSES.join(', ')}.` };
+    }
+    conditions.push({ status: { $in: statuses } });
+
+    if (query.q && String(query.q).trim()) {
+        conditions.push({ $text: { $search: String(query.q).trim().slice(0, 100) } });
+    }
+    if (query.category) {
+        conditions.push({ category: String(query.category).trim().toLowerCase() });
+    }
+    if (query.type) {
+        conditions.push({ type: String(query.type).trim() });
+    }
+    if (query.item) {
+        conditions.push({ 'items.className': String(query.item).trim() });
+    }
+
+    const minPrice = parseAmount(query.minPrice);
+    const maxPrice = parseAmount(query.maxPrice);
+    if (minPrice === null || maxPrice === null) {
+        return { error: 'Los filtros de precio deben ser números no negativos.' };
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        const range = {};
+        if (minPrice !== undefined) range.$gte = minPrice;
+        if (maxPrice !== undefined) range.$lte = maxPrice;
+        conditions.push({ currentBid: range });
+    }
+
+    const endFrom = parseDate(query.endFrom);
+    const endTo = parseDate(query.endTo);
+    if (endFrom === null || endTo === null) {
+        return { error: 'Las fechas endFrom y endTo deben ser fechas válidas.' };
+    }
+    if (endFrom !== undefined || endTo !== undefined) {
+        const range = {};
+        if (endFrom !== undefined) range.$gte = endFrom;
+        if (endTo !== undefined) range.$lte = endTo;
+        conditions.push({ endDate: range });
+    }
+
+    const sortKey = query.sort || defaults.sort || 'ending_soon';
+    const sort = SORT_OPTIONS[sortKey];
+    if (!sort) {
+        return { error: `Orden no válido. Usa uno de: ${Object.keys(SORT_OPTIONS).join(', ')}.` };
+    }
+
+    if (query.cursor) {
+        const cursor = decodeCursor(String(query.cursor), sort);
+        if (!cursor) {
+            return { error: 'El cursor de paginación no es válido.' };
+        }
+        const operator = sort.direction === 1 ? '$gt' : '$lt';
+        conditions.push({
+            $or: [
+                { [sort.field]: { [operator]: cursor.value } },
+                { [sort.field]: cursor.value, _id: { [operator]: cursor.id } }
+            ]
+        });
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return {
+        filter: { $and: conditions },
+        sort,
+        mongoSort: { [sort.field]: sort.direction, _id: sort.direction },
+        limit
+    };
+}
+
+/**
+ * Ejecuta una búsqueda ya parseada y devuelve una página.
+ * @returns {Promise<Object>} { items (documentos), nextCursor (null si no hay más) }.
+ */
+async function findPage(Model, { filter, sort, mongoSort, limit }) {
+    // Se pide un elemento de más para saber si hay página siguiente
+    const documents = await Model.find(filter).sort(mongoSort).limit(limit + 1);
+    const hasMore = documents.length > limit;
+    const items = hasMore ? documents.slice(0, limit) : documents;
+    return {
+        items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+    };
+}
+
+module.exports = {
+    PUBLIC_STATUSES,
+    SORT_OPTIONS,
+    parseBrowseQuery,
+    findPage
+};
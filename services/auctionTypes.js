@@ -0,0 +1,135 @@
+// services/auctionTypes.js
+// Formatos de subasta además de la inglesa (ascendente, con pujas visibles):
+//   - 'sealed': puja sellada. Cada jugador presenta una única puja oculta (puede cambiarla hasta el
+//     cierre). Al finalizar se revelan y gana la más alta, pagando su propia puja ('first_price')
+//     o la segunda más alta ('second_price').
+//   - 'dutch': holandesa (descendente). El precio baja decrementAmount cada intervalMinutes
+//     (lo aplica la tarea programada) hasta floorPrice; el primero que acepta el precio gana.
+// Como services/bidding.js, es código puro: no toca la base de datos.
+
+const AUCTION_TYPES = ['english', 'sealed', 'dutch'];
+const SEALED_PRICING = ['first_price', 'second_price'];
+
+const AUCTION_TYPE_LABELS = {
+    english: 'Subasta inglesa',
+    sealed: 'Puja sellada',
+    dutch: 'Subasta holandesa'
+};
+
+/**
+ * Valida el tipo de subasta y su configuración recibidos en el body.
+ * @param {Object} body Body de la petición.
+ * @param {Object} base Valores actuales ({ type, startBid, startDate }) para las ediciones.
+ * @returns {Object} { settings } con solo los campos que cambian, o { error }.
+ */
+function parseAuctionTypeSettings(body, base = {}) {
+    const type = body.type !== undefined ? body.type : (base.type || 'english');
+    if (!AUCTION_TYPES.includes(type)) {
+        return { error: `El tipo de subasta debe ser uno de: ${AUCTION_TYPES.join(', ')}.` };
+    }
+    const settings = {};
+    if (body.type !== undefined) settings.type = type;
+
+    if (type === 'sealed' && body.sealedPricing !== undefined) {
+        if (!SEALED_PRICING.includes(body.sealedPricing)) {
+            return { error: `El precio de la puja sellada debe ser uno de: ${SEALED_PRICING.join(', ')}.` };
+        }
+        settings.sealedPricing = body.sealedPricing;
+    }
+
+    if (type !== 'english') {
+        if ((body.buyNowPrice !== undefined && body.buyNowPrice !== null && body.buyNowPrice !== '')) {
+            return { error: 'El "Cómpralo Ya" solo está disponible en subastas inglesas.' };
+        }
+        if (Number(body.softCloseWindowMinutes) > 0 || Number(body.softCloseExtensionMinutes) > 0) {
+            return { error: 'El cierre suave solo está disponible en subastas inglesas.' };
+        }
+    }
+
+    if (type === 'dutch') {
+        const input = body.dutch || {};
+        const current = base.dutch || {};
+        const floorPrice = input.floorPrice !== undefined ? Number(input.floorPrice) : current.floorPrice;
+        const decrementAmount = input.decrementAmount !== undefined ? Number(input.decrementAmount) : current.decrementAmount;
+        const intervalMinutes = input.intervalMinutes !== undefined ? Number(input.intervalMinutes) : current.intervalMinutes;
+        if (!Number.isFinite(floorPrice) || floorPrice < 0) {
+            return { error: 'La subasta holandesa necesita un precio mínimo (dutch.floorPrice) no negativo.' };
+        }
+        if (!Number.isFinite(decrementAmount) || decrementAmount <= 0) {
+            return { error: 'La subasta holandesa necesita una bajada de precio (dutch.decrementAmount) positiva.' };
+        }
+        if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1) {
+            return { error: 'El intervalo de bajada (dutch.intervalMinutes) debe ser un número entero de minutos, mínimo 1.' };
+        }
+        const startBid = body.startBid !== undefined ? parseFloat(body.startBid) : base.startBid;
+        if (floorPrice >= startBid) {
+            return { error: 'El precio mínimo de la subasta holandesa debe ser menor que el precio inicial (startBid).' };
+        }
+        if (body.reservePrice !== undefined && body.reservePrice !== null && body.reservePrice !== '') {
+            return { error: 'Las subastas holandesas no usan precio de reserva: usa dutch.floorPrice.' };
+        }
+        settings.dutch = { floorPrice, decrementAmount, intervalMinutes };
+    }
+    return { settings };
+}
+
+// Primera bajada de precio de una subasta holandesa que empieza en 'startDate'
+function getFirstDutchDropAt(startDate, intervalMinutes) {
+    return new Date(new Date(startDate).getTime() + intervalMinutes * 60 * 1000);
+}
+
+/**
+ * Calcula la bajada de precio pendiente de una subasta holandesa en 'now'.
+ * Si la tarea programada se ha retrasado varios intervalos, se aplican todos de una vez.
+ * @returns {Object|null} { price, nextDropAt } o null si todavía no toca bajar o ya está en el mínimo.
+ */
+function computeDutchDrop(auction, now) {
+    const { floorPrice, decrementAmount, intervalMinutes, nextDropAt } = auction.dutch || {};
+    if (!nextDropAt || new Date(nextDropAt) > now || auction.currentBid <= floorPrice) {
+        return null;
+    }
+    const intervalMs = intervalMinutes * 60 * 1000;
+    const steps = 1 + Math.floor((now.getTime() - new Date(nextDropAt).getTime()) / intervalMs);
+    return {
+        price: Math.max(floorPrice, auction.currentBid - steps * decrementAmount),
+        nextDropAt: new Date(new Date(nextDropAt).getTime() + steps * intervalMs)
+    };
+}
+
+/**
+ * Resultado de una puja sellada al cierre: orden de las pujas reveladas, ganador y precio.
+ * Gana la puja más alta (a igualdad, la presentada antes). Con 'second_price' paga la segunda puja
+ * más alta, pero nunca menos que la puja mínima ni que la reserva si su puja la alcanza.
+ * @returns {Object} { revealedBids (orden de presentación), winner (puja o null), price }.
+ */
+function resolveSealedBids(sealedBids, { startBid, reservePrice, sealedPricing }) {
+    const bids = (sealedBids || []).map(bid => ({
+        bidderId: bid.bidderId,
+        bidderName: bid.bidderName,
+        amount: bid.amount,
+        timestamp: bid.updatedAt || bid.createdAt || bid.timestamp
+    }));
+    const ranked = [...bids].sort((a, b) => (b.amount - a.amount) || (new Date(a.timestamp) - new Date(b.timestamp)));
+    const revealedBids = [...bids].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const winner = ranked[0] || null;
+    if (!winner) {
+        return { revealedBids, winner: null, price: startBid };
+    }
+    let price = winner.amount;
+    if (sealedPricing === 'second_price') {
+        const hasReserve = reservePrice !== null && reservePrice !== undefined;
+        const floor = hasReserve && winner.amount >= reservePrice ? Math.max(startBid, reservePrice) : startBid;
+        price = Math.max(ranked[1] ? ranked[1].amount : 0, floor);
+    }
+    return { revealedBids, winner, price };
+}
+
+module.exports = {
+    AUCTION_TYPES,
+    SEALED_PRICING,
+    AUCTION_TYPE_LABELS,
+    parseAuctionTypeSettings,
+    getFirstDutchDropAt,
+    computeDutchDrop,
+    resolveSealedBids
+};
@@ -0,0 +1,73 @@
+// services/audit.js
+// Registro de auditoría de las acciones de administración sobre subastas.
+const AuditLog = require('../models/AuditLog');
+
+// Campos de la subasta cuyos cambios se registran
+const AUDITED_AUCTION_FIELDS = [
+    'title', 'description', 'imageUrl', 'images', 'items', 'category', 'startBid', 'startDate', 'endDate',
+    'currentBid', 'currentBidderId', 'currentBidderName', 'status',
+    'winnerId', 'winnerName', 'finalPrice', 'outcome',
+    'reservePrice', 'buyNowPrice', 'incrementRule', 'type', 'sealedPricing', 'dutch',
+    'softCloseWindowMinutes', 'softCloseExtensionMinutes', 'maxExtensions', 'relistPolicy', 'deletedAt'
+];
+
+// Campos que, si cambian, convierten una edición en un ajuste de puja
+const BID_FIELDS = ['currentBid', 'currentBidderId', 'currentBidderName'];
+
+// Instantánea de los campos auditados de una subasta (incluye reservePrice si se cargó)
+function snapshotAuction(auction) {
+    const raw = auction.toObject ? auction.toObject({ transform: false, depopulate: true }) : auction;
+    const snapshot = {};
+    for (const field of AUDITED_AUCTION_FIELDS) {
+        snapshot[field] = raw[field] === undefined ? null : raw[field];
+    }
+    return snapshot;
+}
+
+// Lista de cambios { field, before, after } entre dos instantáneas
+function diffSnapshots(before, after) {
+    const changes = [];
+    for (const field of AUDITED_AUCTION_FIELDS) {
+        const beforeValue = before ? before[field] : null;
+        const afterValue = after ? after[field] : null;
+        if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+            changes.push({ field, before: beforeValue, after: afterValue });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Anota una acción en el registro de auditoría. Nunca lanza: un fallo se registra en consola
+ * pero no deshace la acción ya realizada.
+ * @param {Object} entry { action, auction, actor: req.user, before, after, reason }
+ */
+async function recordAuctionAudit({ action, auction, actor, before = null, after = null, reason = null }) {
+    try {
+        return await AuditLog.create({
+            action,
+            auctionId: auction ? auction._id : null,
+            auctionTitle: auction ? auction.title : null,
+            actorId: actor ? actor.id : 'system',
+            actorName: actor ? actor.username : null,
+            changes: diffSnapshots(before, after),
+            reason
+        });
+    } catch (error) {
+        console.error(`Error registrando la auditoría '${action}':`, error.message);
+        return null;
+    }
+}
+
+// Indica si una lista de cambios toca la puja actual o el pujador
+function isBidAdjustment(before, after) {
+    return diffSnapshots(before, after).some(change => BID_FIELDS.includes(change.field));
+}
+
+module.exports = {
+    AUDITED_AUCTION_FIELDS,
+    snapshotAuction,
+    diffSnapshots,
+    recordAuctionAudit,
+    isBidAdjustment
+};
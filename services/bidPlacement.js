@@ -0,0 +1,354 @@
+// services/bidPlacement.js
+// Realización de pujas, compartida por POST /api/auctions/:id/bid y el comando /pujar de Discord
+// (routes/interactions.js), para que ambos apliquen exactamente las mismas validaciones.
+// Según el tipo de subasta:
+//   - english: puja normal ({ bidAmount }) o puja máxima secreta ({ maxBid })
+//   - sealed:  una puja oculta por jugador ({ bidAmount }) que se puede cambiar hasta el cierre
+//   - dutch:   se acepta el precio actual (opcionalmente { bidAmount } con el precio que se cree aceptar)
+// Los límites de velocidad y las sanciones se comprueban antes, en quien llama (middleware/antiAbuse.js).
+const Auction = require('../models/Auction');
+const { resolveBid, getNextMinimumBid } = require('./bidding');
+const { setHold, releaseHold } = require('./wallet');
+const { completeFinalization } = require('./finalization');
+const { notifyBidPlaced, notifySealedBidPlaced } = require('./notifications');
+const realtime = require('./realtime');
+const { inspectBid } = require('./abuseDetection');
+
+// Número máximo de reintentos de la escritura condicional de una puja antes de rendirse con 409.
+const BID_MAX_ATTEMPTS = 3;
+
+// Calcula la nueva fecha de finalización si una puja realizada en 'now' cae dentro de la
+// ventana de cierre suave. Devuelve null si la subasta no debe extenderse.
+function getSoftCloseEndDate(auction, now) {
+    const windowMs = (auction.softCloseWindowMinutes || 0) * 60 * 1000;
+    const extensionMs = (auction.softCloseExtensionMinutes || 0) * 60 * 1000;
+    if (windowMs <= 0 || extensionMs <= 0) return null;
+    if (auction.maxExtensions !== null && auction.maxExtensions !== undefined &&
+        (auction.extensionCount || 0) >= auction.maxExtensions) {
+        return null;
+    }
+    if (auction.endDate.getTime() - now.getTime() > windowMs) return null;
+    return new Date(auction.endDate.getTime() + extensionMs);
+}
+
+// Devuelve la retención del jugador a como estaba antes de una puja que no llega a registrarse
+function restoreHold(user, auctionId, hold) {
+    return (hold.previousAmount > 0
+        ? setHold(user.id, user.username, auctionId, hold.previousAmount)
+        : releaseHold(user.id, auctionId)
+    ).catch(err => console.error('Error restaurando la retención tras una puja fallida:', err));
+}
+
+// Puja sellada: una puja oculta por jugador, que puede cambiar hasta el cierre. Se retiene su importe
+// y solo se anuncia el número de pujas; las cantidades se revelan al finalizar.
+async function placeSealedBid(io, auction, user, { bidAmount, maxBid }) {
+    if (bidAmount === undefined || maxBid !== undefined) {
+        return { error: 'En una puja sellada solo se indica la puja (bidAmount).', status: 400 };
+    }
+    if (bidAmount < auction.startBid) {
+        return { error: `Tu puja (${bidAmount} Rublos) debe ser al menos la puja mínima (${auction.startBid} Rublos).`, status: 400 };
+    }
+
+    const hold = await setHold(user.id, user.username, auction._id, bidAmount, { actorId: user.id, actorName: user.username });
+    if (hold.error) {
+        return { error: hold.error, status: 402 };
+    }
+
+    // Cambiar la puja existente del jugador o, si no tiene, añadir una nueva (sin duplicados)
+    const now = new Date();
+    const openFilter = { _id: auction._id, status: 'active', type: 'sealed', endDate: { $gt: now } };
+    let isUpdate = true;
+    let updatedAuction = await Auction.findOneAndUpdate(
+        { ...openFilter, 'sealedBids.bidderId': user.id },
+        { $set: { 'sealedBids.$.amount': bidAmount, 'sealedBids.$.bidderName': user.username, 'sealedBids.$.updatedAt': now }, $inc: { __v: 1 } },
+        { new: true }
+    );
+    if (!updatedAuction) {
+        isUpdate = false;
+        updatedAuction = await Auction.findOneAndUpdate(
+            { ...openFilter, 'sealedBids.bidderId': { $ne: user.id } },
+            {
+                $push: { sealedBids: { bidderId: user.id, bidderName: user.username, amount: bidAmount, createdAt: now, updatedAt: now } },
+                $inc: { sealedBidCount: 1, __v: 1 }
+            },
+            { new: true }
+        );
+    }
+
+    if (!updatedAuction) {
+        await restoreHold(user, auction._id, hold);
+        return { error: 'La subasta ha finalizado mientras se procesaba tu puja.', status: 409 };
+    }
+
+    inspectBid(updatedAuction, user);
+    notifySealedBidPlaced(updatedAuction, { bidder: user, isUpdate });
+    realtime.emitSealedBidPlaced(io, updatedAuction);
+
+    return {
+        message: isUpdate ? 'Puja sellada actualizada con éxito.' : 'Puja sellada presentada con éxito.',
+        auction: updatedAuction,
+        yourSealedBid: bidAmount
+    };
+}
+
+// Subasta holandesa: el jugador acepta el precio actual y la subasta finaliza en ese momento.
+// Si se envía bidAmount y el precio ha cambiado, se rechaza con 409 para que lo confirme.
+async function acceptDutchPrice(io, auction, user, { bidAmount, maxBid }) {
+    const price = auction.currentBid;
+    if (maxBid !== undefined) {
+        return { error: 'En una subasta holandesa no hay pujas máximas: acepta el precio actual.', status: 400 };
+    }
+    if (bidAmount !== undefined && bidAmount !== price) {
+        return { error: `El precio ha cambiado: ahora es de ${price} Rublos.`, status: 409, details: { currentBid: price } };
+    }
+
+    const hold = await setHold(user.id, user.username, auction._id, price, { actorId: user.id, actorName: user.username });
+    if (hold.error) {
+        return { error: hold.error, status: 402 };
+    }
+
+    // Escritura condicional: solo gana si la subasta sigue activa y el precio no ha bajado ni la ha aceptado otro
+    const now = new Date();
+    const wonAuction = await Auction.findOneAndUpdate(
+        { _id: auction._id, status: 'active', type: 'dutch', endDate: { $gt: now }, currentBid: price, currentBidderId: null },
+        {
+            $set: {
+                status: 'finalized',
+                outcome: 'sold',
+                currentBidderId: user.id,
+                currentBidderName: user.username,
+                winnerId: user.id,
+                winnerName: user.username,
+                finalPrice: price,
+                endDate: now,
+                finalizationPendingSince: now
+            },
+            $push: { bidHistory: { bidderId: user.id, bidderName: user.username, amount: price, timestamp: now } },
+            $inc: { __v: 1 }
+        },
+        { new: true, runValidators: true }
+    );
+
+    if (!wonAuction) {
+        await restoreHold(user, auction._id, hold);
+        const fresh = await Auction.findById(auction._id);
+        return {
+            error: 'La subasta ha cambiado mientras se procesaba tu oferta (otro jugador la aceptó o el precio bajó).',
+            status: 409,
+            details: { currentBid: fresh ? fresh.currentBid : null, status: fresh ? fresh.status : null }
+        };
+    }
+
+    inspectBid(wonAuction, user);
+    // Cobrar, abrir la entrega, avisar en Discord y emitir la finalización
+    await completeFinalization(io, wonAuction);
+
+    return { message: `¡Has ganado la subasta por ${price} Rublos!`, auction: wonAuction, isLeading: true };
+}
+
+// Puja inglesa: puja normal o puja máxima, con pujas automáticas y cierre suave
+async function placeEnglishBid(io, auction, user, { bidAmount, maxBid }) {
+    if ((bidAmount === undefined) === (maxBid === undefined)) {
+        return { error: 'Indica una puja (bidAmount) o una puja máxima (maxBid), pero no ambas.', status: 400 };
+    }
+
+    // Reservar los fondos que el jugador arriesga en esta subasta: su puja o su puja máxima
+    // (sin reducir la reserva de una puja máxima anterior más alta).
+    const auctionId = auction._id;
+    const previousLeaderId = auction.currentBidderId;
+    const existingProxy = (auction.proxyBids || []).find(proxy => proxy.bidderId === user.id);
+    const exposure = Math.max(maxBid !== undefined ? maxBid : bidAmount, existingProxy ? existingProxy.maxAmount : 0);
+    const hold = await setHold(user.id, user.username, auction._id, exposure, { actorId: user.id, actorName: user.username });
+    if (hold.error) {
+        return { error: hold.error, status: 402 };
+    }
+
+    // Escritura condicional (compare-and-set): la puja solo se aplica si la subasta sigue
+    // activa y nadie ha cambiado currentBid/currentBidderId (ni las pujas máximas, vía __v)
+    // desde que la leímos. Así dos pujas simultáneas no pueden pisarse y bidHistory siempre
+    // queda consistente con currentBid/currentBidderId (se actualizan en la misma operación).
+    let oldBid = null;
+    let wasExtended = false;
+    let result = null;
+    let updatedAuction = null;
+    for (let attempt = 0; attempt < BID_MAX_ATTEMPTS && !updatedAuction; attempt++) {
+        if (attempt > 0) {
+            // Alguien pujó entre nuestra lectura y la escritura: releer y volver a validar
+            auction = await Auction.findById(auctionId).select('+proxyBids +reservePrice');
+            if (!auction) {
+                await restoreHold(user, auctionId, hold);
+                return { error: 'Subasta no encontrada.', status: 404 };
+            }
+            if (auction.status !== 'active' || auction.endDate <= new Date()) {
+                await restoreHold(user, auction._id, hold);
+                return {
+                    error: 'La subasta ha finalizado mientras se procesaba tu puja.',
+                    status: 409,
+                    details: { currentBid: auction.currentBid, currentBidderName: auction.currentBidderName }
+                };
+            }
+        }
+
+        oldBid = auction.currentBid;
+        const now = new Date();
+        result = resolveBid(auction, {
+            bidderId: user.id,
+            bidderName: user.username,
+            bidAmount,
+            maxBid,
+            now
+        });
+        if (result.error) {
+            await restoreHold(user, auction._id, hold);
+            // En un reintento, el error se debe a una puja concurrente: 409 con la puja fresca
+            return {
+                error: attempt > 0 ? `Otra puja se ha registrado antes que la tuya. ${result.error}` : result.error,
+                status: attempt > 0 ? 409 : 400,
+                details: {
+                    currentBid: auction.currentBid,
+                    currentBidderName: auction.currentBidderName,
+                    nextMinimumBid: getNextMinimumBid(auction)
+                }
+            };
+        }
+
+        // Cierre suave: si se genera alguna puja visible en los últimos minutos, se amplía
+        // endDate en la misma escritura condicional.
+        const extendedEndDate = result.newBids.length > 0 ? getSoftCloseEndDate(auction, now) : null;
+        const update = {
+            $set: {
+                currentBid: result.currentBid,
+                currentBidderId: result.currentBidderId,
+                currentBidderName: result.currentBidderName,
+                reserveMet: auction.reservePrice === null || auction.reservePrice === undefined || result.currentBid >= auction.reservePrice
+            },
+            // Añadir las pujas (incluidas las automáticas intermedias) al historial en la misma escritura atómica
+            $push: { bidHistory: { $each: result.newBids } },
+            $inc: { __v: 1 }
+        };
+        if (result.proxyBidsChanged) {
+            update.$set.proxyBids = result.proxyBids;
+        }
+        if (extendedEndDate) {
+            update.$set.endDate = extendedEndDate;
+            update.$inc.extensionCount = 1;
+        }
+        updatedAuction = await Auction.findOneAndUpdate(
+            {
+                _id: auction._id,
+                status: 'active',
+                endDate: { $eq: auction.endDate, $gt: now },
+                currentBid: auction.currentBid,
+                currentBidderId: auction.currentBidderId,
+                __v: auction.__v
+            },
+            update,
+            { new: true, runValidators: true }
+        );
+        wasExtended = Boolean(extendedEndDate);
+    }
+
+    if (!updatedAuction) {
+        await restoreHold(user, auctionId, hold);
+        // Demasiada contención: devolver la puja más reciente para que el cliente reintente
+        const fresh = await Auction.findById(auctionId);
+        return {
+            error: 'La subasta está recibiendo muchas pujas a la vez. Inténtalo de nuevo.',
+            status: 409,
+            details: { currentBid: fresh ? fresh.currentBid : null, currentBidderName: fresh ? fresh.currentBidderName : null }
+        };
+    }
+    auction = updatedAuction;
+    inspectBid(auction, user);
+
+    // Liberar la reserva de quien ya no va en cabeza: el líder anterior, los pujadores cuya
+    // puja máxima se ha agotado y el propio jugador si otra puja máxima le ha superado.
+    const outbidIds = new Set([previousLeaderId, user.id, ...result.newBids.map(bid => bid.bidderId)]);
+    outbidIds.delete(auction.currentBidderId);
+    outbidIds.delete(null);
+    for (const outbidId of outbidIds) {
+        releaseHold(outbidId, auction._id, { reason: 'Puja superada' })
+            .catch(err => console.error(`Error liberando la retención de ${outbidId}:`, err));
+    }
+
+    // La puja máxima del propio jugador solo se le devuelve a él, nunca en datos públicos
+    const ownProxy = result.proxyBids.find(proxy => proxy.bidderId === user.id);
+    const yourMaxBid = ownProxy ? ownProxy.maxAmount : null;
+    const isLeading = auction.currentBidderId === user.id;
+
+    if (result.newBids.length === 0) {
+        // Solo se ha subido la puja máxima del líder: no hay cambios visibles que anunciar
+        return { message: 'Puja máxima actualizada con éxito.', auction, yourMaxBid, isLeading };
+    }
+
+    // Lo que ha pujado visiblemente el jugador (con puja máxima, el sistema puja por él)
+    const ownBids = result.newBids.filter(bid => bid.bidderId === user.id);
+    const ownVisibleBid = ownBids.length > 0 ? ownBids[ownBids.length - 1].amount : null;
+
+    notifyBidPlaced(auction, { bidder: user, ownVisibleBid, oldBid, wasExtended });
+
+    // Emitir eventos de Socket.IO: las nuevas pujas y, si procede, la extensión del cierre
+    realtime.emitBidPlaced(io, auction, result.newBids);
+    if (wasExtended) {
+        realtime.emitAuctionExtended(io, auction);
+    }
+    // Aviso privado al jugador que acaba de perder el primer puesto
+    if (previousLeaderId && previousLeaderId !== auction.currentBidderId) {
+        realtime.emitOutbid(io, previousLeaderId, auction);
+    }
+
+    return {
+        message: isLeading ? 'Puja realizada con éxito.' : 'Puja realizada, pero otra puja máxima te ha superado.',
+        auction,
+        wasExtended,
+        yourMaxBid,
+        isLeading
+    };
+}
+
+/**
+ * Valida y registra la puja de un jugador en una subasta de cualquier tipo.
+ * @param {Object} io Instancia de Socket.IO para emitir los eventos.
+ * @param {string} auctionId ID de la subasta.
+ * @param {Object} user Jugador que puja ({ id, username }).
+ * @param {Object} input { bidAmount, maxBid } tal como llegan del cliente.
+ * @returns {Promise<Object>} Cuerpo de la respuesta ({ message, auction, ... }) o { error, status, details }.
+ */
+async function placeBid(io, auctionId, user, { bidAmount, maxBid } = {}) {
+    if (bidAmount !== undefined && (typeof bidAmount !== 'number' || bidAmount <= 0)) {
+        return { error: 'La cantidad de puja debe ser un número positivo.', status: 400 };
+    }
+    if (maxBid !== undefined && (typeof maxBid !== 'number' || maxBid <= 0)) {
+        return { error: 'La puja máxima debe ser un número positivo.', status: 400 };
+    }
+
+    const auction = await Auction.findById(auctionId).select('+proxyBids +reservePrice');
+    if (!auction) {
+        return { error: 'Subasta no encontrada.', status: 404 };
+    }
+    if (auction.status === 'scheduled') {
+        return { error: 'Esta subasta todavía no ha comenzado.', status: 400 };
+    }
+    if (auction.status !== 'active' || auction.endDate <= new Date()) {
+        return { error: 'Esta subasta no está activa o ya ha finalizado.', status: 400 };
+    }
+    // Quien vende no puede pujar en su propia subasta
+    if (auction.sellerId === user.id) {
+        return { error: 'No puedes pujar en tu propia subasta.', status: 403 };
+    }
+
+    const input = { bidAmount, maxBid };
+    if (auction.type === 'sealed') {
+        return placeSealedBid(io, auction, user, input);
+    }
+    if (auction.type === 'dutch') {
+        return acceptDutchPrice(io, auction, user, input);
+    }
+    return placeEnglishBid(io, auction, user, input);
+}
+
+module.exports = {
+    BID_MAX_ATTEMPTS,
+    getSoftCloseEndDate,
+    placeBid
+};
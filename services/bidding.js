@@ -0,0 +1,242 @@
+// services/bidding.js
+// Lógica de resolución de pujas (incluida la puja automática / proxy, al estilo eBay).
+// Es código puro: recibe el estado de la subasta y devuelve el nuevo estado sin tocar la base de datos,
+// para que la ruta pueda aplicarlo con una escritura condicional.
+
+// Regla de incremento por defecto: cualquier puja 1 Rublo por encima de la actual
+const DEFAULT_INCREMENT_RULE = { type: 'fixed', value: 1 };
+
+/**
+ * Incremento mínimo sobre 'amount' según la regla de la subasta:
+ *  - fixed:      { type: 'fixed', value: 100 }          -> +100
+ *  - percentage: { type: 'percentage', value: 5 }       -> +5% (redondeado hacia arriba, mínimo 1)
+ *  - tiered:     { type: 'tiered', tiers: [{ upTo: 5000, increment: 100 }, { upTo: null, increment: 500 }] }
+ *                -> el incremento del primer tramo cuyo upTo sea mayor que 'amount' (null = sin tope)
+ */
+function getMinimumIncrement(rule, amount) {
+    const effectiveRule = rule && rule.type ? rule : DEFAULT_INCREMENT_RULE;
+    if (effectiveRule.type === 'percentage') {
+        return Math.max(1, Math.ceil(amount * effectiveRule.value / 100));
+    }
+    if (effectiveRule.type === 'tiered') {
+        const tier = (effectiveRule.tiers || []).find(t => t.upTo === null || t.upTo === undefined || amount < t.upTo);
+        return tier ? tier.increment : DEFAULT_INCREMENT_RULE.value;
+    }
+    return effectiveRule.value;
+}
+
+// Siguiente puja mínima válida para una subasta (o su representación plana).
+// En una puja sellada es la puja inicial; en una holandesa, el precio actual que se puede aceptar.
+function getNextMinimumBid(auction) {
+    if (auction.type === 'sealed') {
+        return auction.startBid;
+    }
+    if (auction.type === 'dutch') {
+        return auction.currentBid;
+    }
+    return auction.currentBid + getMinimumIncrement(auction.incrementRule, auction.currentBid);
+}
+
+/**
+ * Valida y normaliza una regla de incremento recibida en el body.
+ * @returns {Object} { rule } o { error }.
+ */
+function parseIncrementRule(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'La regla de incremento debe ser un objeto con "type".' };
+    }
+    if (input.type === 'fixed' || input.type === 'percentage') {
+        const value = Number(input.value);
+        if (!Number.isFinite(value) || value <= 0) {
+            return { error: 'El valor de la regla de incremento debe ser un número positivo.' };
+        }
+        if (input.type === 'percentage' && value > 100) {
+            return { error: 'El incremento porcentual no puede superar el 100%.' };
+        }
+        return { rule: { type: input.type, value, tiers: [] } };
+    }
+    if (input.type === 'tiered') {
+        if (!Array.isArray(input.tiers) || input.tiers.length === 0) {
+            return { error: 'La regla escalonada necesita al menos un tramo.' };
+        }
+        const tiers = [];
+        for (const [index, tier] of input.tiers.entries()) {
+            const isLast = index === input.tiers.length - 1;
+            const upTo = tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo);
+            const increment = Number(tier.increment);
+            if (!Number.isFinite(increment) || increment <= 0) {
+                return { error: 'Cada tramo debe tener un incremento positivo.' };
+            }
+            if (upTo === null && !isLast) {
+                return { error: 'Solo el último tramo puede no tener tope (upTo).' };
+            }
+            if (upTo !== null && (!Number.isFinite(upTo) || upTo <= 0 || (tiers.length > 0 && upTo <= tiers[tiers.length - 1].upTo))) {
+                return { error: 'Los topes (upTo) de los tramos deben ser positivos y crecientes.' };
+            }
+            tiers.push({ upTo, increment });
+        }
+        return { rule: { type: 'tiered', value: null, tiers } };
+    }
+    return { error: 'El tipo de regla de incremento debe ser "fixed", "percentage" o "tiered".' };
+}
+
+// Devuelve la puja máxima secreta de un pujador, o null si no tiene.
+function findProxy(proxyBids, bidderId) {
+    return proxyBids.find(proxy => proxy.bidderId === bidderId) || null;
+}
+
+/**
+ * Calcula el resultado de una puja sobre una subasta.
+ *
+ * @param {Object} auction Documento de la subasta (cargado con '+proxyBids').
+ * @param {Object} bid { bidderId, bidderName, bidAmount, maxBid, now }.
+ *        bidAmount es una puja visible normal; maxBid es una puja máxima secreta (proxy).
+ * @returns {Object} { error } si la puja no es válida, o
+ *          { newBids, currentBid, currentBidderId, currentBidderName, proxyBids, proxyBidsChanged }.
+ */
+function resolveBid(auction, { bidderId, bidderName, bidAmount, maxBid, now }) {
+    // Copia de trabajo de las pujas máximas (objetos planos)
+    const proxyBids = (auction.proxyBids || []).map(proxy => ({
+        bidderId: proxy.bidderId,
+        bidderName: proxy.bidderName,
+        maxAmount: proxy.maxAmount,
+        createdAt: proxy.createdAt,
+        updatedAt: proxy.updatedAt
+    }));
+    const newBids = [];
+    let currentBid = auction.currentBid;
+    let currentBidderId = auction.currentBidderId;
+    let currentBidderName = auction.currentBidderName;
+    let proxyBidsChanged = false;
+
+    const pushBid = (id, name, amount) => {
+        newBids.push({ bidderId: id, bidderName: name, amount, timestamp: now });
+        currentBid = amount;
+        currentBidderId = id;
+        currentBidderName = name;
+    };
+
+    const increment = amount => getMinimumIncrement(auction.incrementRule, amount);
+    const nextMinimumBid = currentBid + increment(currentBid);
+
+    if (maxBid !== undefined) {
+        // Puja máxima: se guarda (o se sube) el máximo secreto del pujador
+        const ownProxy = findProxy(proxyBids, bidderId);
+        const isLeader = currentBidderId === bidderId;
+        if (!isLeader && maxBid < nextMinimumBid) {
+            return { error: `Tu puja máxima (${maxBid} Rublos) debe ser al menos la puja mínima siguiente (${nextMinimumBid} Rublos).` };
+        }
+        if (isLeader && maxBid <= currentBid) {
+            return { error: `Tu puja máxima (${maxBid} Rublos) debe ser mayor que la puja actual (${currentBid} Rublos).` };
+        }
+        if (ownProxy) {
+            if (maxBid <= ownProxy.maxAmount) {
+                return { error: `Ya tienes una puja máxima de ${ownProxy.maxAmount} Rublos. Solo puedes aumentarla.` };
+            }
+            ownProxy.maxAmount = maxBid;
+            ownProxy.bidderName = bidderName;
+            ownProxy.updatedAt = now;
+        } else {
+            proxyBids.push({ bidderId, bidderName, maxAmount: maxBid, createdAt: now, updatedAt: now });
+        }
+        proxyBidsChanged = true;
+    } else {
+        // Puja normal: se registra tal cual
+        if (bidAmount < nextMinimumBid) {
+            return { error: `Tu puja (${bidAmount} Rublos) debe ser al menos ${nextMinimumBid} Rublos (puja actual ${currentBid} + incremento mínimo).` };
+        }
+        pushBid(bidderId, bidderName, bidAmount);
+    }
+
+    // Resolver las pujas máximas en competencia. Cada vuelta sube currentBid, así que termina.
+    for (;;) {
+        const leaderProxy = currentBidderId ? findProxy(proxyBids, currentBidderId) : null;
+        const leaderMax = leaderProxy ? Math.max(leaderProxy.maxAmount, currentBid) : currentBid;
+
+        // El aspirante más fuerte: máximo más alto y, a igualdad, el que lo fijó antes
+        const challenger = proxyBids
+            .filter(proxy => proxy.bidderId !== currentBidderId && proxy.maxAmount > currentBid)
+            .sort((a, b) => (b.maxAmount - a.maxAmount) || (new Date(a.createdAt) - new Date(b.createdAt)))[0];
+        if (!challenger) break;
+
+        if (challenger.maxAmount > leaderMax) {
+            // El líder agota su máximo y el aspirante le supera por el incremento mínimo
+            if (leaderProxy && leaderMax > currentBid) {
+                pushBid(currentBidderId, currentBidderName, leaderMax);
+            }
+            pushBid(challenger.bidderId, challenger.bidderName,
+                Math.min(challenger.maxAmount, leaderMax + increment(leaderMax)));
+        } else if (challenger.maxAmount < leaderMax) {
+            // El aspirante llega a su máximo y la puja automática del líder le supera
+            pushBid(challenger.bidderId, challenger.bidderName, challenger.maxAmount);
+            pushBid(leaderProxy.bidderId, leaderProxy.bidderName,
+                Math.min(leaderMax, challenger.maxAmount + increment(challenger.maxAmount)));
+        } else {
+            // Empate de máximos: se mantiene el líder, que llegó primero a esa cantidad
+            pushBid(leaderProxy.bidderId, leaderProxy.bidderName, leaderMax);
+        }
+    }
+
+    return { newBids, currentBid, currentBidderId, currentBidderName, proxyBids, proxyBidsChanged };
+}
+
+/**
+ * Líder y puja actual de una subasta inglesa a partir de sus pujas válidas y de las pujas máximas que quedan
+ * (p. ej. tras anular una puja). Como en resolveBid, compiten los máximos de cada pujador:
+ *  - Lidera el máximo más alto (su puja visible más alta o su puja máxima); a igualdad, quien llegó antes.
+ *  - Sin puja máxima, el líder paga su puja más alta.
+ *  - Con puja máxima, paga el máximo del segundo más el incremento mínimo (sin rival, la primera puja posible
+ *    sobre la inicial), nunca más que su máximo ni menos que lo que pujó a mano (antes de fijar el máximo o
+ *    por encima de él). Así una puja anulada deja de inflar el precio al que subió la puja automática.
+ * @param {Object} auction { startBid, incrementRule, proxyBids }.
+ * @param {Array} validBids Pujas de bidHistory que no están anuladas.
+ * @returns {Object} { leader: { bidderId, bidderName } o null, price }.
+ */
+function resolveValidBids(auction, validBids) {
+    const contenders = new Map();
+    const getContender = (bidderId, bidderName) => {
+        if (!contenders.has(bidderId)) {
+            contenders.set(bidderId, { bidderId, bidderName, max: 0, reachedAt: null, bids: [], proxy: null });
+        }
+        return contenders.get(bidderId);
+    };
+    for (const bid of validBids) {
+        const contender = getContender(bid.bidderId, bid.bidderName);
+        contender.bids.push(bid);
+        if (bid.amount > contender.max) {
+            contender.max = bid.amount;
+            contender.reachedAt = new Date(bid.timestamp);
+        }
+    }
+    for (const proxy of auction.proxyBids || []) {
+        const contender = getContender(proxy.bidderId, proxy.bidderName);
+        contender.proxy = proxy;
+        if (proxy.maxAmount > contender.max) {
+            contender.max = proxy.maxAmount;
+            contender.reachedAt = new Date(proxy.updatedAt || proxy.createdAt);
+        }
+    }
+
+    const [leader, runnerUp] = [...contenders.values()].sort((a, b) => (b.max - a.max) || (a.reachedAt - b.reachedAt));
+    if (!leader) {
+        return { leader: null, price: auction.startBid };
+    }
+    let price = leader.max;
+    if (leader.proxy) {
+        const base = runnerUp ? runnerUp.max : auction.startBid;
+        const manualBids = leader.bids.filter(bid =>
+            new Date(bid.timestamp) < new Date(leader.proxy.createdAt) || bid.amount > leader.proxy.maxAmount);
+        const manualFloor = Math.max(0, ...manualBids.map(bid => bid.amount));
+        price = Math.min(leader.max, Math.max(base + getMinimumIncrement(auction.incrementRule, base), manualFloor));
+    }
+    return { leader: { bidderId: leader.bidderId, bidderName: leader.bidderName }, price };
+}
+
+module.exports = {
+    DEFAULT_INCREMENT_RULE,
+    getMinimumIncrement,
+    getNextMinimumBid,
+    parseIncrementRule,
+    resolveBid,
+    resolveValidBids
+};
@@ -0,0 +1,209 @@
+// services/catalog.js
+// Catálogo de objetos de DayZ: validación de objetos, de los lotes de las subastas e importación
+// desde JSON o CSV. Como el resto de servicios, los errores de validación se devuelven como { error }.
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Auction = require('../models/Auction');
+
+// Máximo de objetos distintos en un mismo lote y de filas en una importación
+const MAX_LOT_ITEMS = 50;
+const MAX_IMPORT_ROWS = 5000;
+
+const CSV_COLUMNS = ['className', 'displayName', 'category', 'iconUrl'];
+
+/**
+ * Valida los campos de un objeto del catálogo. Con partial solo se validan los campos presentes.
+ * @returns {Object} { fields } o { error }.
+ */
+function parseItemInput(input, { partial = false } = {}) {
+    const fields = {};
+    for (const field of ['className', 'displayName']) {
+        if (input[field] === undefined && partial) continue;
+        const value = typeof input[field] === 'string' ? input[field].trim() : '';
+        if (!value) {
+            return { error: `El campo ${field} es obligatorio.` };
+        }
+        fields[field] = value;
+    }
+    if (fields.className && !/^[A-Za-z0-9_]+$/.test(fields.className)) {
+        return { error: `El nombre de clase "${fields.className}" solo puede contener letras, números y guiones bajos.` };
+    }
+    if (input.category !== undefined || !partial) {
+        const category = typeof input.category === 'string' ? input.category.trim().toLowerCase() : '';
+        if (!Item.CATEGORIES.includes(category)) {
+            return { error: `Categoría no válida: "${input.category}". Usa una de: ${Item.CATEGORIES.join(', ')}.` };
+        }
+        fields.category = category;
+    }
+    if (input.iconUrl !== undefined) {
+        fields.iconUrl = typeof input.iconUrl === 'string' && input.iconUrl.trim() ? input.iconUrl.trim() : null;
+    }
+    if (input.active !== undefined) {
+        fields.active = input.active === true || input.active === 'true';
+    }
+    return { fields };
+}
+
+/**
+ * Valida los lotes de una subasta contra el catálogo y copia los datos de cada objeto.
+ * Cada lote es { itemId | className, quantity (por defecto 1), condition (por defecto 'Pristine') }.
+ * @returns {Promise<Object>} { items } o { error }.
+ */
+async function resolveLotItems(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'La subasta debe incluir al menos un objeto del catálogo (items).' };
+    }
+    if (input.length > MAX_LOT_ITEMS) {
+        return { error: `Una subasta no puede incluir más de ${MAX_LOT_ITEMS} objetos distintos.` };
+    }
+
+    const ids = input.filter(lot => lot && lot.itemId && mongoose.isValidObjectId(lot.itemId)).map(lot => lot.itemId);
+    const classNames = input.filter(lot => lot && !lot.itemId && lot.className).map(lot => lot.className);
+    const catalogItems = await Item.find({ $or: [{ _id: { $in: ids } }, { className: { $in: classNames } }] });
+    const byId = new Map(catalogItems.map(item => [String(item._id), item]));
+    const byClassName = new Map(catalogItems.map(item => [item.className, item]));
+
+    const items = [];
+    for (const [index, lot] of input.entries()) {
+        const position = index + 1;
+        if (!lot || typeof lot !== 'object') {
+            return { error: `El objeto ${position} del lote no es válido.` };
+        }
+        const item = lot.itemId ? byId.get(String(lot.itemId)) : byClassName.get(lot.className);
+        if (!item) {
+            return { error: `El objeto ${position} del lote (${lot.itemId || lot.className || 'sin identificar'}) no existe en el catálogo.` };
+        }
+        if (!item.active) {
+            return { error: `El objeto "${item.displayName}" está retirado del catálogo.` };
+        }
+        const quantity = lot.quantity === undefined ? 1 : Number(lot.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: `La cantidad de "${item.displayName}" debe ser un número entero positivo.` };
+        }
+        const condition = lot.condition === undefined ? 'Pristine' : lot.condition;
+        if (!Auction.ITEM_CONDITIONS.includes(condition)) {
+            return { error: `Estado no válido para "${item.displayName}". Usa uno de: ${Auction.ITEM_CONDITIONS.join(', ')}.` };
+        }
+        items.push({
+            itemId: item._id,
+            className: item.className,
+            displayName: item.displayName,
+            category: item.category,
+            iconUrl: item.iconUrl,
+            quantity,
+            condition
+        });
+    }
+    return { items };
+}
+
+// Divide una línea CSV respetando los campos entre comillas ("a, b" y comillas escapadas "")
+function splitCsvLine(line) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            values.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current);
+    return values.map(value => value.trim());
+}
+
+// Convierte un CSV con cabecera (className,displayName,category,iconUrl) en filas
+function parseCsv(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+        return { error: 'El CSV está vacío.' };
+    }
+    const header = splitCsvLine(lines[0]);
+    const missing = CSV_COLUMNS.slice(0, 3).filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        return { error: `Faltan columnas en la cabecera del CSV: ${missing.join(', ')}.` };
+    }
+    const rows = lines.slice(1).map(line => {
+        const values = splitCsvLine(line);
+        const row = {};
+        header.forEach((column, index) => {
+            if (CSV_COLUMNS.includes(column)) row[column] = values[index];
+        });
+        return row;
+    });
+    return { rows };
+}
+
+/**
+ * Obtiene las filas a importar de un CSV (texto) o de un JSON (array u objeto { items: [...] }).
+ * @returns {Object} { rows } o { error }.
+ */
+function parseCatalogImport(body) {
+    let result;
+    if (typeof body === 'string') {
+        result = parseCsv(body);
+    } else if (Array.isArray(body)) {
+        result = { rows: body };
+    } else if (body && Array.isArray(body.items)) {
+        result = { rows: body.items };
+    } else {
+        return { error: 'Envía un CSV (text/csv) o un JSON con la lista de objetos.' };
+    }
+    if (result.error) return result;
+    if (result.rows.length === 0) {
+        return { error: 'No hay objetos que importar.' };
+    }
+    if (result.rows.length > MAX_IMPORT_ROWS) {
+        return { error: `No se pueden importar más de ${MAX_IMPORT_ROWS} objetos a la vez.` };
+    }
+    return result;
+}
+
+/**
+ * Crea o actualiza (por className) los objetos importados. Las filas no válidas se omiten y se informan.
+ * @returns {Promise<Object>} { created, updated, errors: [{ row, message }] }.
+ */
+async function importCatalogItems(rows) {
+    const summary = { created: 0, updated: 0, errors: [] };
+    const now = new Date();
+    for (const [index, row] of rows.entries()) {
+        const parsed = parseItemInput(row || {});
+        if (parsed.error) {
+            summary.errors.push({ row: index + 1, message: parsed.error });
+            continue;
+        }
+        const { className, ...fields } = parsed.fields;
+        const result = await Item.updateOne(
+            { className },
+            { $set: { ...fields, updatedAt: now }, $setOnInsert: { className, createdAt: now } },
+            { upsert: true }
+        );
+        if (result.upsertedCount > 0) {
+            summary.created++;
+        } else {
+            summary.updated++;
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    parseItemInput,
+    resolveLotItems,
+    parseCatalogImport,
+    importCatalogItems
+};
@@ -0,0 +1,50 @@
+// services/discordGuild.js
+// Consulta de la pertenencia y los roles de un usuario en el servidor (gremio) de Discord.
+// Se usa al iniciar sesión y al refrescar la sesión, para que un cambio de roles o una expulsión
+// del servidor se refleje sin esperar a que el usuario vuelva a iniciar sesión.
+const axios = require('axios');
+const { isAdminRoles } = require('./permissions');
+
+const DISCORD_API_URL = 'https://discord.com/api';
+const DISCORD_GUILD_ID = process.env.DISCORD_GUILD_ID || '966528764878131240';
+
+// Si DISCORD_BOT_TOKEN está configurado (un bot dentro del servidor), se consulta con el bot,
+// que no depende de que el token OAuth del usuario siga siendo válido.
+function memberRequest(discordId, userAccessToken) {
+    if (process.env.DISCORD_BOT_TOKEN) {
+        return axios.get(`${DISCORD_API_URL}/guilds/${DISCORD_GUILD_ID}/members/${discordId}`, {
+            headers: { Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}` }
+        });
+    }
+    return axios.get(`${DISCORD_API_URL}/users/@me/guilds/${DISCORD_GUILD_ID}/member`, {
+        headers: { Authorization: `Bearer ${userAccessToken}` }
+    });
+}
+
+/**
+ * Obtiene los roles actuales del usuario en el gremio.
+ * @returns {Object} { guildRoles, isAdmin }, { notMember: true } si ya no está en el servidor,
+ *          o { error, unauthorized } si no se pudo consultar (unauthorized: el token OAuth ya no vale).
+ */
+async function fetchGuildMember(discordId, userAccessToken) {
+    if (!process.env.DISCORD_BOT_TOKEN && !userAccessToken) {
+        return { error: 'No hay credenciales para consultar los roles en Discord.', unauthorized: true };
+    }
+    try {
+        const response = await memberRequest(discordId, userAccessToken);
+        const guildRoles = response.data.roles || [];
+        return { guildRoles, isAdmin: isAdminRoles(guildRoles) };
+    } catch (error) {
+        const status = error.response ? error.response.status : null;
+        if (status === 404) {
+            return { notMember: true };
+        }
+        console.error('Error al obtener roles del gremio desde Discord API:', error.response ? error.response.data : error.message);
+        return { error: 'No se pudieron comprobar tus roles en Discord.', unauthorized: status === 401 };
+    }
+}
+
+module.exports = {
+    DISCORD_GUILD_ID,
+    fetchGuildMember
+};
@@ -0,0 +1,427 @@
+// services/discordInteractions.js
+// Comandos de barra de Discord (/subastas, /subasta, /pujar, /mis-pujas) y el botón "Pujar" de los anuncios
+// de subastas nuevas, que abre un formulario (modal) con la cantidad. Discord envía cada interacción por HTTP
+// a routes/interactions.js, firmada con Ed25519; aquí se verifica la firma y se construye la respuesta.
+// Todas las respuestas son efímeras: solo las ve quien usa el comando. Las pujas se responden en diferido
+// y el resultado llega editando la respuesta, porque Discord solo espera 3 s.
+//
+// Configuración (Discord Developer Portal -> tu aplicación):
+//   - DISCORD_PUBLIC_KEY: "Public Key" de la aplicación (hex), para verificar las firmas.
+//   - Interactions Endpoint URL: <RENDER_BACKEND_URL>/api/discord/interactions
+//   - Los comandos se registran con scripts/registerDiscordCommands.js.
+// Para probar en local sin Discord, scripts/discordInteractionStub.js genera un par de claves y envía
+// interacciones firmadas.
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const User = require('../models/User');
+const { getNextMinimumBid } = require('./bidding');
+const { placeBid } = require('./bidPlacement');
+const { summarizeParticipation, findBidAuctions } = require('./participation');
+const { getActiveBidBlock } = require('./sanctions');
+const { getEffectivePermissions, isAdminRoles, PERMISSIONS, BID_REQUIRED_ROLE_IDS } = require('./permissions');
+const { DISCORD_GUILD_ID } = require('./discordGuild');
+const { AUCTION_TYPE_LABELS } = require('./auctionTypes');
+const { BID_BUTTON_PREFIX, buildBidButtonRow } = require('./notifications');
+const { BID_RATE_LIMIT, consumeRateLimit } = require('../middleware/antiAbuse');
+
+const DISCORD_PUBLIC_KEY = process.env.DISCORD_PUBLIC_KEY || null;
+
+// Antigüedad máxima de una interacción firmada (evita que se reenvíe una petición capturada)
+const MAX_INTERACTION_AGE_SECONDS = 5 * 60;
+
+// Tipos de la API de interacciones de Discord
+const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2, MESSAGE_COMPONENT: 3, AUTOCOMPLETE: 4, MODAL_SUBMIT: 5 };
+const RESPONSE_TYPES = { PONG: 1, CHANNEL_MESSAGE: 4, DEFERRED_CHANNEL_MESSAGE: 5, AUTOCOMPLETE_RESULT: 8, MODAL: 9 };
+const EPHEMERAL_FLAG = 64;
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+
+// Prefijo de custom_id del formulario de puja (seguido del ID de la subasta); el del botón "Pujar" está
+// en services/notifications.js, que lo añade a los anuncios de subastas nuevas
+const BID_MODAL_PREFIX = 'bid-modal:';
+
+// Máximo de subastas que se listan en una respuesta (Discord admite hasta 10 embeds por mensaje)
+const LIST_LIMIT = 10;
+
+// Definición de los comandos para registrarlos en Discord (ver scripts/registerDiscordCommands.js)
+const COMMAND_DEFINITIONS = [
+    {
+        name: 'subastas',
+        description: 'Lista las subastas activas que terminan antes',
+        type: 1
+    },
+    {
+        name: 'subasta',
+        description: 'Muestra los detalles de una subasta',
+        type: 1,
+        options: [
+            { type: 3, name: 'id', description: 'Subasta (escribe parte del título para buscarla)', required: true, autocomplete: true }
+        ]
+    },
+    {
+        name: 'pujar',
+        description: 'Puja en una subasta',
+        type: 1,
+        options: [
+            { type: 3, name: 'id', description: 'Subasta (escribe parte del título para buscarla)', required: true, autocomplete: true },
+            { type: 4, name: 'cantidad', description: 'Cantidad en Rublos (en una holandesa, el precio actual)', required: true, min_value: 1 }
+        ]
+    },
+    {
+        name: 'mis-pujas',
+        description: 'Tus pujas en las subastas activas',
+        type: 1
+    }
+];
+
+// Prefijo DER (SPKI) de una clave pública Ed25519: Discord da solo los 32 bytes de la clave en hex
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+let cachedPublicKey = null;
+
+function getPublicKey() {
+    if (!cachedPublicKey) {
+        cachedPublicKey = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(DISCORD_PUBLIC_KEY, 'hex')]),
+            format: 'der',
+            type: 'spki'
+        });
+    }
+    return cachedPublicKey;
+}
+
+/**
+ * Verifica la firma Ed25519 de una interacción (cabeceras X-Signature-Ed25519 y X-Signature-Timestamp)
+ * sobre el timestamp seguido del cuerpo sin parsear.
+ * @returns {boolean} true si la firma es válida y la interacción es reciente.
+ */
+function verifyInteractionSignature(rawBody, signature, timestamp) {
+    if (!DISCORD_PUBLIC_KEY || !signature || !timestamp || !Buffer.isBuffer(rawBody)) {
+        return false;
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_INTERACTION_AGE_SECONDS) {
+        return false;
+    }
+    try {
+        return crypto.verify(null, Buffer.concat([Buffer.from(timestamp, 'utf8'), rawBody]), getPublicKey(), Buffer.from(signature, 'hex'));
+    } catch (error) {
+        console.error('Error verificando la firma de una interacción de Discord:', error.message);
+        return false;
+    }
+}
+
+// --- Respuestas ---
+
+/**
+ * Respuesta diferida: Discord exige contestar en 3 s y una puja (permisos, sanciones, límite de pujas y la
+ * propia puja) puede tardar más. Se contesta al momento con "pensando..." (efímero) y followUp, que la ruta
+ * llama después de enviar esa respuesta, hace el trabajo y edita la respuesta original con el resultado.
+ * Nunca lanza: un fallo se registra en consola y se intenta dejar un mensaje de error al usuario.
+ */
+function deferred(interaction, work) {
+    const followUp = async () => {
+        let result;
+        try {
+            result = await work();
+        } catch (error) {
+            console.error('Error handling deferred Discord interaction:', error);
+            result = ephemeral('❌ Error al procesar el comando. Inténtalo de nuevo.');
+        }
+        // Al editar no se pueden cambiar los flags: la respuesta ya es efímera
+        const { flags, ...message } = result.data;
+        try {
+            await axios.patch(`${DISCORD_API_URL}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`, message);
+        } catch (error) {
+            console.error('Error editando la respuesta de una interacción de Discord:', error.response ? error.response.data : error.message);
+        }
+    };
+    return { response: { type: RESPONSE_TYPES.DEFERRED_CHANNEL_MESSAGE, data: { flags: EPHEMERAL_FLAG } }, followUp };
+}
+
+const toTimestamp = date => Math.floor(new Date(date).getTime() / 1000);
+
+function ephemeral(content, { embeds = [], components = [] } = {}) {
+    return { type: RESPONSE_TYPES.CHANNEL_MESSAGE, data: { content, embeds, components, flags: EPHEMERAL_FLAG, allowed_mentions: { parse: [] } } };
+}
+
+// Precio que se muestra de una subasta según su tipo (las pujas selladas no se revelan hasta el cierre)
+function describePrice(auction) {
+    if (auction.type === 'sealed') {
+        return `Puja mínima: **${auction.startBid} Rublos** · Pujas selladas: **${auction.sealedBidCount || 0}**`;
+    }
+    if (auction.type === 'dutch') {
+        return `Precio actual: **${auction.currentBid} Rublos** (baja hasta ${auction.dutch.floorPrice})`;
+    }
+    const leader = auction.currentBidderName ? ` (${auction.currentBidderName})` : '';
+    return `Puja actual: **${auction.currentBid} Rublos**${leader} · Siguiente mínima: **${getNextMinimumBid(auction)} Rublos**`;
+}
+
+function buildAuctionSummaryEmbed(auction) {
+    return {
+        title: auction.title.slice(0, 256),
+        description: `${describePrice(auction)}\nFinaliza <t:${toTimestamp(auction.endDate)}:R>`,
+        footer: { text: `${AUCTION_TYPE_LABELS[auction.type] || auction.type} | ID: ${auction._id}` }
+    };
+}
+
+function buildAuctionDetailEmbed(auction) {
+    const fields = [
+        { name: 'Tipo', value: AUCTION_TYPE_LABELS[auction.type] || auction.type, inline: true },
+        { name: 'Finaliza', value: `<t:${toTimestamp(auction.endDate)}:F> (<t:${toTimestamp(auction.endDate)}:R>)`, inline: true }
+    ];
+    if (auction.buyNowPrice !== null && auction.buyNowPrice !== undefined && auction.type === 'english') {
+        fields.push({ name: 'Cómpralo Ya', value: `${auction.buyNowPrice} Rublos (en la web)`, inline: true });
+    }
+    if (auction.items && auction.items.length > 0) {
+        fields.push({ name: 'Lote', value: auction.items.map(item => `${item.quantity}x ${item.displayName} (${item.condition})`).join('\n').slice(0, 1024) });
+    }
+    return {
+        title: auction.title.slice(0, 256),
+        description: `${(auction.description || '').slice(0, 1500)}\n\n${describePrice(auction)}`,
+        image: auction.imageUrl ? { url: auction.imageUrl } : undefined,
+        fields,
+        footer: { text: `ID: ${auction._id}` }
+    };
+}
+
+// Mensaje de error de una puja, con la siguiente puja mínima si la hay
+function describeBidError(result) {
+    const details = result.details || {};
+    const hint = details.nextMinimumBid ? ` Siguiente puja mínima: ${details.nextMinimumBid} Rublos.` : '';
+    return `❌ ${result.error}${hint}`;
+}
+
+// --- Usuario de la interacción ---
+
+// Usuario de Discord de la interacción (en el servidor llega dentro de member, en mensajes directos en user)
+function getInteractionUser(interaction) {
+    const discordUser = (interaction.member && interaction.member.user) || interaction.user;
+    return { id: discordUser.id, username: discordUser.username, avatar: discordUser.avatar || null };
+}
+
+/**
+ * Comprueba que quien usa /pujar puede pujar, con las mismas reglas que la web: permiso de pujar según sus
+ * roles del servidor, sin baneo de la web, sin sanciones de pujas y dentro del límite de pujas por minuto.
+ * @returns {Promise<Object>} { user } (con guildRoles e isAdmin, como el JWT) o { error }.
+ */
+async function resolveBidder(interaction) {
+    if (!interaction.member || interaction.guild_id !== DISCORD_GUILD_ID) {
+        return { error: 'Solo puedes pujar desde el servidor de Discord de la comunidad.' };
+    }
+    const guildRoles = interaction.member.roles || [];
+    const user = { ...getInteractionUser(interaction), guildRoles, isAdmin: isAdminRoles(guildRoles) };
+
+    const profile = await User.findOne({ discordId: user.id });
+    if (profile && profile.bannedAt) {
+        return { error: 'Tu cuenta está baneada de las subastas.' };
+    }
+    const permissions = await getEffectivePermissions(user);
+    if (!permissions.includes(PERMISSIONS.PLACE_BIDS)) {
+        return { error: BID_REQUIRED_ROLE_IDS.length > 0 ? 'Necesitas el rol de Discord de pujador verificado para pujar.' : 'No tienes permiso para pujar.' };
+    }
+    const block = await getActiveBidBlock(user.id);
+    if (block) {
+        return { error: block.message };
+    }
+    try {
+        const retryAfter = await consumeRateLimit(BID_RATE_LIMIT, { userId: user.id });
+        if (retryAfter > 0) {
+            return { error: `Demasiadas pujas seguidas. Espera ${retryAfter} s e inténtalo de nuevo.` };
+        }
+    } catch (error) {
+        console.error('Error comprobando el límite de pujas desde Discord:', error.message);
+    }
+    return { user };
+}
+
+// Subasta visible para los jugadores (las pendientes de revisión, rechazadas o canceladas no se muestran)
+async function findVisibleAuction(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const auction = await Auction.findById(id);
+    return auction && ['scheduled', 'active', 'finalized'].includes(auction.status) ? auction : null;
+}
+
+// Valor de una opción de un comando de barra
+function getOption(interaction, name) {
+    const option = (interaction.data.options || []).find(opt => opt.name === name);
+    return option ? option.value : undefined;
+}
+
+// --- Comandos ---
+
+async function handleListCommand() {
+    const auctions = await Auction.find({ status: 'active', endDate: { $gt: new Date() } }).sort({ endDate: 1 }).limit(LIST_LIMIT);
+    if (auctions.length === 0) {
+        return ephemeral('No hay subastas activas ahora mismo.');
+    }
+    return ephemeral(`Subastas activas que terminan antes (${auctions.length}). Usa \`/subasta\` para ver una o \`/pujar\` para pujar:`, {
+        embeds: auctions.map(buildAuctionSummaryEmbed)
+    });
+}
+
+async function handleDetailCommand(interaction) {
+    const auction = await findVisibleAuction(getOption(interaction, 'id'));
+    if (!auction) {
+        return ephemeral('❌ Subasta no encontrada.');
+    }
+    const isOpen = auction.status === 'active' && auction.endDate > new Date();
+    return ephemeral(isOpen ? '' : `Esta subasta está ${auction.status === 'scheduled' ? 'programada' : 'finalizada'}.`, {
+        embeds: [buildAuctionDetailEmbed(auction)],
+        components: isOpen ? [buildBidButtonRow(auction._id)] : []
+    });
+}
+
+async function submitBid(io, interaction, auctionId, amount) {
+    if (!mongoose.isValidObjectId(auctionId)) {
+        return ephemeral('❌ Subasta no encontrada.');
+    }
+    const bidder = await resolveBidder(interaction);
+    if (bidder.error) {
+        return ephemeral(`❌ ${bidder.error}`);
+    }
+    const result = await placeBid(io, auctionId, bidder.user, { bidAmount: amount });
+    if (result.error) {
+        return ephemeral(describeBidError(result));
+    }
+    const privateNote = result.yourSealedBid ? ` Tu puja sellada: **${result.yourSealedBid} Rublos**.` : '';
+    return ephemeral(`✅ ${result.message}${privateNote}`, { embeds: [buildAuctionSummaryEmbed(result.auction)] });
+}
+
+async function handleBidCommand(io, interaction) {
+    return submitBid(io, interaction, getOption(interaction, 'id'), getOption(interaction, 'cantidad'));
+}
+
+async function handleMyBidsCommand(interaction) {
+    const { id } = getInteractionUser(interaction);
+    const auctions = await findBidAuctions(id, 'active');
+    if (auctions.length === 0) {
+        return ephemeral('No tienes pujas en subastas activas.');
+    }
+    const lines = auctions.slice(0, 20).map(auction => {
+        const participation = summarizeParticipation(auction, id);
+        const own = participation.mySealedBid !== null
+            ? `tu puja sellada: ${participation.mySealedBid}`
+            : `tu puja más alta: ${participation.myHighestBid}${participation.myMaxBid ? ` (máxima ${participation.myMaxBid})` : ''}`;
+        const state = auction.type === 'sealed' ? '📩' : (participation.isLeading ? '🟢 en cabeza' : '🔴 superado');
+        return `**${auction.title}** · ${own} Rublos · ${state} · termina <t:${toTimestamp(auction.endDate)}:R>`;
+    });
+    return ephemeral(`Tus pujas en subastas activas:\n${lines.join('\n')}`.slice(0, 2000));
+}
+
+// /pujar no está aquí: se responde en diferido (ver handleInteraction)
+const COMMAND_HANDLERS = {
+    subastas: () => handleListCommand(),
+    subasta: (io, interaction) => handleDetailCommand(interaction),
+    'mis-pujas': (io, interaction) => handleMyBidsCommand(interaction)
+};
+
+// Sugerencias para la opción 'id': subastas activas cuyo título contiene lo escrito
+async function handleAutocomplete(interaction) {
+    const focused = (interaction.data.options || []).find(opt => opt.focused);
+    const text = focused ? String(focused.value || '').trim() : '';
+    const filter = { status: 'active', endDate: { $gt: new Date() } };
+    if (text) {
+        filter.title = { $regex: text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    const auctions = await Auction.find(filter).select('title currentBid').sort({ endDate: 1 }).limit(25);
+    return {
+        type: RESPONSE_TYPES.AUTOCOMPLETE_RESULT,
+        data: { choices: auctions.map(auction => ({ name: `${auction.title} (${auction.currentBid} Rublos)`.slice(0, 100), value: String(auction._id) })) }
+    };
+}
+
+// Botón "Pujar": abre el formulario con la cantidad
+async function handleBidButton(auctionId) {
+    const auction = await findVisibleAuction(auctionId);
+    if (!auction || auction.status !== 'active' || auction.endDate <= new Date()) {
+        return ephemeral('❌ Esta subasta ya no admite pujas.');
+    }
+    return {
+        type: RESPONSE_TYPES.MODAL,
+        data: {
+            custom_id: `${BID_MODAL_PREFIX}${auction._id}`,
+            title: `Pujar: ${auction.title}`.slice(0, 45),
+            components: [{
+                type: 1,
+                components: [{
+                    type: 4,
+                    custom_id: 'amount',
+                    label: auction.type === 'dutch' ? 'Precio actual que aceptas (Rublos)' : 'Cantidad (Rublos)',
+                    style: 1,
+                    required: true,
+                    max_length: 12,
+                    placeholder: `Mínimo ${getNextMinimumBid(auction)}`
+                }]
+            }]
+        }
+    };
+}
+
+// Cantidad escrita en el formulario: un entero, con o sin separador de miles ('.', ',' o espacio, el mismo
+// en todo el número: "1500", "1.500", "1,500", "1 500"). Cualquier otra cosa ("1.5", "1,50") es NaN.
+const AMOUNT_PATTERN = /^(?:\d+|\d{1,3}([.,\s])\d{3}(?:\1\d{3})*)$/;
+function parseBidAmount(value) {
+    const text = String(value || '').trim();
+    return AMOUNT_PATTERN.test(text) ? Number(text.replace(/[.,\s]/g, '')) : NaN;
+}
+
+// Formulario enviado: se puja con la cantidad indicada
+async function handleBidModal(io, interaction, auctionId) {
+    const input = interaction.data.components
+        .flatMap(row => row.components || [])
+        .find(component => component.custom_id === 'amount');
+    const amount = input ? parseBidAmount(input.value) : NaN;
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return ephemeral('❌ La cantidad debe ser un número entero positivo de Rublos, sin decimales (p. ej. 1500 o 1.500).');
+    }
+    return submitBid(io, interaction, auctionId, amount);
+}
+
+// Respuesta inmediata, sin trabajo pendiente
+const immediate = response => ({ response, followUp: null });
+
+/**
+ * Responde a una interacción de Discord ya verificada. /pujar y el formulario de puja se responden en
+ * diferido (ver deferred); el resto, al momento.
+ * @param {Object} io Instancia de Socket.IO (las pujas emiten los mismos eventos que desde la web).
+ * @param {Object} interaction Cuerpo de la interacción.
+ * @returns {Promise<Object|null>} { response, followUp }: respuesta para Discord y, si es diferida, la función
+ *          que hay que llamar después de enviarla; o null si el tipo de interacción no se admite.
+ */
+async function handleInteraction(io, interaction) {
+    switch (interaction.type) {
+        case INTERACTION_TYPES.PING:
+            return immediate({ type: RESPONSE_TYPES.PONG });
+        case INTERACTION_TYPES.APPLICATION_COMMAND: {
+            if (interaction.data.name === 'pujar') {
+                return deferred(interaction, () => handleBidCommand(io, interaction));
+            }
+            const handler = COMMAND_HANDLERS[interaction.data.name];
+            return immediate(handler ? await handler(io, interaction) : ephemeral('Comando desconocido.'));
+        }
+        case INTERACTION_TYPES.AUTOCOMPLETE:
+            return immediate(await handleAutocomplete(interaction));
+        case INTERACTION_TYPES.MESSAGE_COMPONENT:
+            if (interaction.data.custom_id.startsWith(BID_BUTTON_PREFIX)) {
+                return immediate(await handleBidButton(interaction.data.custom_id.slice(BID_BUTTON_PREFIX.length)));
+            }
+            return immediate(ephemeral('Acción desconocida.'));
+        case INTERACTION_TYPES.MODAL_SUBMIT:
+            if (interaction.data.custom_id.startsWith(BID_MODAL_PREFIX)) {
+                const auctionId = interaction.data.custom_id.slice(BID_MODAL_PREFIX.length);
+                return deferred(interaction, () => handleBidModal(io, interaction, auctionId));
+            }
+            return immediate(ephemeral('Formulario desconocido.'));
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    DISCORD_PUBLIC_KEY,
+    COMMAND_DEFINITIONS,
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    verifyInteractionSignature,
+    handleInteraction
+};
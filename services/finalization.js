@@ -0,0 +1,170 @@
+// services/finalization.js
+// Finalización de subastas, compartida por la tarea programada y la finalización manual de los admins.
+// La transición 'active' -> 'finalized' es una escritura condicional sobre el estado, la fecha de fin y la
+// versión del documento: aunque la tarea programada de varias instancias y un admin intenten finalizar la
+// misma subasta a la vez, solo una escritura gana, y solo quien gana liquida, avisa y emite los eventos.
+// Esa misma escritura deja finalizationPendingSince como marca de que faltan los efectos; si el proceso se
+// cae antes de completarlos, la tarea programada los reanuda con resumeFinalization.
+const Auction = require('../models/Auction');
+const Notification = require('../models/Notification');
+const { settleAuction } = require('./wallet');
+const { startFulfillment } = require('./fulfillment');
+const { notifyAuctionFinalized, notifyBuyNow } = require('./notifications');
+const realtime = require('./realtime');
+const { snapshotAuction, recordAuctionAudit } = require('./audit');
+const { inspectFinalizedAuction } = require('./abuseDetection');
+const { relistUnsoldAuction } = require('./relisting');
+
+// Reintentos si la subasta cambia (p. ej. entra una puja) entre la lectura y la escritura condicional
+const FINALIZE_MAX_ATTEMPTS = 5;
+// Tiempo tras el que unos efectos pendientes se consideran interrumpidos (y no en curso en otro proceso)
+const FINALIZATION_RETRY_MS = 60 * 1000;
+
+/**
+ * Efectos de una subasta que acaba de finalizar (por tiempo, manualmente, con "Cómpralo Ya" o al aceptar
+ * el precio holandés): cobra al ganador y libera las demás retenciones, abre la entrega, avisa en Discord
+ * y emite 'auctionFinalized'. Solo debe llamarla quien hizo la transición a 'finalized'. Al final, revisa
+ * en segundo plano si dos pujadores se han ido subiendo la puja (services/abuseDetection.js) y, si la tarea
+ * programada la finalizó sin ganador, la revende según su relistPolicy (services/relisting.js).
+ * Cobro, entrega y reventa son idempotentes; al reanudarla (resumed) tampoco se repite el aviso de Discord.
+ */
+async function completeFinalization(io, auction, { manual = false, resumed = false } = {}) {
+    const settlement = await settleAuction(auction);
+    if (settlement.error) {
+        console.error(`Error liquidando la subasta ${auction._id}:`, settlement.error);
+    }
+    // Abrir la entrega en el juego (pagada o pendiente de pago)
+    await startFulfillment(auction, settlement);
+
+    // Se espera al encolado para que el aviso quede guardado antes de borrar la marca de pendiente
+    const alreadyNotified = resumed &&
+        await Notification.exists({ auctionId: auction._id, kind: { $in: ['auctionFinalized', 'buyNow'] } });
+    if (!alreadyNotified) {
+        if (auction.outcome === 'bought_now') {
+            await notifyBuyNow(auction);
+        } else {
+            await notifyAuctionFinalized(auction, { manual });
+        }
+    }
+    realtime.emitAuctionFinalized(io, auction);
+    inspectFinalizedAuction(auction);
+    if (!manual && !auction.winnerId) {
+        await relistUnsoldAuction(io, auction);
+    }
+    await Auction.updateOne({ _id: auction._id }, { $set: { finalizationPendingSince: null } });
+}
+
+/**
+ * Reanuda los efectos de una finalización interrumpida (finalizationPendingSince de hace más de
+ * FINALIZATION_RETRY_MS). La marca se renueva con una escritura condicional antes de reanudar, así que
+ * dos procesos no la reanudan a la vez.
+ * @returns {Promise<Object|null>} La subasta, o null si ya no estaba pendiente.
+ */
+async function resumeFinalization(io, auctionId, now = new Date()) {
+    const auction = await Auction.findOneAndUpdate(
+        { _id: auctionId, status: 'finalized', finalizationPendingSince: { $lte: new Date(now.getTime() - FINALIZATION_RETRY_MS) } },
+        { $set: { finalizationPendingSince: now } },
+        { new: true, projection: '+reservePrice' }
+    );
+    if (!auction) return null;
+    await completeFinalization(io, auction, { manual: auction.finalizedManually, resumed: true });
+    return auction;
+}
+
+// Subastas finalizadas cuyos efectos se interrumpieron (las más antiguas primero)
+function findInterruptedFinalizations(now = new Date()) {
+    return Auction.find({
+        status: 'finalized',
+        finalizationPendingSince: { $ne: null, $lte: new Date(now.getTime() - FINALIZATION_RETRY_MS) }
+    }).sort({ finalizationPendingSince: 1 }).select('_id');
+}
+
+// Motivo por el que un admin no puede finalizar una subasta que no está activa
+function getManualFinalizeError(status) {
+    if (status === 'finalized' || status === 'cancelled') {
+        return `La subasta ya está ${status}.`;
+    }
+    if (status === 'pending_review' || status === 'rejected') {
+        return 'Una propuesta de jugador sin aprobar no se puede finalizar: apruébala o recházala con POST /api/listings/:id/approve o /reject.';
+    }
+    if (status === 'draft') {
+        return 'Un borrador no se puede finalizar: publícalo antes con POST /api/auctions/:id/publish.';
+    }
+    return `Solo se pueden finalizar subastas activas (estado actual: ${status}).`;
+}
+
+/**
+ * Finaliza una subasta exactamente una vez: fija ganador, precio final y resultado (revelando las pujas
+ * selladas) y ejecuta completeFinalization.
+ *  - Sin actor (tarea programada): solo si está activa y su fecha de fin ya ha pasado.
+ *  - Con actor (admin): en cualquier momento mientras esté activa; la fecha de fin pasa a ser ahora y se
+ *    registra en la auditoría. En cualquier otro estado se rechaza con un 400.
+ * @returns {Promise<Object>} { auction }, { skipped: true } si no le tocaba, o { error, status }.
+ */
+async function finalizeAuction(io, auctionId, { actor = null, reason = null } = {}) {
+    const manual = Boolean(actor);
+    for (let attempt = 0; attempt < FINALIZE_MAX_ATTEMPTS; attempt++) {
+        const auction = await Auction.findById(auctionId).select('+reservePrice +sealedBids');
+        if (!auction) {
+            return { error: 'Subasta no encontrada.', status: 404 };
+        }
+        // Solo la transición 'active' -> 'finalized': una subasta que nunca llegó a abrirse no tiene ganador
+        if (auction.status !== 'active') {
+            return manual ? { error: getManualFinalizeError(auction.status), status: 400 } : { skipped: true };
+        }
+        const now = new Date();
+        if (!manual && auction.endDate > now) {
+            return { skipped: true };
+        }
+
+        const before = snapshotAuction(auction);
+        const filter = { _id: auction._id, status: 'active', endDate: auction.endDate, __v: auction.__v };
+
+        // Establecer ganador y precio final si hubo pujas y se alcanzó la reserva
+        // (en las pujas selladas, aquí se revelan las pujas)
+        auction.applyFinalResult();
+        if (manual) auction.endDate = now;
+
+        const $set = {
+            status: 'finalized',
+            outcome: auction.outcome,
+            winnerId: auction.winnerId,
+            winnerName: auction.winnerName,
+            finalPrice: auction.finalPrice,
+            currentBid: auction.currentBid,
+            currentBidderId: auction.currentBidderId,
+            currentBidderName: auction.currentBidderName,
+            endDate: auction.endDate,
+            finalizationPendingSince: now,
+            finalizedManually: manual
+        };
+        if (auction.type === 'sealed') {
+            $set.bidHistory = auction.bidHistory.map(bid => bid.toObject());
+            $set.reserveMet = !auction.hasReserve || auction.currentBid >= auction.reservePrice;
+        }
+
+        const finalized = await Auction.findOneAndUpdate(filter, { $set, $inc: { __v: 1 } }, { new: true, projection: '+reservePrice' });
+        if (!finalized) continue; // Otra escritura se ha adelantado: volver a leer y decidir de nuevo
+
+        if (manual) {
+            await recordAuctionAudit({
+                action: 'auction.finalize',
+                auction: finalized,
+                actor,
+                before,
+                after: snapshotAuction(finalized),
+                reason
+            });
+        }
+        await completeFinalization(io, finalized, { manual });
+        return { auction: finalized };
+    }
+    return { error: 'La subasta está cambiando mientras se finaliza. Inténtalo de nuevo.', status: 409 };
+}
+
+module.exports = {
+    completeFinalization,
+    finalizeAuction,
+    resumeFinalization,
+    findInterruptedFinalizations
+};
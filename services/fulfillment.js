@@ -0,0 +1,368 @@
+// services/fulfillment.js
+// Entrega en el juego de las subastas finalizadas con ganador. Estados y transiciones permitidas:
+//
+//   awaiting_payment -> paid | disputed | forfeited
+//   paid             -> scheduled | delivered | disputed | forfeited
+//   scheduled        -> scheduled (reprogramar) | delivered | disputed | forfeited
+//   delivered        -> disputed
+//   disputed         -> awaiting_payment | paid | scheduled | delivered | forfeited
+//   forfeited        -> (final; el objeto puede ofrecerse al siguiente pujador, que pasa a ser el ganador)
+//
+// Cada cambio queda en fulfillment.history. Como el resto de servicios, los fallos de reglas de negocio
+// se devuelven como { error, status } (status: código HTTP sugerido) en lugar de lanzar.
+const Auction = require('../models/Auction');
+const { isAuctionSettled, settleAuction, refundSettlement } = require('./wallet');
+
+const FULFILLMENT_TRANSITIONS = {
+    awaiting_payment: ['paid', 'disputed', 'forfeited'],
+    paid: ['scheduled', 'delivered', 'disputed', 'forfeited'],
+    scheduled: ['scheduled', 'delivered', 'disputed', 'forfeited'],
+    delivered: ['disputed'],
+    disputed: ['awaiting_payment', 'paid', 'scheduled', 'delivered', 'forfeited'],
+    forfeited: []
+};
+
+// Horas que tiene el siguiente pujador para aceptar la oferta tras una anulación
+const RUNNER_UP_OFFER_HOURS = parseInt(process.env.RUNNER_UP_OFFER_HOURS, 10) || 24;
+
+const SYSTEM_ACTOR = { id: 'system', username: null };
+
+function buildEvent(from, to, note, actor) {
+    return { from, to, note: note || null, actorId: actor.id, actorName: actor.username, at: new Date() };
+}
+
+/**
+ * Abre la entrega de una subasta recién finalizada con ganador, una vez liquidada en los monederos:
+ * 'paid' si el cobro se hizo o 'awaiting_payment' si no (p. ej. saldo insuficiente).
+ * No hace nada si la subasta no tiene ganador o ya tiene entrega. Nunca lanza.
+ */
+async function startFulfillment(auction, settlement = {}) {
+    if (!auction.winnerId) return null;
+    try {
+        const paid = await isAuctionSettled(auction._id, auction.winnerId);
+        const status = paid ? 'paid' : 'awaiting_payment';
+        const note = paid ? 'Cobrado del monedero del ganador.' : (settlement.error || 'Pendiente de pago.');
+        return await Auction.findOneAndUpdate(
+            { _id: auction._id, status: 'finalized', fulfillment: null },
+            { $set: { fulfillment: { status, history: [buildEvent(null, status, note, SYSTEM_ACTOR)], updatedAt: new Date() } } },
+            { new: true, projection: '+fulfillment' }
+        );
+    } catch (error) {
+        console.error(`Error abriendo la entrega de la subasta ${auction._id}:`, error);
+        return null;
+    }
+}
+
+// Pujador con la puja más alta de bidHistory que no esté excluido (a igualdad, el que pujó antes)
+function findRunnerUp(auction, excludedIds) {
+    let best = null;
+    for (const bid of auction.bidHistory) {
+        if (excludedIds.includes(bid.bidderId)) continue;
+        if (!best || bid.amount > best.amount) {
+            best = { bidderId: bid.bidderId, bidderName: bid.bidderName, amount: bid.amount };
+        }
+    }
+    return best;
+}
+
+function buildOffer(runnerUp, hours) {
+    const offeredAt = new Date();
+    return {
+        ...runnerUp,
+        offeredAt,
+        expiresAt: new Date(offeredAt.getTime() + hours * 60 * 60 * 1000),
+        status: 'pending',
+        respondedAt: null
+    };
+}
+
+// Carga una subasta finalizada con su entrega
+async function loadFulfillment(auctionId) {
+    const auction = await Auction.findById(auctionId).select('+fulfillment');
+    if (!auction || auction.status !== 'finalized' || !auction.fulfillment) {
+        return { error: 'Esta subasta no tiene una entrega en curso.', status: 404 };
+    }
+    return { auction };
+}
+
+// Aplica un cambio a la entrega solo si nadie la ha cambiado desde que se leyó
+function saveFulfillmentChange(auction, $set, event) {
+    return Auction.findOneAndUpdate(
+        { _id: auction._id, 'fulfillment.status': auction.fulfillment.status, 'fulfillment.updatedAt': auction.fulfillment.updatedAt },
+        {
+            $set: { ...$set, 'fulfillment.updatedAt': new Date() },
+            $push: { 'fulfillment.history': event }
+        },
+        { new: true, projection: '+fulfillment' }
+    );
+}
+
+/**
+ * Cambia el estado de la entrega (acción de admin).
+ * @param {Object} input { to, note, deliveryCoordinates, deliveryAt, paidExternally, offerToRunnerUp, offerHours }
+ * @returns {Promise<Object>} { auction, warning } o { error, status }.
+ */
+async function transitionFulfillment(auctionId, input, actor) {
+    const loaded = await loadFulfillment(auctionId);
+    if (loaded.error) return loaded;
+    const { auction } = loaded;
+    const from = auction.fulfillment.status;
+    const { to } = input;
+
+    if (!Auction.FULFILLMENT_STATUSES.includes(to)) {
+        return { error: `Estado de entrega no válido. Usa uno de: ${Auction.FULFILLMENT_STATUSES.join(', ')}.`, status: 400 };
+    }
+    if (!FULFILLMENT_TRANSITIONS[from].includes(to)) {
+        return { error: `No se puede pasar la entrega de '${from}' a '${to}'.`, status: 400 };
+    }
+
+    const $set = { 'fulfillment.status': to };
+    let warning = null;
+    let note = input.note;
+
+    if (input.deliveryCoordinates !== undefined) {
+        $set['fulfillment.deliveryCoordinates'] = input.deliveryCoordinates ? String(input.deliveryCoordinates).trim().slice(0, 200) : null;
+    }
+    if (input.deliveryAt !== undefined) {
+        const deliveryAt = input.deliveryAt ? new Date(input.deliveryAt) : null;
+        if (deliveryAt && isNaN(deliveryAt.getTime())) {
+            return { error: 'La fecha de entrega no es válida.', status: 400 };
+        }
+        $set['fulfillment.deliveryAt'] = deliveryAt;
+    }
+    if (to === 'scheduled' && !($set['fulfillment.deliveryAt'] || auction.fulfillment.deliveryAt)) {
+        return { error: 'Para programar la entrega indica la fecha y hora (deliveryAt).', status: 400 };
+    }
+
+    if (to === 'paid' && !(await isAuctionSettled(auction._id, auction.winnerId))) {
+        // Cobrar ahora del monedero, salvo que el admin indique que se pagó por otra vía
+        if (input.paidExternally) {
+            note = note || 'Pagado fuera del monedero.';
+        } else {
+            const settlement = await settleAuction(auction);
+            if (settlement.error) {
+                return { error: settlement.error, status: 402 };
+            }
+        }
+    }
+
+    if (to === 'forfeited') {
+        // El ganador pierde la subasta: se le devuelve lo cobrado y queda excluido de futuras ofertas
+        const refund = await refundSettlement(auction, { actorId: actor.id, actorName: actor.username, reason: `Subasta anulada: ${auction.title}` });
+        if (refund.error) {
+            return { error: refund.error, status: 500 };
+        }
+        warning = refund.warning || null;
+        const excluded = [...new Set([...auction.fulfillment.excludedBidderIds, auction.winnerId])];
+        $set['fulfillment.excludedBidderIds'] = excluded;
+        if (input.offerToRunnerUp) {
+            const runnerUp = findRunnerUp(auction, excluded);
+            if (runnerUp) {
+                $set['fulfillment.offer'] = buildOffer(runnerUp, Number(input.offerHours) || RUNNER_UP_OFFER_HOURS);
+            } else {
+                warning = [warning, 'No hay otro pujador al que ofrecer el objeto.'].filter(Boolean).join(' ');
+            }
+        }
+    }
+
+    const updated = await saveFulfillmentChange(auction, $set, buildEvent(from, to, note, actor));
+    if (!updated) {
+        return { error: 'La entrega ha cambiado mientras se procesaba. Vuelve a cargarla.', status: 409 };
+    }
+    return { auction: updated, warning };
+}
+
+/**
+ * Ofrece el objeto de una subasta anulada al siguiente pujador (si la oferta anterior se rechazó o caducó).
+ * @returns {Promise<Object>} { auction } o { error, status }.
+ */
+async function offerToNextRunnerUp(auctionId, { hours } = {}, actor) {
+    const loaded = await loadFulfillment(auctionId);
+    if (loaded.error) return loaded;
+    const { auction } = loaded;
+    const { fulfillment } = auction;
+    if (fulfillment.status !== 'forfeited') {
+        return { error: 'Solo se puede ofrecer al siguiente pujador una subasta anulada (forfeited).', status: 400 };
+    }
+
+    const excluded = [...fulfillment.excludedBidderIds];
+    const previous = fulfillment.offer;
+    if (previous && previous.status === 'pending') {
+        if (previous.expiresAt > new Date()) {
+            return { error: `Ya hay una oferta pendiente para ${previous.bidderName}.`, status: 409 };
+        }
+        excluded.push(previous.bidderId); // La oferta anterior caducó sin respuesta
+    }
+
+    const runnerUp = findRunnerUp(auction, excluded);
+    if (!runnerUp) {
+        return { error: 'No quedan pujadores a los que ofrecer el objeto.', status: 404 };
+    }
+    const offer = buildOffer(runnerUp, Number(hours) || RUNNER_UP_OFFER_HOURS);
+    const updated = await saveFulfillmentChange(
+        auction,
+        { 'fulfillment.offer': offer, 'fulfillment.excludedBidderIds': [...new Set(excluded)] },
+        buildEvent('forfeited', 'forfeited', `Oferta a ${runnerUp.bidderName} por ${runnerUp.amount} Rublos.`, actor)
+    );
+    if (!updated) {
+        return { error: 'La entrega ha cambiado mientras se procesaba. Vuelve a cargarla.', status: 409 };
+    }
+    return { auction: updated };
+}
+
+/**
+ * El pujador al que se ofreció el objeto acepta o rechaza la oferta. Al aceptar pasa a ser el ganador
+ * al precio de su puja y se le cobra del monedero.
+ * @returns {Promise<Object>} { auction, settlementError } o { error, status }.
+ */
+async function respondToOffer(auctionId, user, accept) {
+    const loaded = await loadFulfillment(auctionId);
+    if (loaded.error) return loaded;
+    const { auction } = loaded;
+    const offer = auction.fulfillment.offer;
+    if (auction.fulfillment.status !== 'forfeited' || !offer || offer.bidderId !== user.id || offer.status !== 'pending') {
+        return { error: 'No tienes ninguna oferta pendiente para esta subasta.', status: 404 };
+    }
+    const now = new Date();
+    if (offer.expiresAt <= now) {
+        return { error: 'La oferta ha caducado.', status: 410 };
+    }
+
+    if (!accept) {
+        const updated = await saveFulfillmentChange(
+            auction,
+            {
+                'fulfillment.offer.status': 'declined',
+                'fulfillment.offer.respondedAt': now,
+                'fulfillment.excludedBidderIds': [...new Set([...auction.fulfillment.excludedBidderIds, user.id])]
+            },
+            buildEvent('forfeited', 'forfeited', `${user.username} ha rechazado la oferta.`, user)
+        );
+        return updated ? { auction: updated } : { error: 'La oferta ha cambiado mientras se procesaba.', status: 409 };
+    }
+
+    const updated = await saveFulfillmentChange(
+        auction,
+        {
+            'fulfillment.status': 'awaiting_payment',
+            'fulfillment.offer.status': 'accepted',
+            'fulfillment.offer.respondedAt': now,
+            'fulfillment.deliveryCoordinates': null,
+            'fulfillment.deliveryAt': null,
+            'fulfillment.acknowledgedAt': null,
+            'fulfillment.acknowledgedStatus': null,
+            winnerId: user.id,
+            winnerName: user.username,
+            finalPrice: offer.amount
+        },
+        buildEvent('forfeited', 'awaiting_payment', `${user.username} acepta la oferta por ${offer.amount} Rublos.`, user)
+    );
+    if (!updated) {
+        return { error: 'La oferta ha cambiado mientras se procesaba.', status: 409 };
+    }
+
+    // Cobro inmediato del monedero del nuevo ganador; si no tiene saldo queda pendiente de pago
+    const settlement = await settleAuction(updated);
+    if (settlement.error) {
+        return { auction: updated, settlementError: settlement.error };
+    }
+    const paid = await saveFulfillmentChange(
+        updated,
+        { 'fulfillment.status': 'paid' },
+        buildEvent('awaiting_payment', 'paid', 'Cobrado del monedero del ganador.', SYSTEM_ACTOR)
+    );
+    return { auction: paid || updated };
+}
+
+/**
+ * Reabre la entrega cuando cambian el ganador o el precio final de una subasta ya finalizada (p. ej. al
+ * anular una puja), una vez liquidado el nuevo resultado. Se conserva el historial; si ya no hay ganador
+ * la entrega queda anulada (forfeited).
+ */
+async function restartFulfillment(auction, { note, actor }) {
+    const current = await Auction.findById(auction._id).select('+fulfillment');
+    if (!current || !current.fulfillment) {
+        return startFulfillment(auction);
+    }
+    const paid = auction.winnerId ? await isAuctionSettled(auction._id, auction.winnerId) : false;
+    const to = !auction.winnerId ? 'forfeited' : (paid ? 'paid' : 'awaiting_payment');
+    return Auction.findOneAndUpdate(
+        { _id: auction._id },
+        {
+            $set: {
+                'fulfillment.status': to,
+                'fulfillment.deliveryCoordinates': null,
+                'fulfillment.deliveryAt': null,
+                'fulfillment.acknowledgedAt': null,
+                'fulfillment.acknowledgedStatus': null,
+                'fulfillment.offer': null,
+                'fulfillment.updatedAt': new Date()
+            },
+            $push: { 'fulfillment.history': buildEvent(current.fulfillment.status, to, note, actor) }
+        },
+        { new: true, projection: '+fulfillment' }
+    );
+}
+
+/**
+ * El ganador confirma que ha visto el estado actual de la entrega.
+ * @returns {Promise<Object>} { auction } o { error, status }.
+ */
+async function acknowledgeFulfillment(auctionId, user) {
+    const loaded = await loadFulfillment(auctionId);
+    if (loaded.error) return loaded;
+    const { auction } = loaded;
+    if (auction.winnerId !== user.id) {
+        return { error: 'Solo el ganador puede confirmar la entrega.', status: 403 };
+    }
+    const updated = await Auction.findOneAndUpdate(
+        { _id: auction._id, 'fulfillment.status': auction.fulfillment.status },
+        { $set: { 'fulfillment.acknowledgedAt': new Date(), 'fulfillment.acknowledgedStatus': auction.fulfillment.status } },
+        { new: true, projection: '+fulfillment' }
+    );
+    return updated ? { auction: updated } : { error: 'La entrega ha cambiado mientras se procesaba.', status: 409 };
+}
+
+/**
+ * Vista de la entrega para quien la consulta: el ganador y los admins la ven completa; el pujador
+ * con una oferta solo ve la oferta (nunca las coordenadas de otro jugador).
+ */
+function toFulfillmentView(auction, viewerId, { isManager = false } = {}) {
+    const { fulfillment } = auction;
+    const base = {
+        auctionId: auction._id,
+        title: auction.title,
+        imageUrl: auction.imageUrl,
+        items: auction.items,
+        endDate: auction.endDate
+    };
+    const offer = fulfillment.offer;
+    if (!isManager && auction.winnerId !== viewerId) {
+        return offer && offer.bidderId === viewerId ? { ...base, offer } : null;
+    }
+    return {
+        ...base,
+        winnerId: auction.winnerId,
+        winnerName: auction.winnerName,
+        finalPrice: auction.finalPrice,
+        status: fulfillment.status,
+        deliveryCoordinates: fulfillment.deliveryCoordinates,
+        deliveryAt: fulfillment.deliveryAt,
+        acknowledgedAt: fulfillment.acknowledgedAt,
+        acknowledgedStatus: fulfillment.acknowledgedStatus,
+        offer: isManager ? offer : null,
+        history: fulfillment.history,
+        updatedAt: fulfillment.updatedAt
+    };
+}
+
+module.exports = {
+    FULFILLMENT_TRANSITIONS,
+    startFulfillment,
+    transitionFulfillment,
+    offerToNextRunnerUp,
+    respondToOffer,
+    acknowledgeFulfillment,
+    restartFulfillment,
+    toFulfillmentView
+};
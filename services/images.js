@@ -0,0 +1,238 @@
+// services/images.js
+// Imágenes de las subastas subidas al backend, en MongoDB GridFS (el disco de Render no es persistente).
+// Se sirven desde una URL estable (/api/images/:id) en lugar de enlaces de Discord que caducan.
+// Flujo: el cliente sube las imágenes (POST /api/images), recibe sus IDs y los envía como imageIds al crear
+// o editar la subasta; la primera imagen pasa a ser imageUrl, la portada que usan la web y Discord.
+// Las plantillas (services/templates.js) tienen sus propias imágenes; al copiar una subasta o crearla desde
+// una plantilla se duplican, para que cada subasta pueda editar o borrar las suyas sin afectar a las demás.
+// Limpieza (desde services/scheduler.js): las imágenes que nadie asigna a una subasta ni a una plantilla y
+// las de subastas eliminadas hace tiempo se borran solas.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const AuctionImage = require('../models/AuctionImage');
+
+const BUCKET_NAME = 'auctionImages';
+// Tamaño máximo de cada imagen (IMAGE_MAX_BYTES, por defecto 5 MB)
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_IMAGES_PER_AUCTION = parseInt(process.env.MAX_IMAGES_PER_AUCTION, 10) || 8;
+// Horas que se conserva una imagen subida que no se ha asignado a ninguna subasta
+const UNUSED_IMAGE_HOURS = 24;
+// Días que se conservan las imágenes de una subasta eliminada (mientras se puede restaurar)
+const DELETED_AUCTION_IMAGE_DAYS = parseInt(process.env.DELETED_AUCTION_IMAGE_DAYS, 10) || 30;
+// URL pública del backend, para que las imágenes funcionen desde el frontend en otro dominio
+const PUBLIC_BACKEND_URL = process.env.RENDER_BACKEND_URL || 'https://guerra-mundial-z-backend.onrender.com';
+const PLACEHOLDER_IMAGE_URL = 'https://via.placeholder.com/300x200?text=No+Image';
+
+// Tipos admitidos, reconocidos por sus primeros bytes (no se confía en el tipo que declara el cliente)
+const IMAGE_SIGNATURES = [
+    { contentType: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { contentType: 'image/jpeg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { contentType: 'image/gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii')) },
+    { contentType: 'image/webp', matches: buffer => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+const ALLOWED_IMAGE_TYPES = IMAGE_SIGNATURES.map(signature => signature.contentType);
+
+function detectImageType(buffer) {
+    const signature = IMAGE_SIGNATURES.find(candidate => buffer.length >= 12 && candidate.matches(buffer));
+    return signature ? signature.contentType : null;
+}
+
+function getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+}
+
+function getImageUrl(imageId) {
+    return `${PUBLIC_BACKEND_URL}/api/images/${imageId}`;
+}
+
+/**
+ * Guarda una imagen subida (archivo de multer en memoria) tras comprobar su tipo y tamaño.
+ * @returns {Promise<Object>} { image } (AuctionImage) o { error }.
+ */
+async function storeImage(file, user) {
+    if (file.size > MAX_IMAGE_BYTES) {
+        return { error: `La imagen "${file.originalname}" supera el tamaño máximo (${Math.floor(MAX_IMAGE_BYTES / 1024 / 1024)} MB).` };
+    }
+    const contentType = detectImageType(file.buffer);
+    if (!contentType) {
+        return { error: `"${file.originalname}" no es una imagen válida. Formatos admitidos: PNG, JPEG, GIF y WebP.` };
+    }
+
+    const image = new AuctionImage({
+        contentType,
+        size: file.buffer.length,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        originalName: (file.originalname || '').slice(0, 200) || null,
+        uploadedById: user.id,
+        uploadedByName: user.username
+    });
+    // Primero los bytes y después el documento: una imagen nunca queda registrada sin contenido
+    await new Promise((resolve, reject) => {
+        getBucket()
+            .openUploadStreamWithId(image._id, `${image._id}`, { contentType })
+            .on('error', reject)
+            .on('finish', resolve)
+            .end(file.buffer);
+    });
+    await image.save();
+    return { image };
+}
+
+// Flujo de lectura de los bytes de una imagen
+function openImageStream(imageId) {
+    return getBucket().openDownloadStream(new mongoose.Types.ObjectId(String(imageId)));
+}
+
+// Borra imágenes (bytes y documento). Si alguna ya no está en GridFS, se ignora.
+async function deleteImages(imageIds) {
+    for (const imageId of imageIds) {
+        try {
+            await getBucket().delete(new mongoose.Types.ObjectId(String(imageId)));
+        } catch (error) {
+            if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+        }
+    }
+    if (imageIds.length > 0) {
+        await AuctionImage.deleteMany({ _id: { $in: imageIds } });
+    }
+}
+
+/**
+ * Copia imágenes (bytes y documento) como imágenes nuevas sin asignar, en el mismo orden. Las que ya no
+ * existen se omiten. La copia conserva quién subió el original.
+ * @param {Array} images [{ imageId }] de la subasta o plantilla de origen.
+ * @returns {Promise<Array>} [{ imageId, url }] de las copias.
+ */
+async function duplicateImages(images) {
+    const copies = [];
+    for (const { imageId } of images || []) {
+        const original = await AuctionImage.findById(imageId);
+        if (!original) continue;
+        const copy = new AuctionImage({
+            contentType: original.contentType,
+            size: original.size,
+            sha256: original.sha256,
+            originalName: original.originalName,
+            uploadedById: original.uploadedById,
+            uploadedByName: original.uploadedByName
+        });
+        await new Promise((resolve, reject) => {
+            const upload = getBucket().openUploadStreamWithId(copy._id, `${copy._id}`, { contentType: original.contentType });
+            openImageStream(original._id)
+                .on('error', reject)
+                .pipe(upload)
+                .on('error', reject)
+                .on('finish', resolve);
+        });
+        await copy.save();
+        copies.push({ imageId: String(copy._id), url: getImageUrl(copy._id) });
+    }
+    return copies;
+}
+
+/**
+ * Valida los IDs de imágenes enviados para una subasta o una plantilla (imageIds, en orden; la primera es
+ * la portada). Solo se pueden usar imágenes sin asignar o que ya sean de esta subasta (o plantilla); los
+ * jugadores, además, solo las que han subido ellos.
+ * @param {Array} imageIds IDs recibidos en el body.
+ * @param {Object} options { user, canUseAnyImage, auctionId (al editar), templateId (al editar una plantilla) }
+ * @returns {Promise<Object>} { images: [{ imageId, url }] } o { error }.
+ */
+async function resolveAuctionImages(imageIds, { user, canUseAnyImage = false, auctionId = null, templateId = null }) {
+    if (!Array.isArray(imageIds)) {
+        return { error: 'imageIds debe ser una lista de IDs de imágenes subidas.' };
+    }
+    if (imageIds.length > MAX_IMAGES_PER_AUCTION) {
+        return { error: `Una subasta puede tener como máximo ${MAX_IMAGES_PER_AUCTION} imágenes.` };
+    }
+    const ids = imageIds.map(String);
+    if (ids.some(id => !mongoose.isValidObjectId(id)) || new Set(ids).size !== ids.length) {
+        return { error: 'La lista de imágenes contiene IDs no válidos o repetidos.' };
+    }
+
+    const found = await AuctionImage.find({ _id: { $in: ids } });
+    const byId = new Map(found.map(image => [String(image._id), image]));
+    for (const id of ids) {
+        const image = byId.get(id);
+        const unassigned = image && image.auctionId === null && !image.templateId;
+        const usable = image &&
+            (unassigned ||
+                (auctionId && String(image.auctionId) === String(auctionId)) ||
+                (templateId && String(image.templateId) === String(templateId))) &&
+            (canUseAnyImage || image.uploadedById === user.id);
+        if (!usable) {
+            return { error: `La imagen ${id} no existe o no se puede usar en esta subasta.` };
+        }
+    }
+    return { images: ids.map(id => ({ imageId: id, url: getImageUrl(id) })) };
+}
+
+/**
+ * Asigna a la subasta sus imágenes actuales y borra las que ha dejado de usar.
+ * @param {Object} auction Subasta ya guardada.
+ * @param {Array} previousImages Imágenes que tenía antes del cambio ([] al crearla).
+ */
+async function syncAuctionImages(auction, previousImages = []) {
+    const currentIds = (auction.images || []).map(image => String(image.imageId));
+    const removedIds = previousImages.map(image => String(image.imageId)).filter(id => !currentIds.includes(id));
+    if (currentIds.length > 0) {
+        await AuctionImage.updateMany({ _id: { $in: currentIds } }, { $set: { auctionId: auction._id } });
+    }
+    await deleteImages(removedIds);
+}
+
+// Igual que syncAuctionImages, para las imágenes de una plantilla
+async function syncTemplateImages(template, previousImages = []) {
+    const currentIds = (template.images || []).map(image => String(image.imageId));
+    const removedIds = previousImages.map(image => String(image.imageId)).filter(id => !currentIds.includes(id));
+    if (currentIds.length > 0) {
+        await AuctionImage.updateMany({ _id: { $in: currentIds } }, { $set: { templateId: template._id } });
+    }
+    await deleteImages(removedIds);
+}
+
+/**
+ * Borra las imágenes subidas hace más de UNUSED_IMAGE_HOURS sin asignar y las de subastas eliminadas hace
+ * más de DELETED_AUCTION_IMAGE_DAYS (esas subastas se quedan con la imagen por defecto si se restauran).
+ * @returns {Promise<number>} Imágenes borradas.
+ */
+async function purgeUnusedImages(now = new Date()) {
+    const unused = await AuctionImage.find({ auctionId: null, templateId: null, createdAt: { $lte: new Date(now.getTime() - UNUSED_IMAGE_HOURS * 60 * 60 * 1000) } }).select('_id');
+
+    const deletedAuctions = await Auction.find({
+        deletedAt: { $ne: null, $lte: new Date(now.getTime() - DELETED_AUCTION_IMAGE_DAYS * 24 * 60 * 60 * 1000) },
+        'images.0': { $exists: true }
+    }).select('_id');
+    const deletedAuctionIds = deletedAuctions.map(auction => auction._id);
+    const orphaned = deletedAuctionIds.length > 0
+        ? await AuctionImage.find({ auctionId: { $in: deletedAuctionIds } }).select('_id')
+        : [];
+    if (deletedAuctionIds.length > 0) {
+        await Auction.updateMany(
+            { _id: { $in: deletedAuctionIds }, deletedAt: { $ne: null } },
+            { $set: { images: [], imageUrl: PLACEHOLDER_IMAGE_URL } }
+        );
+    }
+
+    const imageIds = [...unused, ...orphaned].map(image => image._id);
+    await deleteImages(imageIds);
+    return imageIds.length;
+}
+
+module.exports = {
+    MAX_IMAGE_BYTES,
+    MAX_IMAGES_PER_AUCTION,
+    ALLOWED_IMAGE_TYPES,
+    PLACEHOLDER_IMAGE_URL,
+    detectImageType,
+    getImageUrl,
+    storeImage,
+    openImageStream,
+    deleteImages,
+    duplicateImages,
+    resolveAuctionImages,
+    syncAuctionImages,
+    syncTemplateImages,
+    purgeUnusedImages
+};
@@ -0,0 +1,277 @@
+// services/marketStats.js
+// Estadísticas de la economía del servidor calculadas con agregaciones sobre las subastas, y exportación
+// de subastas con su historial de pujas (JSON o CSV). Todas las consultas filtran por la fecha de
+// finalización (endDate) de las subastas.
+const Auction = require('../models/Auction');
+
+// Resultados en los que la subasta se vendió (hay ganador y precio final)
+const SOLD_OUTCOMES = ['sold', 'bought_now'];
+const STATS_INTERVALS = ['day', 'week'];
+const EXPORT_FORMATS = ['json', 'csv'];
+
+// Zona horaria con la que se agrupan los días y las semanas
+const STATS_TIMEZONE = process.env.STATS_TIMEZONE || 'UTC';
+
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 100;
+const MAX_PRICE_HISTORY_POINTS = 500;
+
+// Formato de las etiquetas de cada periodo: día (2025-07-14) o semana ISO (2025-W29)
+const INTERVAL_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V' };
+
+/**
+ * Lee ?from= y ?to= (fechas ISO) como filtro sobre endDate.
+ * @returns {Object} { match } o { error }.
+ */
+function parseDateRange(query) {
+    const endDate = {};
+    for (const [key, operator] of [['from', '$gte'], ['to', '$lte']]) {
+        if (!query[key]) continue;
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+            return { error: `La fecha '${key}' no es válida.` };
+        }
+        endDate[operator] = date;
+    }
+    if (endDate.$gte && endDate.$lte && endDate.$gte > endDate.$lte) {
+        return { error: "La fecha 'from' debe ser anterior a 'to'." };
+    }
+    return { match: Object.keys(endDate).length > 0 ? { endDate } : {} };
+}
+
+const soldMatch = match => ({ ...match, status: 'finalized', outcome: { $in: SOLD_OUTCOMES } });
+
+// Rublos movidos y número de ventas por día o por semana
+async function getVolume(match, interval = 'day') {
+    const periods = await Auction.aggregate([
+        { $match: soldMatch(match) },
+        {
+            $group: {
+                _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$endDate', timezone: STATS_TIMEZONE } },
+                rublos: { $sum: '$finalPrice' },
+                sales: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+    return periods.map(period => ({ period: period._id, rublos: period.rublos, sales: period.sales }));
+}
+
+// Resumen del periodo: subastas finalizadas por resultado, tasa de venta y precio final frente a la puja inicial
+async function getSummary(match) {
+    const isSold = { $in: ['$outcome', SOLD_OUTCOMES] };
+    const [totals] = await Auction.aggregate([
+        { $match: { ...match, status: 'finalized' } },
+        {
+            $group: {
+                _id: null,
+                finalized: { $sum: 1 },
+                sold: { $sum: { $cond: [{ $eq: ['$outcome', 'sold'] }, 1, 0] } },
+                boughtNow: { $sum: { $cond: [{ $eq: ['$outcome', 'bought_now'] }, 1, 0] } },
+                noBids: { $sum: { $cond: [{ $eq: ['$outcome', 'no_bids'] }, 1, 0] } },
+                reserveNotMet: { $sum: { $cond: [{ $eq: ['$outcome', 'reserve_not_met'] }, 1, 0] } },
+                rublosTraded: { $sum: { $cond: [isSold, '$finalPrice', 0] } },
+                // $avg ignora los null: solo cuentan las subastas vendidas
+                averageFinalPrice: { $avg: { $cond: [isSold, '$finalPrice', null] } },
+                averageStartBid: { $avg: { $cond: [isSold, '$startBid', null] } },
+                averagePriceRatio: {
+                    $avg: { $cond: [{ $and: [isSold, { $gt: ['$startBid', 0] }] }, { $divide: ['$finalPrice', '$startBid'] }, null] }
+                }
+            }
+        }
+    ]);
+
+    if (!totals) {
+        return {
+            finalized: 0, sold: 0, boughtNow: 0, noBids: 0, reserveNotMet: 0, rublosTraded: 0,
+            sellThroughRate: null, averageFinalPrice: null, averageStartBid: null, averagePriceRatio: null
+        };
+    }
+    const round = value => (value === null ? null : Math.round(value * 100) / 100);
+    const soldCount = totals.sold + totals.boughtNow;
+    return {
+        finalized: totals.finalized,
+        sold: totals.sold,
+        boughtNow: totals.boughtNow,
+        noBids: totals.noBids,
+        reserveNotMet: totals.reserveNotMet,
+        rublosTraded: totals.rublosTraded,
+        sellThroughRate: round(soldCount / totals.finalized),
+        averageFinalPrice: round(totals.averageFinalPrice),
+        averageStartBid: round(totals.averageStartBid),
+        averagePriceRatio: round(totals.averagePriceRatio)
+    };
+}
+
+// Jugadores que más pujan (pujas válidas, sin las anuladas) y que más ganan (por Rublos gastados)
+async function getTopParticipants(match, limit = DEFAULT_TOP_LIMIT) {
+    const [bidders, winners] = await Promise.all([
+        Auction.aggregate([
+            { $match: { ...match, status: { $in: ['active', 'finalized'] } } },
+            { $unwind: '$bidHistory' },
+            { $match: { 'bidHistory.voidedAt': null } },
+            {
+                $group: {
+                    _id: '$bidHistory.bidderId',
+                    bidderName: { $last: '$bidHistory.bidderName' },
+                    bids: { $sum: 1 },
+                    auctions: { $addToSet: '$_id' },
+                    highestBid: { $max: '$bidHistory.amount' }
+                }
+            },
+            { $sort: { bids: -1, highestBid: -1 } },
+            { $limit: limit },
+            { $project: { _id: 0, bidderId: '$_id', bidderName: 1, bids: 1, auctions: { $size: '$auctions' }, highestBid: 1 } }
+        ]),
+        Auction.aggregate([
+            { $match: soldMatch(match) },
+            {
+                $group: {
+                    _id: '$winnerId',
+                    winnerName: { $last: '$winnerName' },
+                    wins: { $sum: 1 },
+                    rublosSpent: { $sum: '$finalPrice' }
+                }
+            },
+            { $sort: { rublosSpent: -1, wins: -1 } },
+            { $limit: limit },
+            { $project: { _id: 0, winnerId: '$_id', winnerName: 1, wins: 1, rublosSpent: 1 } }
+        ])
+    ]);
+    return { bidders, winners };
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Historial de precios de venta de un objeto del catálogo (?item=<className>) o de las subastas cuyo
+ * título contiene un texto (?title=). Con un objeto, unitPrice es el precio por unidad cuando el lote
+ * solo contiene ese objeto.
+ * @returns {Promise<Object>} { points, stats } o { error }.
+ */
+async function getPriceHistory(match, { item, title }) {
+    const filter = soldMatch(match);
+    if (item) {
+        filter['items.className'] = String(item).trim();
+    } else if (title) {
+        filter.title = { $regex: escapeRegex(String(title).trim()), $options: 'i' };
+    } else {
+        return { error: 'Indica un objeto (?item=<className>) o un título (?title=).' };
+    }
+
+    const auctions = await Auction.find(filter)
+        .select('title type outcome startBid finalPrice endDate items')
+        .sort({ endDate: 1 })
+        .limit(MAX_PRICE_HISTORY_POINTS)
+        .lean();
+
+    const points = auctions.map(auction => {
+        const point = {
+            auctionId: auction._id,
+            title: auction.title,
+            type: auction.type,
+            outcome: auction.outcome,
+            startBid: auction.startBid,
+            finalPrice: auction.finalPrice,
+            endDate: auction.endDate
+        };
+        if (item) {
+            const lotItem = auction.items.find(lotEntry => lotEntry.className === filter['items.className']);
+            point.quantity = lotItem.quantity;
+            point.unitPrice = auction.items.length === 1 ? Math.round(auction.finalPrice / lotItem.quantity * 100) / 100 : null;
+        }
+        return point;
+    });
+
+    const prices = points.map(point => point.finalPrice);
+    const stats = prices.length === 0 ? null : {
+        sales: prices.length,
+        minPrice: Math.min(...prices),
+        maxPrice: Math.max(...prices),
+        averagePrice: Math.round(prices.reduce((sum, price) => sum + price, 0) / prices.length * 100) / 100
+    };
+    return { points, stats };
+}
+
+// --- Exportación ---
+
+// Columnas del CSV: una fila por puja (las subastas sin pujas tienen una fila con las columnas de puja vacías)
+const CSV_COLUMNS = [
+    'auctionId', 'title', 'type', 'status', 'outcome', 'category', 'items', 'startBid', 'reservePrice', 'buyNowPrice',
+    'finalPrice', 'winnerId', 'winnerName', 'startDate', 'endDate',
+    'bidId', 'bidderId', 'bidderName', 'bidAmount', 'bidTimestamp', 'bidVoided', 'voidReason'
+];
+
+// Escapa un valor para CSV. Los textos que empiezan por =, +, - o @ se prefijan con ' para que las
+// hojas de cálculo no los interpreten como fórmulas.
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Filas CSV (ya unidas) de una subasta
+function auctionToCsvRows(auction) {
+    const base = {
+        auctionId: auction._id,
+        title: auction.title,
+        type: auction.type,
+        status: auction.status,
+        outcome: auction.outcome,
+        category: auction.category,
+        items: auction.items.map(lotItem => `${lotItem.quantity}x ${lotItem.displayName} (${lotItem.condition})`).join('; '),
+        startBid: auction.startBid,
+        reservePrice: auction.reservePrice,
+        buyNowPrice: auction.buyNowPrice,
+        finalPrice: auction.finalPrice,
+        winnerId: auction.winnerId,
+        winnerName: auction.winnerName,
+        startDate: auction.startDate,
+        endDate: auction.endDate
+    };
+    const bids = auction.bidHistory.length > 0 ? auction.bidHistory : [null];
+    return bids.map(bid => {
+        const row = bid ? {
+            ...base,
+            bidId: bid._id,
+            bidderId: bid.bidderId,
+            bidderName: bid.bidderName,
+            bidAmount: bid.amount,
+            bidTimestamp: bid.timestamp,
+            bidVoided: Boolean(bid.voidedAt),
+            voidReason: bid.voidReason
+        } : base;
+        return CSV_COLUMNS.map(column => toCsvValue(row[column])).join(',');
+    });
+}
+
+/**
+ * Cursor de las subastas a exportar (con historial de pujas y precio de reserva), por fecha de finalización.
+ * ?status= opcional: scheduled, active, finalized o cancelled.
+ */
+function exportCursor(match, { status } = {}) {
+    const filter = { ...match };
+    if (status) filter.status = status;
+    return Auction.find(filter).select('+reservePrice').sort({ endDate: 1 }).cursor();
+}
+
+module.exports = {
+    SOLD_OUTCOMES,
+    STATS_INTERVALS,
+    EXPORT_FORMATS,
+    DEFAULT_TOP_LIMIT,
+    MAX_TOP_LIMIT,
+    CSV_COLUMNS,
+    parseDateRange,
+    getVolume,
+    getSummary,
+    getTopParticipants,
+    getPriceHistory,
+    toCsvValue,
+    auctionToCsvRows,
+    exportCursor
+};
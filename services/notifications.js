@@ -0,0 +1,445 @@
+// services/notifications.js
+// Notificaciones de Discord con entrega fiable:
+//   1. Los mensajes (content + embeds) se construyen aquí, en un único sitio.
+//   2. Se guardan en la bandeja de salida (models/Notification.js) en lugar de enviarse directamente.
+//   3. Un worker los entrega con reintentos y espera exponencial, respeta el `retry_after` de los
+//      429 de Discord y los marca como 'dead' tras NOTIFICATION_MAX_ATTEMPTS intentos fallidos.
+const axios = require('axios');
+const Notification = require('../models/Notification');
+const { AUCTION_TYPE_LABELS } = require('./auctionTypes');
+
+const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
+// Webhook de cada canal: 'public' para los anuncios de subastas y 'moderation' (opcional) para las
+// alertas de abuso, que solo deben ver los admins
+const WEBHOOK_URLS = {
+    public: DISCORD_WEBHOOK_URL,
+    moderation: process.env.DISCORD_MODERATION_WEBHOOK_URL || null
+};
+const HAS_ANY_WEBHOOK = Object.values(WEBHOOK_URLS).some(Boolean);
+// Con la aplicación de Discord configurada (DISCORD_PUBLIC_KEY, ver services/discordInteractions.js), los
+// anuncios de subastas nuevas llevan un botón "Pujar". Discord solo admite botones interactivos en webhooks
+// creados por la aplicación, así que DISCORD_WEBHOOK_URL debe ser un webhook de la aplicación.
+const BID_BUTTONS_ENABLED = Boolean(process.env.DISCORD_PUBLIC_KEY);
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://guerramundialz.github.io'; // ¡Tu URL de GitHub Pages!
+
+// Intentos fallidos antes de dar un mensaje por perdido ('dead')
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 8;
+// Espera base y máxima entre reintentos (exponencial: base * 2^(intentos - 1))
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+// Frecuencia del worker y tiempo que un mensaje queda reclamado mientras se envía
+const WORKER_INTERVAL_MS = 3 * 1000;
+const SEND_LOCK_MS = 60 * 1000;
+
+// Colores de los embeds de Discord
+const COLORS = {
+    newAuction: 15158332, // Un color vibrante para Discord
+    sealedBid: 7506394, // Un color índigo para Discord (hex 0x7289DA)
+    bid: 3447003, // Color azul para Discord
+    sold: 3066993, // Un color verde para Discord (hex 0x2ECC71)
+    soldManual: 5793266, // Un color verde para Discord (hex 0x57F287)
+    reserveNotMet: 15105570, // Un color naranja para Discord (hex 0xE67E22)
+    noBids: 10038562, // Un color gris/rojo para Discord (hex 0x99AAB5)
+    buyNow: 10181046, // Un color morado para Discord (hex 0x9B59B6)
+    bidVoided: 9807270, // Un color gris para Discord (hex 0x95A5A6)
+    abuseFlag: 15548997 // Un color rojo para Discord (hex 0xED4245)
+};
+
+const AUCTIONS_PAGE_URL = `${FRONTEND_URL}/subastas.html`;
+const toTimestamp = date => Math.floor(new Date(date).getTime() / 1000);
+
+// Avatar de Discord de un usuario (o el avatar por defecto si no tiene)
+function avatarUrl(user) {
+    return user.avatar
+        ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png`
+        : `https://cdn.discordapp.com/embed/avatars/${parseInt(user.id) % 5}.png`;
+}
+
+// --- Constructores de mensajes ---
+
+// custom_id del botón "Pujar" (seguido del ID de la subasta); lo atiende services/discordInteractions.js
+const BID_BUTTON_PREFIX = 'bid:';
+
+// Fila con el botón "Pujar" de una subasta, que abre el formulario de puja en Discord
+function buildBidButtonRow(auctionId, label = 'Pujar') {
+    return { type: 1, components: [{ type: 2, style: 1, label, custom_id: `${BID_BUTTON_PREFIX}${auctionId}` }] };
+}
+
+// Subasta que acaba de abrirse a las pujas (al crearla o al activarse si estaba programada)
+function buildNewAuctionMessage(auction) {
+    const lotField = auction.items && auction.items.length > 0
+        ? [{ name: "Lote", value: auction.items.map(item => `${item.quantity}x ${item.displayName} (${item.condition})`).join('\n').slice(0, 1024) }]
+        : [];
+    let summary = `con puja inicial de **${auction.startBid} Rublos**`;
+    let priceField = { name: "Puja Inicial", value: `${auction.startBid} Rublos`, inline: true };
+    const typeFields = [];
+    if (auction.type === 'sealed') {
+        summary = `en **puja sellada** (mínimo **${auction.startBid} Rublos**); las pujas se revelan al cierre`;
+        priceField = { name: "Puja Mínima", value: `${auction.startBid} Rublos`, inline: true };
+        typeFields.push({
+            name: "Formato",
+            value: auction.sealedPricing === 'second_price' ? 'Puja sellada: el ganador paga la segunda puja más alta' : 'Puja sellada: el ganador paga su puja',
+            inline: false
+        });
+    } else if (auction.type === 'dutch') {
+        summary = `en **subasta holandesa**: empieza en **${auction.startBid} Rublos** y baja **${auction.dutch.decrementAmount} Rublos** cada ${auction.dutch.intervalMinutes} min. ¡El primero que acepte el precio se la lleva!`;
+        priceField = { name: "Precio Inicial", value: `${auction.startBid} Rublos`, inline: true };
+        typeFields.push({ name: "Precio Mínimo", value: `${auction.dutch.floorPrice} Rublos`, inline: true });
+    }
+    return {
+        content: `🚨 ¡Nueva subasta creada por **${auction.creatorName}**! **${auction.title}** ${summary}. Finaliza el <t:${toTimestamp(auction.endDate)}:F>. ¡Puja ahora en la web!`,
+        embeds: [{
+            title: auction.type && auction.type !== 'english' ? `${AUCTION_TYPE_LABELS[auction.type]}: ${auction.title}` : auction.title,
+            description: auction.description,
+            url: AUCTIONS_PAGE_URL,
+            color: COLORS.newAuction,
+            image: { url: auction.imageUrl },
+            fields: [
+                priceField,
+                { name: "Finaliza", value: `<t:${toTimestamp(auction.endDate)}:R>`, inline: true },
+                ...typeFields,
+                ...lotField
+            ],
+            footer: { text: `Creada por ${auction.creatorName} | ID: ${auction._id}` }
+        }],
+        components: BID_BUTTONS_ENABLED ? [buildBidButtonRow(auction._id, auction.type === 'dutch' ? 'Aceptar precio' : 'Pujar')] : []
+    };
+}
+
+// Nueva puja sellada: se anuncia sin la cantidad, que no se revela hasta el cierre
+function buildSealedBidMessage(auction, { bidder, isUpdate }) {
+    return {
+        content: `📩 **${bidder.username}** ha ${isUpdate ? 'cambiado su' : 'presentado una'} puja sellada en **${auction.title}**. Pujas presentadas: **${auction.sealedBidCount}**. Se revelan el <t:${toTimestamp(auction.endDate)}:F>.`,
+        embeds: [{
+            title: `Puja sellada en: ${auction.title}`,
+            url: AUCTIONS_PAGE_URL,
+            color: COLORS.sealedBid,
+            thumbnail: { url: auction.imageUrl || 'https://via.placeholder.com/150' },
+            fields: [
+                { name: "Pujas presentadas", value: `${auction.sealedBidCount}`, inline: true },
+                { name: "Cierre", value: `<t:${toTimestamp(auction.endDate)}:R>`, inline: true }
+            ],
+            footer: { text: `Subasta ID: ${auction._id}` }
+        }]
+    };
+}
+
+// Nueva puja. 'bidder' es el usuario que pujó ({ id, username, avatar }); 'ownVisibleBid' lo que
+// pujó visiblemente (con puja máxima, el sistema puja por él) y 'oldBid' la puja anterior.
+function buildBidMessage(auction, { bidder, ownVisibleBid, oldBid, wasExtended }) {
+    const endTimestamp = toTimestamp(auction.endDate);
+    const isLeading = auction.currentBidderId === bidder.id;
+    const extensionNotice = wasExtended
+        ? `\n⏱️ ¡Puja en los últimos minutos! La subasta se extiende hasta el <t:${endTimestamp}:F> (<t:${endTimestamp}:R>).`
+        : '';
+    const bidSummary = ownVisibleBid !== null
+        ? `**${bidder.username}** ha pujado **${ownVisibleBid} Rublos**.`
+        : `**${bidder.username}** ha intentado pujar.`;
+    const proxyNotice = isLeading
+        ? ''
+        : ` La puja automática de **${auction.currentBidderName}** le supera con **${auction.currentBid} Rublos**.`;
+    return {
+        content: `🔔 ¡Nueva puja en **${auction.title}**! ${bidSummary}${proxyNotice}${extensionNotice}`,
+        embeds: [{
+            title: `Nueva Puja en ${auction.title}`,
+            description: `${bidSummary}\nPuja anterior: **${oldBid} Rublos**\nNueva puja: **${auction.currentBid} Rublos** (${auction.currentBidderName})`,
+            url: AUCTIONS_PAGE_URL,
+            color: COLORS.bid,
+            thumbnail: { url: avatarUrl(bidder) },
+            fields: [
+                { name: wasExtended ? "Nuevo Final (extendida)" : "Finaliza", value: `<t:${endTimestamp}:F> (<t:${endTimestamp}:R>)`, inline: true }
+            ],
+            footer: { text: `Finaliza el <t:${endTimestamp}:R>` }
+        }]
+    };
+}
+
+// Subasta finalizada por tiempo o manualmente por un admin, según su 'outcome'
+function buildAuctionFinalizedMessage(auction, { manual = false } = {}) {
+    let content;
+    let color;
+    let description = 'No hubo pujas.';
+    if (auction.outcome === 'sold' && auction.type === 'dutch' && !manual) {
+        content = `🏷️ ¡**${auction.winnerName}** ha aceptado el precio de **${auction.finalPrice} Rublos** y se lleva **${auction.title}**!`;
+        color = COLORS.sold;
+        description = `Ganador: **${auction.winnerName}**\nPrecio aceptado: **${auction.finalPrice} Rublos**`;
+    } else if (auction.outcome === 'sold') {
+        content = manual
+            ? `🎉 ¡Subasta **${auction.title}** ha sido finalizada manualmente! Ganador: **${auction.winnerName}** con **${auction.finalPrice} Rublos**.`
+            : `🎉 ¡La subasta de **${auction.title}** ha finalizado! El ganador es **${auction.winnerName}** con una puja de **${auction.finalPrice} Rublos**. ¡Felicidades!`;
+        color = manual ? COLORS.soldManual : COLORS.sold;
+        description = `Ganador: **${auction.winnerName}**\nPuja Final: **${auction.finalPrice} Rublos**`;
+    } else if (auction.outcome === 'reserve_not_met') {
+        content = manual
+            ? `🔒 Subasta **${auction.title}** ha sido finalizada manualmente sin alcanzar el precio de reserva. No hay ganador.`
+            : `🔒 La subasta de **${auction.title}** ha finalizado sin alcanzar el precio de reserva. La puja más alta fue de **${auction.currentBid} Rublos**; no hay ganador.`;
+        color = COLORS.reserveNotMet;
+        description = `Puja más alta: **${auction.currentBid} Rublos** (${auction.currentBidderName})\nNo se alcanzó el precio de reserva.`;
+    } else {
+        content = manual
+            ? `⚠️ Subasta **${auction.title}** ha sido finalizada manualmente sin pujas.`
+            : `💔 La subasta de **${auction.title}** ha finalizado sin pujas.`;
+        color = COLORS.noBids;
+    }
+    // En una puja sellada el cierre revela todas las pujas
+    if (auction.type === 'sealed' && auction.bidHistory.length > 0) {
+        const ranking = [...auction.bidHistory].sort((a, b) => b.amount - a.amount)
+            .map((bid, index) => `${index + 1}. ${bid.bidderName}: ${bid.amount} Rublos`)
+            .join('\n');
+        const pricing = auction.sealedPricing === 'second_price' ? 'paga la segunda puja más alta' : 'paga su puja';
+        description += `\n\n**Pujas reveladas** (el ganador ${pricing}):\n${ranking}`.slice(0, 3500);
+    }
+    return {
+        content,
+        embeds: [{
+            title: `${manual ? 'Subasta Finalizada Manualmente' : 'Subasta Finalizada'}: ${auction.title}`,
+            description,
+            url: AUCTIONS_PAGE_URL,
+            color,
+            thumbnail: { url: auction.imageUrl || 'https://via.placeholder.com/150' },
+            footer: { text: `Subasta ID: ${auction._id}` }
+        }]
+    };
+}
+
+// Subasta comprada con "Cómpralo Ya"
+function buildBuyNowMessage(auction) {
+    return {
+        content: `🛒 ¡**${auction.winnerName}** ha comprado **${auction.title}** con "Cómpralo Ya" por **${auction.finalPrice} Rublos**! La subasta ha finalizado.`,
+        embeds: [{
+            title: `Comprada con "Cómpralo Ya": ${auction.title}`,
+            description: `Comprador: **${auction.winnerName}**\nPrecio: **${auction.finalPrice} Rublos**`,
+            url: AUCTIONS_PAGE_URL,
+            color: COLORS.buyNow,
+            thumbnail: { url: auction.imageUrl || 'https://via.placeholder.com/150' },
+            footer: { text: `Subasta ID: ${auction._id}` }
+        }]
+    };
+}
+
+// Un admin ha anulado una puja: se anuncia el motivo y quién queda en cabeza (o quién gana, si ya había finalizado)
+function buildBidVoidedMessage(auction, { bid, reason }) {
+    const isFinalized = auction.status === 'finalized';
+    let standing;
+    if (isFinalized) {
+        standing = auction.winnerId
+            ? `Nuevo ganador: **${auction.winnerName}** por **${auction.finalPrice} Rublos**`
+            : 'La subasta queda sin ganador.';
+    } else {
+        standing = auction.currentBidderId
+            ? `Puja actual: **${auction.currentBid} Rublos** de **${auction.currentBidderName}**`
+            : `Sin pujas válidas. Precio actual: **${auction.currentBid} Rublos**`;
+    }
+    return {
+        content: `⚠️ Se ha anulado la puja de **${bid.bidderName}** (${bid.amount} Rublos) en **${auction.title}**.`,
+        embeds: [{
+            title: `Puja anulada: ${auction.title}`,
+            description: `Motivo: ${reason}\n${standing}`,
+            url: AUCTIONS_PAGE_URL,
+            color: COLORS.bidVoided,
+            thumbnail: { url: auction.imageUrl || 'https://via.placeholder.com/150' },
+            footer: { text: `Subasta ID: ${auction._id}` }
+        }]
+    };
+}
+
+// Alerta de moderación: el detector ha abierto un aviso de posible abuso
+const ABUSE_FLAG_LABELS = {
+    self_bidding: 'Puja en su propia subasta',
+    bid_ring: 'Dos cuentas subiéndose la puja',
+    non_paying_winner: 'Ganador que no paga'
+};
+
+function buildAbuseFlagMessage(flag) {
+    const details = Object.entries(flag.details || {})
+        .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+        .join('\n');
+    return {
+        content: `🚩 Nuevo aviso de posible abuso: **${ABUSE_FLAG_LABELS[flag.kind] || flag.kind}**`,
+        embeds: [{
+            title: ABUSE_FLAG_LABELS[flag.kind] || flag.kind,
+            description: `Jugadores: ${flag.discordIds.map(id => `<@${id}>`).join(', ')}\n${details}`,
+            color: COLORS.abuseFlag,
+            footer: { text: `Aviso ID: ${flag._id}` },
+            timestamp: new Date(flag.createdAt).toISOString()
+        }],
+        allowed_mentions: { parse: [] } // Mostrar las menciones sin avisar a los jugadores
+    };
+}
+
+// --- Bandeja de salida ---
+
+// Guarda un mensaje en la bandeja de salida. Si el canal no tiene webhook configurado no se guarda nada.
+// Nunca lanza: un fallo al encolar se registra pero no debe romper la operación que notifica.
+async function enqueueNotification(kind, payload, { auctionId = null, channel = 'public' } = {}) {
+    if (!WEBHOOK_URLS[channel]) return null;
+    try {
+        return await Notification.create({ kind, payload, auctionId, channel });
+    } catch (error) {
+        console.error(`Error encolando la notificación '${kind}':`, error.message);
+        return null;
+    }
+}
+
+const notifyNewAuction = auction =>
+    enqueueNotification('newAuction', buildNewAuctionMessage(auction), { auctionId: auction._id });
+
+const notifyBidPlaced = (auction, details) =>
+    enqueueNotification('bidPlaced', buildBidMessage(auction, details), { auctionId: auction._id });
+
+const notifySealedBidPlaced = (auction, details) =>
+    enqueueNotification('sealedBidPlaced', buildSealedBidMessage(auction, details), { auctionId: auction._id });
+
+const notifyAuctionFinalized = (auction, options) =>
+    enqueueNotification('auctionFinalized', buildAuctionFinalizedMessage(auction, options), { auctionId: auction._id });
+
+const notifyBuyNow = auction =>
+    enqueueNotification('buyNow', buildBuyNowMessage(auction), { auctionId: auction._id });
+
+const notifyBidVoided = (auction, details) =>
+    enqueueNotification('bidVoided', buildBidVoidedMessage(auction, details), { auctionId: auction._id });
+
+const notifyAbuseFlag = flag =>
+    enqueueNotification('abuseFlag', buildAbuseFlagMessage(flag), { auctionId: flag.auctionIds[0] || null, channel: 'moderation' });
+
+// --- Worker de entrega ---
+
+// Hasta cuándo está pausado el envío por un límite de velocidad global de Discord
+let globalRateLimitUntil = 0;
+let workerRunning = false;
+
+// Espera en ms indicada por un 429 de Discord (retry_after en segundos en el body o la cabecera)
+function getRetryAfterMs(error) {
+    const body = error.response && error.response.data;
+    const header = error.response && error.response.headers && error.response.headers['retry-after'];
+    const seconds = Number((body && body.retry_after) || header);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds * 1000) : RETRY_BASE_MS;
+}
+
+// Reclama el siguiente mensaje pendiente (o uno cuyo envío quedó a medias) de forma atómica
+function claimNextNotification(now) {
+    return Notification.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } }
+            ]
+        },
+        { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS), updatedAt: now } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+}
+
+// Intenta entregar un mensaje y actualiza su estado según el resultado
+async function deliverNotification(notification) {
+    const now = new Date();
+    try {
+        const webhookUrl = WEBHOOK_URLS[notification.channel || 'public'];
+        if (!webhookUrl) {
+            throw new Error(`El canal '${notification.channel}' no tiene webhook configurado.`);
+        }
+        // with_components: sin él Discord ignora los botones del mensaje
+        const hasComponents = Array.isArray(notification.payload.components) && notification.payload.components.length > 0;
+        await axios.post(webhookUrl, notification.payload, { params: hasComponents ? { with_components: true } : undefined });
+        await Notification.updateOne(
+            { _id: notification._id },
+            { $set: { status: 'sent', sentAt: now, lockedUntil: null, lastError: null, updatedAt: now } }
+        );
+    } catch (error) {
+        const status = error.response ? error.response.status : null;
+        if (status === 429) {
+            // Límite de velocidad: esperar lo que indica Discord sin contarlo como intento fallido
+            const retryAfterMs = getRetryAfterMs(error);
+            if (error.response.data && error.response.data.global) {
+                globalRateLimitUntil = Date.now() + retryAfterMs;
+            }
+            console.warn(`Discord limitó la notificación ${notification._id}; reintento en ${retryAfterMs} ms.`);
+            await Notification.updateOne(
+                { _id: notification._id },
+                { $set: { status: 'pending', nextAttemptAt: new Date(Date.now() + retryAfterMs), lockedUntil: null, lastError: 'HTTP 429', updatedAt: now } }
+            );
+            return;
+        }
+
+        const attempts = notification.attempts + 1;
+        const lastError = status ? `HTTP ${status}: ${JSON.stringify(error.response.data)}` : error.message;
+        // Los 4xx (salvo 429) no se van a arreglar reintentando: directamente a 'dead'
+        const isPermanent = status !== null && status >= 400 && status < 500;
+        const isDead = isPermanent || attempts >= NOTIFICATION_MAX_ATTEMPTS;
+        const delayMs = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+        console.error(`Error enviando la notificación ${notification._id} (intento ${attempts}):`, lastError);
+        await Notification.updateOne(
+            { _id: notification._id },
+            {
+                $set: {
+                    status: isDead ? 'dead' : 'pending',
+                    attempts,
+                    lastError,
+                    nextAttemptAt: new Date(Date.now() + delayMs),
+                    lockedUntil: null,
+                    updatedAt: now
+                }
+            }
+        );
+    }
+}
+
+// Entrega todos los mensajes pendientes que ya toca enviar (de uno en uno, en orden)
+async function processOutbox() {
+    if (workerRunning || !HAS_ANY_WEBHOOK) return;
+    workerRunning = true;
+    try {
+        while (Date.now() >= globalRateLimitUntil) {
+            const notification = await claimNextNotification(new Date());
+            if (!notification) break;
+            await deliverNotification(notification);
+        }
+    } catch (error) {
+        console.error('Error en el worker de notificaciones:', error);
+    } finally {
+        workerRunning = false;
+    }
+}
+
+// Arranca el worker de la bandeja de salida
+function startNotificationWorker() {
+    if (!HAS_ANY_WEBHOOK) {
+        console.warn('Ningún webhook de Discord configurado (DISCORD_WEBHOOK_URL, DISCORD_MODERATION_WEBHOOK_URL): las notificaciones están desactivadas.');
+        return;
+    }
+    setInterval(processOutbox, WORKER_INTERVAL_MS);
+}
+
+// Vuelve a poner en cola un mensaje (normalmente 'dead') para reenviarlo desde cero
+function replayNotification(id) {
+    const now = new Date();
+    return Notification.findOneAndUpdate(
+        { _id: id, status: { $in: ['dead', 'sent'] } },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, lockedUntil: null, lastError: null, updatedAt: now } },
+        { new: true }
+    );
+}
+
+module.exports = {
+    NOTIFICATION_MAX_ATTEMPTS,
+    BID_BUTTON_PREFIX,
+    buildBidButtonRow,
+    buildNewAuctionMessage,
+    buildBidMessage,
+    buildSealedBidMessage,
+    buildAuctionFinalizedMessage,
+    buildBuyNowMessage,
+    buildBidVoidedMessage,
+    buildAbuseFlagMessage,
+    enqueueNotification,
+    notifyNewAuction,
+    notifyBidPlaced,
+    notifySealedBidPlaced,
+    notifyAuctionFinalized,
+    notifyBuyNow,
+    notifyBidVoided,
+    notifyAbuseFlag,
+    startNotificationWorker,
+    processOutbox,
+    replayNotification
+};
@@ -0,0 +1,52 @@
+// services/participation.js
+// Participación de un usuario en las subastas a partir de su historial de pujas. La usan /api/users
+// y el comando /mis-pujas de Discord.
+const Auction = require('../models/Auction');
+
+// Resume la participación de un usuario en una subasta a partir de su historial de pujas.
+// Con includeBids se añaden todas sus pujas (solo para la consulta de admin).
+function summarizeParticipation(auction, discordId, { includeBids = false } = {}) {
+    const ownBids = auction.bidHistory.filter(bid => bid.bidderId === discordId);
+    const ownProxy = (auction.proxyBids || []).find(proxy => proxy.bidderId === discordId);
+    // Puja sellada aún sin revelar: solo se devuelve al propio usuario o a un admin
+    const ownSealedBid = auction.status !== 'finalized'
+        ? (auction.sealedBids || []).find(bid => bid.bidderId === discordId)
+        : null;
+    const summary = {
+        auctionId: auction._id,
+        title: auction.title,
+        imageUrl: auction.imageUrl,
+        type: auction.type,
+        status: auction.status,
+        outcome: auction.outcome,
+        endDate: auction.endDate,
+        currentBid: auction.currentBid,
+        currentBidderName: auction.currentBidderName,
+        finalPrice: auction.finalPrice,
+        myHighestBid: ownBids.length > 0 ? Math.max(...ownBids.map(bid => bid.amount)) : null,
+        myBidCount: ownBids.length,
+        myMaxBid: ownProxy ? ownProxy.maxAmount : null, // Solo se devuelve al propio usuario o a un admin
+        mySealedBid: ownSealedBid ? ownSealedBid.amount : null,
+        lastBidAt: ownBids.length > 0 ? ownBids[ownBids.length - 1].timestamp : (ownSealedBid ? ownSealedBid.updatedAt : null),
+        isLeading: auction.currentBidderId === discordId,
+        isWinner: auction.winnerId === discordId
+    };
+    if (includeBids) {
+        summary.bids = ownBids;
+    }
+    return summary;
+}
+
+// Subastas en las que ha pujado un usuario (opcionalmente filtradas por ?status=), más recientes primero
+async function findBidAuctions(discordId, status) {
+    const filter = { $or: [{ 'bidHistory.bidderId': discordId }, { 'sealedBids.bidderId': discordId }] };
+    if (status) {
+        filter.status = status;
+    }
+    return Auction.find(filter).select('+proxyBids +sealedBids').sort({ endDate: -1 });
+}
+
+module.exports = {
+    summarizeParticipation,
+    findBidAuctions
+};
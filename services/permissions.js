@@ -0,0 +1,141 @@
+// services/permissions.js
+// Permisos por rol de Discord. Cada rol concede una lista de permisos, que se obtiene de:
+//   - ADMIN_DISCORD_ROLE_IDS: roles de administrador, con todos los permisos.
+//   - ROLE_PERMISSIONS (variable de entorno, JSON): { "<roleId>": ["auctions:create", ...] } o "*" para todos.
+//   - La colección RolePermission, editable desde /api/permissions.
+// Los permisos efectivos de un usuario son la unión de los de todos sus roles.
+const RolePermission = require('../models/RolePermission');
+
+// ¡IMPORTANTE! IDs de los roles de administrador de Discord de tu servidor. Se pueden sobrescribir con
+// la variable de entorno ADMIN_DISCORD_ROLE_IDS (IDs separados por comas).
+//
+// Para encontrar un ID de rol:
+// 1. Activa el Modo Desarrollador en Discord (Ajustes de Usuario -> Avanzado).
+// 2. Ve a la configuración de tu servidor.
+// 3. Ve a "Roles".
+// 4. Haz clic derecho en el rol que quieres que sea administrador y selecciona "Copiar ID".
+const ADMIN_DISCORD_ROLE_IDS = parseRoleList(process.env.ADMIN_DISCORD_ROLE_IDS) || [
+    '1397175186935255091', // Reemplaza con el ID real de tu primer rol de administrador
+];
+
+// Roles de Discord necesarios para pujar (p. ej. "superviviente verificado"), separados por comas.
+// Si no se configura ninguno, cualquier usuario con sesión iniciada puede pujar.
+const BID_REQUIRED_ROLE_IDS = parseRoleList(process.env.BID_REQUIRED_ROLE_IDS) || [];
+
+const PERMISSIONS = {
+    CREATE_AUCTIONS: 'auctions:create',
+    EDIT_AUCTIONS: 'auctions:edit',
+    REVIEW_LISTINGS: 'listings:review',
+    FINALIZE_AUCTIONS: 'auctions:finalize',
+    DELETE_AUCTIONS: 'auctions:delete',
+    MANAGE_WALLETS: 'wallets:manage',
+    MANAGE_CATALOG: 'catalog:manage',
+    MANAGE_FULFILLMENT: 'fulfillment:manage',
+    VIEW_AUDIT: 'audit:view',
+    VIEW_STATS: 'stats:view',
+    PLACE_BIDS: 'bids:place',
+    MANAGE_USERS: 'users:manage',
+    MODERATE_PLAYERS: 'players:moderate',
+    MANAGE_NOTIFICATIONS: 'notifications:manage',
+    MANAGE_PERMISSIONS: 'permissions:manage'
+};
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Tiempo que se reutilizan los permisos leídos de la base de datos antes de volver a consultarlos
+const CACHE_TTL_MS = 60 * 1000;
+let cachedDbMappings = null;
+let cachedAt = 0;
+
+function parseRoleList(value) {
+    if (!value) return null;
+    const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+    return ids.length > 0 ? ids : null;
+}
+
+// Normaliza una lista de permisos ("*" equivale a todos) descartando los desconocidos
+function normalizePermissions(list) {
+    if (list === '*' || (Array.isArray(list) && list.includes('*'))) {
+        return [...ALL_PERMISSIONS];
+    }
+    return Array.isArray(list) ? list.filter(permission => ALL_PERMISSIONS.includes(permission)) : [];
+}
+
+// Asignaciones definidas por configuración: { roleId: [permisos] }
+function loadConfigMappings() {
+    const mappings = {};
+    for (const roleId of ADMIN_DISCORD_ROLE_IDS) {
+        mappings[roleId] = [...ALL_PERMISSIONS];
+    }
+    if (process.env.ROLE_PERMISSIONS) {
+        try {
+            const parsed = JSON.parse(process.env.ROLE_PERMISSIONS);
+            for (const [roleId, list] of Object.entries(parsed)) {
+                mappings[roleId] = [...new Set([...(mappings[roleId] || []), ...normalizePermissions(list)])];
+            }
+        } catch (error) {
+            console.error('ROLE_PERMISSIONS no es un JSON válido; se ignora:', error.message);
+        }
+    }
+    return mappings;
+}
+const CONFIG_MAPPINGS = loadConfigMappings();
+
+// Asignaciones guardadas en la base de datos (con caché)
+async function loadDbMappings() {
+    if (cachedDbMappings && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cachedDbMappings;
+    }
+    const mappings = {};
+    const documents = await RolePermission.find().lean();
+    for (const document of documents) {
+        mappings[document.roleId] = normalizePermissions(document.permissions);
+    }
+    cachedDbMappings = mappings;
+    cachedAt = Date.now();
+    return mappings;
+}
+
+// Fuerza a releer la base de datos en la siguiente consulta (tras editar un rol)
+function invalidatePermissionCache() {
+    cachedDbMappings = null;
+}
+
+/**
+ * Permisos efectivos de un usuario (payload del JWT) según sus roles de Discord.
+ * Sin roles de pujador configurados, todo usuario con sesión puede pujar.
+ * @returns {Promise<string[]>}
+ */
+async function getEffectivePermissions(user) {
+    if (!user || !user.id) {
+        return [];
+    }
+    const guildRoles = Array.isArray(user.guildRoles) ? user.guildRoles : [];
+    const dbMappings = await loadDbMappings();
+    const permissions = new Set();
+    for (const roleId of guildRoles) {
+        for (const permission of [...(CONFIG_MAPPINGS[roleId] || []), ...(dbMappings[roleId] || [])]) {
+            permissions.add(permission);
+        }
+    }
+    if (BID_REQUIRED_ROLE_IDS.length === 0 || guildRoles.some(roleId => BID_REQUIRED_ROLE_IDS.includes(roleId))) {
+        permissions.add(PERMISSIONS.PLACE_BIDS);
+    }
+    return ALL_PERMISSIONS.filter(permission => permissions.has(permission));
+}
+
+// Los roles de administrador (configuración) conservan la bandera isAdmin del JWT y del perfil
+function isAdminRoles(guildRoles) {
+    return (guildRoles || []).some(roleId => ADMIN_DISCORD_ROLE_IDS.includes(roleId));
+}
+
+module.exports = {
+    ADMIN_DISCORD_ROLE_IDS,
+    BID_REQUIRED_ROLE_IDS,
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    CONFIG_MAPPINGS,
+    normalizePermissions,
+    getEffectivePermissions,
+    invalidatePermissionCache,
+    isAdminRoles
+};
@@ -0,0 +1,218 @@
+// services/realtime.js
+// Eventos de Socket.IO. En lugar de difundir documentos completos a todos los clientes, se emiten
+// eventos pequeños y tipados a las salas que corresponden:
+//   - 'auctions':          lista de subastas (la página principal se une con 'joinLobby')
+//   - 'auction:<id>':      detalle de una subasta ('joinAuction' / 'leaveAuction')
+//   - 'user:<discordId>':  avisos privados del usuario; se une automáticamente si el socket está autenticado
+const { authenticateSocket } = require('../middleware/auth');
+const { getNextMinimumBid } = require('./bidding');
+
+const LOBBY_ROOM = 'auctions';
+const auctionRoom = auctionId => `auction:${auctionId}`;
+const userRoom = discordId => `user:${discordId}`;
+
+// Emite a la sala de la subasta y a la lista general
+function toAuctionRooms(io, auctionId) {
+    return io.to([auctionRoom(auctionId), LOBBY_ROOM]);
+}
+
+// Resumen público y ligero de una subasta: la misma proyección que los listados de la API (sin historial de
+// pujas, campos secretos ni datos de administración como la revisión o el borrado)
+function toAuctionSummary(auction) {
+    return auction.toPublicJSON({ summary: true });
+}
+
+// Configura la autenticación del handshake y las salas
+function setupSocketServer(io) {
+    io.use(authenticateSocket);
+
+    io.on('connection', (socket) => {
+        const user = socket.data.user;
+        console.log('Cliente conectado a Socket.IO:', socket.id, user ? `(${user.username})` : '(invitado)');
+
+        // Sala privada del usuario para avisos como 'outbid'
+        if (user && user.id) {
+            socket.join(userRoom(user.id));
+        }
+
+        socket.on('joinLobby', () => socket.join(LOBBY_ROOM));
+        socket.on('leaveLobby', () => socket.leave(LOBBY_ROOM));
+
+        socket.on('joinAuction', (auctionId) => {
+            if (typeof auctionId === 'string' && /^[a-f0-9]{24}$/i.test(auctionId)) {
+                socket.join(auctionRoom(auctionId));
+            }
+        });
+        socket.on('leaveAuction', (auctionId) => {
+            if (typeof auctionId === 'string') {
+                socket.leave(auctionRoom(auctionId));
+            }
+        });
+
+        socket.on('disconnect', () => {
+            console.log('Cliente desconectado de Socket.IO:', socket.id);
+        });
+    });
+}
+
+// Una subasta se ha creado, editado o activado: resumen ligero a la lista y a su sala
+function emitAuctionUpdated(io, auction) {
+    toAuctionRooms(io, auction._id).emit('auctionUpdated', toAuctionSummary(auction));
+}
+
+// Una subasta se ha eliminado
+function emitAuctionDeleted(io, auctionId) {
+    toAuctionRooms(io, auctionId).emit('auctionDeleted', auctionId);
+}
+
+// Nuevas pujas visibles (incluidas las automáticas intermedias)
+function emitBidPlaced(io, auction, newBids) {
+    toAuctionRooms(io, auction._id).emit('bidPlaced', {
+        auctionId: auction._id,
+        bids: newBids.map(bid => ({ bidderName: bid.bidderName, amount: bid.amount, timestamp: bid.timestamp })),
+        currentBid: auction.currentBid,
+        currentBidderName: auction.currentBidderName,
+        nextMinimumBid: getNextMinimumBid(auction),
+        reserveMet: auction.reserveMet,
+        bidCount: auction.bidHistory.length,
+        endDate: auction.endDate
+    });
+}
+
+// Nueva puja sellada: solo se publica el número de pujadores, nunca las cantidades
+function emitSealedBidPlaced(io, auction) {
+    toAuctionRooms(io, auction._id).emit('sealedBidPlaced', {
+        auctionId: auction._id,
+        sealedBidCount: auction.sealedBidCount,
+        endDate: auction.endDate
+    });
+}
+
+// Subasta holandesa: el precio ha bajado
+function emitPriceDropped(io, auction) {
+    toAuctionRooms(io, auction._id).emit('priceDropped', {
+        auctionId: auction._id,
+        currentBid: auction.currentBid,
+        floorPrice: auction.dutch.floorPrice,
+        nextDropAt: auction.currentBid > auction.dutch.floorPrice ? auction.dutch.nextDropAt : null,
+        endDate: auction.endDate
+    });
+}
+
+// El cierre suave ha ampliado la fecha de finalización
+function emitAuctionExtended(io, auction) {
+    toAuctionRooms(io, auction._id).emit('auctionExtended', {
+        auctionId: auction._id,
+        endDate: auction.endDate,
+        extensionCount: auction.extensionCount,
+        maxExtensions: auction.maxExtensions
+    });
+}
+
+// La subasta ha finalizado (por tiempo, manualmente, con "Cómpralo Ya" o aceptando el precio holandés).
+// En una puja sellada es cuando se revelan las pujas: se envía el historial completo.
+function emitAuctionFinalized(io, auction) {
+    toAuctionRooms(io, auction._id).emit('auctionFinalized', {
+        auctionId: auction._id,
+        title: auction.title,
+        type: auction.type,
+        bids: auction.type === 'sealed'
+            ? auction.bidHistory.map(bid => ({ bidderName: bid.bidderName, amount: bid.amount, timestamp: bid.timestamp }))
+            : undefined,
+        status: auction.status,
+        outcome: auction.outcome,
+        winnerName: auction.winnerName,
+        finalPrice: auction.finalPrice,
+        endDate: auction.endDate
+    });
+}
+
+// Un admin ha anulado una puja: estado recalculado de la subasta (y del ganador, si ya había finalizado)
+function emitBidVoided(io, auction, bid) {
+    toAuctionRooms(io, auction._id).emit('bidVoided', {
+        auctionId: auction._id,
+        bidId: bid._id,
+        bidderName: bid.bidderName,
+        amount: bid.amount,
+        reason: bid.voidReason,
+        currentBid: auction.currentBid,
+        currentBidderName: auction.currentBidderName,
+        nextMinimumBid: getNextMinimumBid(auction),
+        reserveMet: auction.reserveMet,
+        status: auction.status,
+        outcome: auction.outcome,
+        winnerName: auction.winnerName,
+        finalPrice: auction.finalPrice
+    });
+}
+
+// Aviso privado a un jugador afectado por la anulación de una puja ('voided': era su puja;
+// 'leading': ahora va en cabeza; 'won': ahora es el ganador; 'lost': ya no es el ganador)
+function emitBidVoidedNotice(io, discordId, auction, { bid, effect }) {
+    io.to(userRoom(discordId)).emit('bidVoidedNotice', {
+        auctionId: auction._id,
+        title: auction.title,
+        effect,
+        amount: bid.amount,
+        reason: bid.voidReason,
+        currentBid: auction.currentBid,
+        finalPrice: auction.finalPrice
+    });
+}
+
+// Aviso privado al jugador que acaba de perder el primer puesto
+function emitOutbid(io, discordId, auction) {
+    io.to(userRoom(discordId)).emit('outbid', {
+        auctionId: auction._id,
+        title: auction.title,
+        currentBid: auction.currentBid,
+        currentBidderName: auction.currentBidderName,
+        nextMinimumBid: getNextMinimumBid(auction),
+        status: auction.status,
+        endDate: auction.endDate
+    });
+}
+
+// Aviso privado al vendedor: un admin ha aprobado, rechazado o pedido cambios en su subasta propuesta
+function emitListingReviewed(io, auction) {
+    io.to(userRoom(auction.sellerId)).emit('listingReviewed', {
+        auctionId: auction._id,
+        title: auction.title,
+        status: auction.status,
+        reviewState: auction.review.state,
+        reason: auction.review.reason
+    });
+}
+
+// Aviso privado al ganador (o al pujador con una oferta) de un cambio en la entrega en el juego
+function emitFulfillmentUpdated(io, discordId, view) {
+    io.to(userRoom(discordId)).emit('fulfillmentUpdated', view);
+}
+
+// Aviso privado al siguiente pujador: se le ofrece el objeto de una subasta anulada
+function emitRunnerUpOffer(io, auction) {
+    const { offer } = auction.fulfillment;
+    io.to(userRoom(offer.bidderId)).emit('runnerUpOffer', {
+        auctionId: auction._id,
+        title: auction.title,
+        amount: offer.amount,
+        expiresAt: offer.expiresAt
+    });
+}
+
+module.exports = {
+    setupSocketServer,
+    emitAuctionUpdated,
+    emitAuctionDeleted,
+    emitBidPlaced,
+    emitSealedBidPlaced,
+    emitPriceDropped,
+    emitAuctionExtended,
+    emitAuctionFinalized,
+    emitOutbid,
+    emitBidVoided,
+    emitBidVoidedNotice,
+    emitListingReviewed,
+    emitFulfillmentUpdated,
+    emitRunnerUpOffer
+};
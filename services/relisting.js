@@ -0,0 +1,176 @@
+// services/relisting.js
+// Copias y reventas de subastas:
+//  - cloneAuction: un admin copia cualquier subasta en un borrador ('draft') con fechas nuevas, que puede
+//    editar antes de publicarlo (POST /api/auctions/:id/publish).
+//  - relistUnsoldAuction: cuando la tarea programada finaliza una subasta sin ganador y su relistPolicy lo
+//    permite, la vuelve a publicar con la puja inicial rebajada. La reventa guarda relistOfId con un índice
+//    único, así que cada subasta se revende como mucho una vez aunque dos finalizaciones coincidan.
+// Se copia la configuración (lote, precios, formato, imágenes, reventa), nunca las pujas ni el resultado.
+const Auction = require('../models/Auction');
+const { duplicateImages, syncAuctionImages, deleteImages, PLACEHOLDER_IMAGE_URL } = require('./images');
+const { getFirstDutchDropAt } = require('./auctionTypes');
+const { parseAuctionDates } = require('./auctionInput');
+const { notifyNewAuction } = require('./notifications');
+const realtime = require('./realtime');
+const { snapshotAuction, recordAuctionAudit } = require('./audit');
+
+// Duración de una subasta sin contar las extensiones del cierre suave
+function getAuctionDurationMs(auction) {
+    const endDate = auction.originalEndDate || auction.endDate;
+    return Math.max(new Date(endDate).getTime() - new Date(auction.startDate).getTime(), 60 * 1000);
+}
+
+// Campos de configuración de una subasta para crear otra, con copias nuevas de sus imágenes.
+// Requiere que la subasta se haya cargado con '+reservePrice'.
+async function copyAuctionFields(source) {
+    const raw = source.toObject({ transform: false, depopulate: true });
+    const images = await duplicateImages(raw.images);
+    // Si la portada era una de las imágenes subidas, pasa a ser la primera copia
+    const coverWasUploaded = (raw.images || []).some(image => image.url === raw.imageUrl);
+    const imageUrl = coverWasUploaded ? (images.length > 0 ? images[0].url : PLACEHOLDER_IMAGE_URL) : raw.imageUrl;
+    const fields = {
+        title: raw.title,
+        description: raw.description,
+        imageUrl,
+        images,
+        items: raw.items,
+        category: raw.category,
+        startBid: raw.startBid,
+        currentBid: raw.startBid,
+        type: raw.type,
+        sealedPricing: raw.sealedPricing,
+        incrementRule: raw.incrementRule,
+        softCloseWindowMinutes: raw.softCloseWindowMinutes,
+        softCloseExtensionMinutes: raw.softCloseExtensionMinutes,
+        maxExtensions: raw.maxExtensions,
+        reservePrice: raw.reservePrice === undefined ? null : raw.reservePrice,
+        buyNowPrice: raw.buyNowPrice,
+        relistPolicy: raw.relistPolicy,
+        sellerId: raw.sellerId
+    };
+    if (raw.type === 'dutch') {
+        const { floorPrice, decrementAmount, intervalMinutes } = raw.dutch;
+        fields.dutch = { floorPrice, decrementAmount, intervalMinutes, nextDropAt: null };
+    }
+    return fields;
+}
+
+/**
+ * Copia una subasta (en cualquier estado) en un borrador que no ven los jugadores.
+ * @param {string} sourceId ID de la subasta que se copia.
+ * @param {Object} options { actor: req.user, startDate, endDate } (por defecto, desde ahora y con la
+ *        misma duración que la original).
+ * @returns {Promise<Object>} { auction, source } o { error, status }.
+ */
+async function cloneAuction(sourceId, { actor, startDate, endDate } = {}) {
+    const source = await Auction.findById(sourceId).select('+reservePrice');
+    if (!source) {
+        return { error: 'Subasta no encontrada.', status: 404 };
+    }
+    const dates = parseAuctionDates({ startDate, endDate }, { durationMs: getAuctionDurationMs(source) });
+    if (dates.error) {
+        return { error: dates.error, status: 400 };
+    }
+
+    const draft = new Auction({
+        ...(await copyAuctionFields(source)),
+        startDate: dates.startDate,
+        endDate: dates.endDate,
+        creatorId: actor.id,
+        creatorName: actor.username,
+        status: 'draft',
+        clonedFromId: source._id,
+        templateId: source.templateId
+    });
+    await draft.save();
+    await syncAuctionImages(draft);
+    return { auction: draft, source };
+}
+
+// Indica si una subasta finalizada sin ganador debe revenderse según su política
+function shouldRelist(auction) {
+    const policy = auction.relistPolicy || {};
+    return auction.status === 'finalized' && !auction.winnerId && (policy.maxRelists || 0) > (auction.relistCount || 0);
+}
+
+// Puja inicial de la reventa: la anterior rebajada startBidDecreasePercent %, sin bajar de minStartBid (ni,
+// en las holandesas, de un escalón por encima del precio mínimo) y nunca por encima de la anterior.
+function getRelistStartBid(auction) {
+    const { startBidDecreasePercent, minStartBid } = auction.relistPolicy;
+    let startBid = Math.round(auction.startBid * (100 - startBidDecreasePercent)) / 100;
+    if (minStartBid !== null && minStartBid !== undefined) {
+        startBid = Math.max(startBid, minStartBid);
+    }
+    if (auction.type === 'dutch') {
+        startBid = Math.max(startBid, auction.dutch.floorPrice + auction.dutch.decrementAmount);
+    }
+    return Math.min(startBid, auction.startBid);
+}
+
+/**
+ * Revende una subasta que acaba de finalizar sin ganador si su relistPolicy lo permite: crea una subasta
+ * activa desde ahora, con la misma duración, la puja inicial rebajada y relistCount + 1, y la anuncia.
+ * Nunca lanza: un fallo se registra en consola y la finalización sigue su curso.
+ * @param {Object} auction Subasta finalizada (cargada con '+reservePrice').
+ * @returns {Promise<Object|null>} La nueva subasta, o null si no tocaba revenderla.
+ */
+async function relistUnsoldAuction(io, auction) {
+    if (!shouldRelist(auction)) {
+        return null;
+    }
+    try {
+        const fields = await copyAuctionFields(auction);
+        const startBid = getRelistStartBid(auction);
+        const now = new Date();
+        const relist = new Auction({
+            ...fields,
+            startBid,
+            currentBid: startBid,
+            startDate: now,
+            endDate: new Date(now.getTime() + getAuctionDurationMs(auction)),
+            creatorId: auction.creatorId,
+            creatorName: auction.creatorName,
+            review: auction.review ? auction.review.toObject() : null, // Una propuesta ya aprobada no se revisa otra vez
+            status: 'active',
+            relistOfId: auction._id,
+            relistCount: auction.relistCount + 1,
+            templateId: auction.templateId
+        });
+        if (relist.type === 'dutch') {
+            relist.dutch.nextDropAt = getFirstDutchDropAt(now, relist.dutch.intervalMinutes);
+        }
+        try {
+            await relist.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                // Otra finalización ya la revendió: descartar las copias de las imágenes
+                await deleteImages(fields.images.map(image => image.imageId));
+                return null;
+            }
+            throw error;
+        }
+        await syncAuctionImages(relist);
+
+        await recordAuctionAudit({
+            action: 'auction.relist',
+            auction: relist,
+            actor: null,
+            after: snapshotAuction(relist),
+            reason: `Reventa ${relist.relistCount} de ${relist.relistPolicy.maxRelists} de la subasta ${auction._id}, finalizada sin ganador.`
+        });
+        console.log(`Subasta revendida: ${relist.title} (reventa ${relist.relistCount}, puja inicial ${relist.startBid} Rublos).`);
+        notifyNewAuction(relist);
+        realtime.emitAuctionUpdated(io, relist);
+        return relist;
+    } catch (error) {
+        console.error(`Error revendiendo la subasta ${auction._id}:`, error);
+        return null;
+    }
+}
+
+module.exports = {
+    getAuctionDurationMs,
+    cloneAuction,
+    getRelistStartBid,
+    relistUnsoldAuction
+};
@@ -0,0 +1,81 @@
+// services/sanctions.js
+// Sanciones que impiden pujar: baneos de pujas con caducidad y avisos (strikes) acumulables.
+const BidSanction = require('../models/BidSanction');
+
+// Avisos vigentes a partir de los cuales se bloquean las pujas
+const BID_STRIKE_LIMIT = parseInt(process.env.BID_STRIKE_LIMIT, 10) || 3;
+
+// Sanciones vigentes (no levantadas ni caducadas)
+function activeSanctionFilter(now = new Date()) {
+    return { liftedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+}
+
+/**
+ * Indica si un jugador tiene bloqueadas las pujas.
+ * @returns {Promise<Object|null>} { kind: 'ban'|'strikes', reason, expiresAt (null = indefinido), message } o null.
+ */
+async function getActiveBidBlock(discordId) {
+    const sanctions = await BidSanction.find({ discordId, ...activeSanctionFilter() }).sort({ createdAt: -1 });
+
+    const ban = sanctions.find(sanction => sanction.kind === 'ban');
+    if (ban) {
+        const until = ban.expiresAt ? ` hasta el ${ban.expiresAt.toISOString()}` : '';
+        return { kind: 'ban', reason: ban.reason, expiresAt: ban.expiresAt, message: `Tienes las pujas bloqueadas${until}. Motivo: ${ban.reason}` };
+    }
+
+    const strikes = sanctions.filter(sanction => sanction.kind === 'strike');
+    if (strikes.length >= BID_STRIKE_LIMIT) {
+        // El bloqueo dura hasta que caducan suficientes avisos para bajar del límite
+        const expiries = strikes.map(strike => (strike.expiresAt ? strike.expiresAt.getTime() : Infinity)).sort((a, b) => a - b);
+        const liftsAt = expiries[strikes.length - BID_STRIKE_LIMIT];
+        return {
+            kind: 'strikes',
+            reason: strikes[0].reason,
+            expiresAt: Number.isFinite(liftsAt) ? new Date(liftsAt) : null,
+            message: `Tienes las pujas bloqueadas por acumular ${strikes.length} avisos. Último motivo: ${strikes[0].reason}`
+        };
+    }
+    return null;
+}
+
+/**
+ * Valida los datos de una sanción nueva recibidos en el body.
+ * @param {Object} body { discordId, username, kind, reason, expiresAt | durationHours }
+ * @returns {Object} { sanction } (campos para BidSanction, sin autor) o { error }.
+ */
+function parseSanctionInput(body = {}) {
+    const { discordId, username, kind, durationHours } = body;
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!discordId || typeof discordId !== 'string') {
+        return { error: 'Indica el ID de Discord del jugador (discordId).' };
+    }
+    if (!['ban', 'strike'].includes(kind)) {
+        return { error: 'El tipo de sanción debe ser "ban" o "strike".' };
+    }
+    if (!reason) {
+        return { error: 'Indica el motivo de la sanción.' };
+    }
+
+    let expiresAt = null;
+    if (body.expiresAt) {
+        expiresAt = new Date(body.expiresAt);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return { error: 'La fecha de caducidad debe ser una fecha futura válida.' };
+        }
+    } else if (durationHours !== undefined && durationHours !== null && durationHours !== '') {
+        const hours = Number(durationHours);
+        if (!Number.isFinite(hours) || hours <= 0) {
+            return { error: 'La duración debe ser un número de horas positivo.' };
+        }
+        expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    return { sanction: { discordId, username: username || null, kind, reason: reason.slice(0, 1000), expiresAt } };
+}
+
+module.exports = {
+    BID_STRIKE_LIMIT,
+    activeSanctionFilter,
+    getActiveBidBlock,
+    parseSanctionInput
+};
@@ -0,0 +1,213 @@
+// services/scheduler.js
+// Tarea programada de las subastas: activa las programadas, baja el precio de las holandesas, finaliza
+// las que han terminado, reanuda las finalizaciones interrumpidas y, cada hora, borra las imágenes que ya
+// no se usan.
+//  - Solo la ejecuta una instancia del backend a la vez (arrendamiento en SchedulerLease, que se
+//    renueva entre subasta y subasta en las vueltas largas). Aun así, cada transición es una escritura
+//    condicional, así que nunca se aplica dos veces.
+//  - Se despierta cada SCHEDULER_INTERVAL_MS y, si antes vence alguna subasta, justo en ese momento.
+//  - La primera vuelta se hace al arrancar: recupera las subastas que terminaron con el servidor parado
+//    (p. ej. mientras Render lo tenía dormido).
+const os = require('os');
+const { randomUUID } = require('crypto');
+const Auction = require('../models/Auction');
+const SchedulerLease = require('../models/SchedulerLease');
+const { computeDutchDrop } = require('./auctionTypes');
+const { notifyNewAuction } = require('./notifications');
+const { finalizeAuction, resumeFinalization, findInterruptedFinalizations } = require('./finalization');
+const { purgeUnusedImages } = require('./images');
+const realtime = require('./realtime');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 5 * 1000;
+// Espera mínima entre vueltas aunque haya algo que vence antes
+const MIN_DELAY_MS = 250;
+// Cada cuánto se borran las imágenes sin usar (ver services/images.js)
+const IMAGE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const LEASE_NAME = 'auction-scheduler';
+const LEASE_TTL_MS = Math.max(SCHEDULER_INTERVAL_MS * 3, 15 * 1000);
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// Toma o renueva el arrendamiento. Si otra instancia lo tiene vigente, la inserción del upsert choca con
+// su documento (clave duplicada) y se devuelve false.
+async function acquireLease() {
+    const now = new Date();
+    try {
+        const lease = await SchedulerLease.findOneAndUpdate(
+            { _id: LEASE_NAME, $or: [{ ownerId: INSTANCE_ID }, { expiresAt: { $lte: now } }] },
+            { $set: { ownerId: INSTANCE_ID, expiresAt: new Date(now.getTime() + LEASE_TTL_MS) } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+        return lease.ownerId === INSTANCE_ID;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+// Renueva el arrendamiento antes de cada subasta de una vuelta larga (p. ej. al recuperar muchas subastas
+// al arrancar): si la vuelta superase LEASE_TTL_MS sin renovarlo, otra instancia lo tomaría y haría el mismo
+// trabajo a la vez. Devuelve false si el arrendamiento se ha perdido y hay que dejar la vuelta.
+async function renewLease() {
+    if (await acquireLease()) return true;
+    console.warn(`La instancia ${INSTANCE_ID} ha perdido el arrendamiento de la tarea programada; deja la vuelta a medias.`);
+    return false;
+}
+
+// Activar las subastas programadas cuya fecha de inicio ya ha llegado
+async function activateScheduledAuctions(io, now) {
+    const dueAuctions = await Auction.find({ status: 'scheduled', startDate: { $lte: now } }).select('_id');
+    for (const due of dueAuctions) {
+        // Transición condicional: si otra ejecución ya la activó, no se anuncia dos veces
+        const auction = await Auction.findOneAndUpdate(
+            { _id: due._id, status: 'scheduled' },
+            { $set: { status: 'active' } },
+            { new: true }
+        );
+        if (!auction) continue;
+
+        console.log(`Subasta programada activada: ${auction.title}`);
+        notifyNewAuction(auction);
+        realtime.emitAuctionUpdated(io, auction);
+    }
+}
+
+// Bajar el precio de las subastas holandesas a las que les toca
+async function dropDutchPrices(io, now) {
+    const dutchAuctions = await Auction.find({ status: 'active', type: 'dutch', 'dutch.nextDropAt': { $lte: now } });
+    for (const dutchAuction of dutchAuctions) {
+        const drop = computeDutchDrop(dutchAuction, now);
+        if (!drop) continue;
+        // Escritura condicional: si alguien ha aceptado el precio mientras tanto, no se toca
+        const auction = await Auction.findOneAndUpdate(
+            { _id: dutchAuction._id, status: 'active', currentBid: dutchAuction.currentBid, currentBidderId: null },
+            { $set: { currentBid: drop.price, 'dutch.nextDropAt': drop.nextDropAt }, $inc: { __v: 1 } },
+            { new: true }
+        );
+        if (!auction) continue;
+        console.log(`Subasta holandesa ${auction.title}: el precio baja a ${auction.currentBid} Rublos.`);
+        realtime.emitPriceDropped(io, auction);
+    }
+}
+
+// Finalizar las subastas activas cuya fecha de fin ya ha pasado (las más antiguas primero).
+// Devuelve false si se perdió el arrendamiento a mitad.
+async function finalizeEndedAuctions(io, now, { catchUp = false } = {}) {
+    const ended = await Auction.find({ status: 'active', endDate: { $lte: now } }).sort({ endDate: 1 }).select('_id');
+    if (catchUp && ended.length > 0) {
+        console.log(`Recuperando ${ended.length} subastas que terminaron con el servidor parado.`);
+    }
+    for (const { _id } of ended) {
+        if (!(await renewLease())) return false;
+        try {
+            const result = await finalizeAuction(io, _id);
+            if (result.auction) {
+                console.log(`Subasta finalizada: ${result.auction.title} (${result.auction.outcome})`);
+            } else if (result.error) {
+                console.error(`No se pudo finalizar la subasta ${_id}:`, result.error);
+            }
+        } catch (error) {
+            // Un fallo en una subasta no debe impedir finalizar las demás
+            console.error(`Error finalizando la subasta ${_id}:`, error);
+        }
+    }
+    return true;
+}
+
+// Completar los efectos (cobro, entrega, avisos, reventa) de las finalizaciones que se quedaron a medias
+// porque el proceso se cayó justo después de pasar la subasta a 'finalized'. Devuelve false si se perdió
+// el arrendamiento a mitad.
+async function resumeInterruptedFinalizations(io, now) {
+    const interrupted = await findInterruptedFinalizations(now);
+    for (const { _id } of interrupted) {
+        if (!(await renewLease())) return false;
+        try {
+            const auction = await resumeFinalization(io, _id, now);
+            if (auction) {
+                console.log(`Finalización reanudada: ${auction.title} (${auction.outcome})`);
+            }
+        } catch (error) {
+            console.error(`Error reanudando la finalización de la subasta ${_id}:`, error);
+        }
+    }
+    return true;
+}
+
+// Próximo momento en que vence algo (fin de una subasta, inicio de una programada o bajada holandesa)
+async function getNextDueDate(now) {
+    const [ending, starting, dropping] = await Promise.all([
+        Auction.findOne({ status: 'active', endDate: { $gt: now } }).sort({ endDate: 1 }).select('endDate'),
+        Auction.findOne({ status: 'scheduled', startDate: { $gt: now } }).sort({ startDate: 1 }).select('startDate'),
+        Auction.findOne({ status: 'active', type: 'dutch', 'dutch.nextDropAt': { $gt: now } }).sort({ 'dutch.nextDropAt': 1 }).select('dutch')
+    ]);
+    const dates = [ending && ending.endDate, starting && starting.startDate, dropping && dropping.dutch.nextDropAt].filter(Boolean);
+    return dates.length > 0 ? new Date(Math.min(...dates.map(date => date.getTime()))) : null;
+}
+
+/**
+ * Arranca la tarea programada. Las vueltas nunca se solapan: la siguiente se programa al terminar la anterior.
+ * @returns {Object} { stop } para detenerla.
+ */
+function startAuctionScheduler(io) {
+    let timer = null;
+    let stopped = false;
+    let catchUp = true;
+    let lastImagePurgeAt = 0;
+
+    const tick = async () => {
+        let delay = SCHEDULER_INTERVAL_MS;
+        try {
+            if (await acquireLease()) {
+                const now = new Date();
+                try {
+                    await activateScheduledAuctions(io, now);
+                } catch (error) {
+                    console.error('Error activando subastas programadas:', error);
+                }
+                try {
+                    await dropDutchPrices(io, now);
+                } catch (error) {
+                    console.error('Error bajando el precio de las subastas holandesas:', error);
+                }
+                const keptLease = await finalizeEndedAuctions(io, now, { catchUp }) &&
+                    await resumeInterruptedFinalizations(io, now);
+                catchUp = false;
+
+                if (keptLease && now.getTime() - lastImagePurgeAt >= IMAGE_PURGE_INTERVAL_MS) {
+                    lastImagePurgeAt = now.getTime();
+                    try {
+                        const purged = await purgeUnusedImages(now);
+                        if (purged > 0) console.log(`Imágenes sin usar borradas: ${purged}.`);
+                    } catch (error) {
+                        console.error('Error borrando imágenes sin usar:', error);
+                    }
+                }
+
+                const nextDue = await getNextDueDate(new Date());
+                if (nextDue) {
+                    delay = Math.min(Math.max(nextDue.getTime() - Date.now(), MIN_DELAY_MS), SCHEDULER_INTERVAL_MS);
+                }
+            }
+        } catch (error) {
+            console.error('Error en la tarea programada de subastas:', error);
+        }
+        if (!stopped) {
+            timer = setTimeout(tick, delay);
+        }
+    };
+
+    console.log(`Tarea programada de subastas iniciada (instancia ${INSTANCE_ID}, cada ${SCHEDULER_INTERVAL_MS} ms).`);
+    tick();
+
+    return {
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+}
+
+module.exports = {
+    SCHEDULER_INTERVAL_MS,
+    startAuctionScheduler
+};
@@ -0,0 +1,104 @@
+// services/templates.js
+// Plantillas de subasta para objetos que se subastan a menudo (p. ej. el vehículo de cada semana). Guardan
+// los datos de la subasta (título, descripción, lote, precios, incrementos, formato, reventa), sus imágenes
+// y la duración; crear una subasta desde una plantilla solo necesita, como mucho, las fechas.
+// Los datos se guardan tal como se reciben y se validan con parseNewAuctionInput al guardar la plantilla y
+// otra vez al usarla, porque el catálogo de objetos puede haber cambiado entretanto.
+const Auction = require('../models/Auction');
+const AuctionTemplate = require('../models/AuctionTemplate');
+const { parseNewAuctionInput, parseAuctionDates } = require('./auctionInput');
+const { resolveAuctionImages, duplicateImages, syncAuctionImages } = require('./images');
+
+// Campos del body de POST /api/auctions que guarda una plantilla
+const TEMPLATE_INPUT_FIELDS = [
+    'title', 'description', 'imageUrl', 'items', 'category', 'startBid', 'incrementRule',
+    'softCloseWindowMinutes', 'softCloseExtensionMinutes', 'maxExtensions', 'reservePrice', 'buyNowPrice',
+    'type', 'sealedPricing', 'dutch', 'relistPolicy'
+];
+// Duración máxima de las subastas de una plantilla (30 días)
+const MAX_TEMPLATE_DURATION_HOURS = 30 * 24;
+
+function pickTemplateInput(body) {
+    const input = {};
+    for (const field of TEMPLATE_INPUT_FIELDS) {
+        if (body[field] !== undefined) input[field] = body[field];
+    }
+    return input;
+}
+
+/**
+ * Valida una plantilla nueva o los cambios de una existente (se combinan con sus valores actuales).
+ * @param {Object} body { name, durationHours, imageIds y los campos de TEMPLATE_INPUT_FIELDS }
+ * @param {Object} options { user, template (al editar) }
+ * @returns {Promise<Object>} { fields: { name, durationHours, auctionInput, images (si vienen imageIds) } }
+ *          o { error }.
+ */
+async function parseTemplateInput(body, { user, template = null }) {
+    const name = body.name !== undefined ? String(body.name || '').trim() : (template ? template.name : '');
+    if (!name || name.length > 100) {
+        return { error: 'La plantilla necesita un nombre de como máximo 100 caracteres.' };
+    }
+    const durationHours = body.durationHours !== undefined ? Number(body.durationHours) : (template ? template.durationHours : NaN);
+    if (!Number.isFinite(durationHours) || durationHours <= 0 || durationHours > MAX_TEMPLATE_DURATION_HOURS) {
+        return { error: `La duración (durationHours) debe ser un número de horas mayor que 0 y de como máximo ${MAX_TEMPLATE_DURATION_HOURS}.` };
+    }
+
+    const auctionInput = { ...(template ? template.auctionInput : {}), ...pickTemplateInput(body) };
+    // Se valida como una subasta que empezara ahora
+    const validation = await parseNewAuctionInput({ ...auctionInput, endDate: new Date(Date.now() + durationHours * 60 * 60 * 1000) });
+    if (validation.error) {
+        return validation;
+    }
+
+    const fields = { name, durationHours, auctionInput };
+    if (body.imageIds !== undefined) {
+        const resolved = await resolveAuctionImages(body.imageIds, { user, canUseAnyImage: true, templateId: template ? template._id : null });
+        if (resolved.error) {
+            return resolved;
+        }
+        fields.images = resolved.images;
+    }
+    return { fields };
+}
+
+/**
+ * Crea una subasta desde una plantilla, con copias de sus imágenes.
+ * @param {Object} template Plantilla (AuctionTemplate).
+ * @param {Object} options { user: req.user, startDate, endDate (por defecto, desde ahora y durante
+ *        durationHours), draft (true para crearla como borrador sin publicar) }
+ * @returns {Promise<Object>} { auction } o { error }.
+ */
+async function createAuctionFromTemplate(template, { user, startDate, endDate, draft = false }) {
+    const dates = parseAuctionDates({ startDate, endDate }, { durationMs: template.durationHours * 60 * 60 * 1000 });
+    if (dates.error) {
+        return dates;
+    }
+    const input = await parseNewAuctionInput(
+        { ...template.auctionInput, startDate: dates.startDate, endDate: dates.endDate },
+        { user, canUseAnyImage: true }
+    );
+    if (input.error) {
+        return { error: `La plantilla ya no es válida: ${input.error}` };
+    }
+
+    // La portada es la primera imagen salvo que la plantilla indique otra imageUrl
+    const images = await duplicateImages(template.images);
+    const auction = new Auction({
+        ...input.fields,
+        ...(images.length > 0 ? { images, imageUrl: template.auctionInput.imageUrl || images[0].url } : {}),
+        creatorId: user.id,
+        creatorName: user.username,
+        templateId: template._id,
+        status: draft ? 'draft' : (input.isScheduled ? 'scheduled' : 'active')
+    });
+    await auction.save();
+    await syncAuctionImages(auction);
+    await AuctionTemplate.updateOne({ _id: template._id }, { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } });
+    return { auction };
+}
+
+module.exports = {
+    TEMPLATE_INPUT_FIELDS,
+    parseTemplateInput,
+    createAuctionFromTemplate
+};
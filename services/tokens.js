@@ -0,0 +1,229 @@
+// services/tokens.js
+// Sesiones: tokens de acceso JWT de corta duración, tokens de refresco guardados en el servidor
+// (RefreshToken), códigos de inicio de sesión de un solo uso (LoginCode) y lista de revocación
+// (RevokedToken) que consulta authenticateToken.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const LoginCode = require('../models/LoginCode');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+// Duración del token de acceso (minutos) y del token de refresco (días)
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Tiempo que tiene el frontend para canjear el código de inicio de sesión (segundos)
+const LOGIN_CODE_TTL_SECONDS = 60;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Clave AES-256-GCM para guardar cifrado el token OAuth de Discord (TOKEN_ENCRYPTION_KEY, cualquier texto
+// secreto). Sin ella el token OAuth no se guarda y los roles solo se re-sincronizan con DISCORD_BOT_TOKEN.
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY
+    ? crypto.createHash('sha256').update(process.env.TOKEN_ENCRYPTION_KEY).digest()
+    : null;
+if (!TOKEN_ENCRYPTION_KEY) {
+    console.warn('TOKEN_ENCRYPTION_KEY no está configurada: no se guardará el token OAuth de Discord de las sesiones.');
+}
+
+// Cifra un token OAuth de Discord para guardarlo ("iv.tag.cifrado" en base64url). null si no se puede guardar.
+function encryptDiscordToken(token) {
+    if (!token || !TOKEN_ENCRYPTION_KEY) return null;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TOKEN_ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Descifra el token OAuth de Discord guardado en un token de refresco o un código de inicio de sesión.
+ * @returns {string|null} El token, o null si no hay o no se puede descifrar (p. ej. la clave cambió).
+ */
+function decryptDiscordToken(value) {
+    if (!value || !TOKEN_ENCRYPTION_KEY) return null;
+    try {
+        const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', TOKEN_ENCRYPTION_KEY, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+        console.warn('No se pudo descifrar un token OAuth de Discord guardado:', error.message);
+        return null;
+    }
+}
+
+// Firma un token de acceso con los datos del usuario y un identificador único (jti) revocable
+function issueAccessToken(user) {
+    return jwt.sign(
+        {
+            id: user.id,
+            username: user.username,
+            discriminator: user.discriminator,
+            avatar: user.avatar,
+            isAdmin: user.isAdmin,
+            guildRoles: user.guildRoles
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m`, jwtid: crypto.randomUUID() }
+    );
+}
+
+// Crea un token de refresco opaco. Se devuelve en claro una sola vez; en la base de datos solo queda su hash
+// (y el token OAuth de Discord, cifrado).
+async function issueRefreshToken(discordId, discordAccessToken) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await RefreshToken.create({
+        tokenHash: hashToken(token),
+        discordId,
+        discordAccessToken: encryptDiscordToken(discordAccessToken),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return token;
+}
+
+// Par de tokens que se entrega al cliente al iniciar sesión o al refrescar
+async function issueSession(user, discordAccessToken) {
+    return {
+        token: issueAccessToken(user),
+        refreshToken: await issueRefreshToken(user.id, discordAccessToken),
+        expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+    };
+}
+
+// Crea el código de un solo uso que el callback de Discord pasa al frontend en la redirección
+async function issueLoginCode(user, discordAccessToken) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    await LoginCode.create({
+        codeHash: hashToken(code),
+        user: {
+            id: user.id,
+            username: user.username,
+            discriminator: user.discriminator,
+            avatar: user.avatar,
+            isAdmin: user.isAdmin,
+            guildRoles: user.guildRoles
+        },
+        discordAccessToken: encryptDiscordToken(discordAccessToken),
+        expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_SECONDS * 1000)
+    });
+    return code;
+}
+
+/**
+ * Canjea un código de inicio de sesión. Se borra al leerlo, así que solo se puede usar una vez.
+ * @returns {Promise<Object>} { record } (con user y discordAccessToken) o { error }.
+ */
+async function redeemLoginCode(code) {
+    if (!code || typeof code !== 'string') {
+        return { error: 'Falta el código de inicio de sesión.' };
+    }
+    const record = await LoginCode.findOneAndDelete({ codeHash: hashToken(code), expiresAt: { $gt: new Date() } });
+    if (!record) {
+        return { error: 'Código de inicio de sesión inválido o caducado. Inicia sesión de nuevo.' };
+    }
+    return { record };
+}
+
+/**
+ * Consume un token de refresco: lo marca como usado de forma atómica para que no pueda usarse dos veces.
+ * Si el token ya se había rotado antes, se trata como robado y se revocan todas las sesiones del usuario.
+ * @returns {Promise<Object>} { record } (el token consumido) o { error }.
+ */
+async function consumeRefreshToken(token) {
+    if (!token || typeof token !== 'string') {
+        return { error: 'Falta el token de refresco.' };
+    }
+    const tokenHash = hashToken(token);
+    const now = new Date();
+    const record = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now } },
+        { new: true }
+    );
+    if (record) {
+        return { record };
+    }
+
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedReason === 'rotated') {
+        console.warn(`Reutilización de un token de refresco ya rotado para ${existing.discordId}. Se revocan todas sus sesiones.`);
+        await revokeAllSessions(existing.discordId, { reason: 'Reutilización de token de refresco', revokedById: 'system' });
+    }
+    return { error: 'Token de refresco inválido, caducado o revocado.' };
+}
+
+// Enlaza el token consumido con el que lo sustituye (trazabilidad de la cadena de rotación)
+async function linkRotatedToken(record, newToken) {
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedByHash: hashToken(newToken) } });
+}
+
+// Revoca un token de refresco concreto (cierre de sesión)
+async function revokeRefreshToken(token, reason) {
+    if (!token || typeof token !== 'string') return;
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(token), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason || 'logout' } }
+    );
+}
+
+// Revoca un token de acceso concreto hasta que habría caducado por sí solo
+async function revokeAccessToken(payload, { reason, revokedById } = {}) {
+    if (!payload || !payload.jti) return;
+    await RevokedToken.create({
+        jti: payload.jti,
+        discordId: payload.id,
+        reason: reason || null,
+        revokedById: revokedById || null,
+        expiresAt: payload.exp ? new Date(payload.exp * 1000) : new Date(Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+}
+
+/**
+ * Revoca todas las sesiones de un usuario (cerrar sesión en todos los dispositivos o baneo):
+ * invalida sus tokens de refresco y cualquier token de acceso emitido hasta ahora.
+ */
+async function revokeAllSessions(discordId, { reason, revokedById } = {}) {
+    const now = new Date();
+    await RefreshToken.updateMany(
+        { discordId, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: reason || 'revoked' } }
+    );
+    await RevokedToken.create({
+        discordId,
+        revokedBefore: now,
+        reason: reason || null,
+        revokedById: revokedById || null,
+        // Pasado este plazo ya no queda ningún token de acceso anterior sin caducar
+        expiresAt: new Date(now.getTime() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+}
+
+// Comprueba si un token de acceso verificado está en la lista de revocación
+async function isTokenRevoked(payload) {
+    const conditions = [];
+    if (payload.jti) {
+        conditions.push({ jti: payload.jti });
+    }
+    if (payload.id && payload.iat) {
+        conditions.push({ discordId: payload.id, revokedBefore: { $gte: new Date(payload.iat * 1000) } });
+    }
+    if (conditions.length === 0) {
+        return false;
+    }
+    return Boolean(await RevokedToken.exists({ $or: conditions }));
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_MINUTES,
+    REFRESH_TOKEN_TTL_DAYS,
+    issueAccessToken,
+    decryptDiscordToken,
+    issueSession,
+    issueLoginCode,
+    redeemLoginCode,
+    consumeRefreshToken,
+    linkRotatedToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    revokeAllSessions,
+    isTokenRevoked
+};
@@ -0,0 +1,287 @@
+// services/wallet.js
+// Operaciones sobre los monederos de Rublos: ajustes de saldo, retenciones por pujas y liquidación
+// de subastas. Cada cambio se aplica con una escritura condicional sobre el monedero (compare-and-set
+// sobre 'held') y se anota en el libro de movimientos (WalletTransaction), que es de solo anexar.
+//
+// Las operaciones que pueden fallar por reglas de negocio (saldo insuficiente, etc.) devuelven
+// { error } en lugar de lanzar, igual que services/bidding.js.
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+// Reintentos de la escritura condicional cuando otro movimiento cambia el monedero a la vez
+const WALLET_MAX_ATTEMPTS = 5;
+
+// Identificador del monedero "casa" en el libro, para subastas sin vendedor (creadas por admins)
+const HOUSE_ID = 'house';
+
+// Obtiene el monedero de un usuario, creándolo con saldo 0 si aún no existe
+async function getOrCreateWallet(discordId, username) {
+    const update = username ? { $set: { username } } : { $setOnInsert: { username: null } };
+    return Wallet.findOneAndUpdate({ discordId }, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+}
+
+// Anota un movimiento en el libro con el estado del monedero tras aplicarlo
+function recordTransaction(wallet, fields) {
+    return WalletTransaction.create({
+        discordId: wallet.discordId,
+        balanceAfter: wallet.balance,
+        heldAfter: wallet.held,
+        ...fields
+    });
+}
+
+function findHold(wallet, auctionId) {
+    return wallet.holds.find(hold => String(hold.auctionId) === String(auctionId)) || null;
+}
+
+/**
+ * Ingresa (credit) o retira (debit) Rublos de un monedero. Usado por los admins.
+ * Un débito nunca puede dejar el saldo disponible (no retenido) por debajo de 0.
+ * @returns {Promise<Object>} { wallet, transaction } o { error }.
+ */
+async function adjustBalance(discordId, amount, { type, reason, actorId, actorName, username }) {
+    await getOrCreateWallet(discordId, username);
+    const now = new Date();
+    const filter = { discordId };
+    if (type === 'debit') {
+        filter.$expr = { $gte: [{ $subtract: ['$balance', '$held'] }, amount] };
+    }
+    const wallet = await Wallet.findOneAndUpdate(
+        filter,
+        { $inc: { balance: type === 'debit' ? -amount : amount }, $set: { updatedAt: now } },
+        { new: true }
+    );
+    if (!wallet) {
+        return { error: 'Saldo disponible insuficiente para realizar el débito.' };
+    }
+    const transaction = await recordTransaction(wallet, { type, amount, reason, actorId, actorName });
+    return { wallet, transaction };
+}
+
+/**
+ * Fija la retención de un jugador para una subasta en 'amount' (la aumenta o la reduce).
+ * Comprueba que el jugador tenga saldo disponible suficiente para la diferencia.
+ * @returns {Promise<Object>} { wallet, previousAmount } o { error }.
+ */
+async function setHold(discordId, username, auctionId, amount, { actorId, actorName } = {}) {
+    for (let attempt = 0; attempt < WALLET_MAX_ATTEMPTS; attempt++) {
+        const wallet = await getOrCreateWallet(discordId, username);
+        const existing = findHold(wallet, auctionId);
+        const previousAmount = existing ? existing.amount : 0;
+        const delta = amount - previousAmount;
+        if (delta === 0) {
+            return { wallet, previousAmount };
+        }
+        if (delta > 0 && wallet.balance - wallet.held < delta) {
+            return { error: `Saldo insuficiente. Necesitas ${delta} Rublos disponibles y tienes ${wallet.balance - wallet.held} Rublos.` };
+        }
+
+        const now = new Date();
+        // CAS sobre 'held': si otra operación cambia las retenciones a la vez, se reintenta
+        const filter = { discordId, held: wallet.held };
+        let update;
+        if (existing) {
+            filter['holds.auctionId'] = auctionId;
+            update = {
+                $set: { 'holds.$.amount': amount, 'holds.$.updatedAt': now, updatedAt: now },
+                $inc: { held: delta }
+            };
+        } else {
+            filter['holds.auctionId'] = { $ne: auctionId };
+            update = {
+                $push: { holds: { auctionId, amount, createdAt: now, updatedAt: now } },
+                $inc: { held: delta },
+                $set: { updatedAt: now }
+            };
+        }
+        if (delta > 0) {
+            filter.$expr = { $gte: [{ $subtract: ['$balance', '$held'] }, delta] };
+        }
+
+        const updated = await Wallet.findOneAndUpdate(filter, update, { new: true });
+        if (updated) {
+            await recordTransaction(updated, {
+                type: delta > 0 ? 'hold' : 'release',
+                amount: Math.abs(delta),
+                auctionId,
+                actorId,
+                actorName
+            });
+            return { wallet: updated, previousAmount };
+        }
+    }
+    return { error: 'No se pudo reservar el saldo por operaciones simultáneas. Inténtalo de nuevo.' };
+}
+
+/**
+ * Libera por completo la retención de un jugador en una subasta (p. ej. al ser superado).
+ * No hace nada si no había retención.
+ */
+async function releaseHold(discordId, auctionId, { actorId, actorName, reason } = {}) {
+    for (let attempt = 0; attempt < WALLET_MAX_ATTEMPTS; attempt++) {
+        const wallet = await Wallet.findOne({ discordId });
+        const existing = wallet ? findHold(wallet, auctionId) : null;
+        if (!existing) {
+            return { wallet };
+        }
+        const updated = await Wallet.findOneAndUpdate(
+            { discordId, held: wallet.held, 'holds.auctionId': auctionId },
+            { $pull: { holds: { auctionId } }, $inc: { held: -existing.amount }, $set: { updatedAt: new Date() } },
+            { new: true }
+        );
+        if (updated) {
+            await recordTransaction(updated, { type: 'release', amount: existing.amount, auctionId, actorId, actorName, reason });
+            return { wallet: updated };
+        }
+    }
+    return { error: 'No se pudo liberar la retención por operaciones simultáneas.' };
+}
+
+// Libera todas las retenciones de una subasta, salvo la del jugador indicado (si lo hay)
+async function releaseAuctionHolds(auctionId, { exceptDiscordId = null, reason } = {}) {
+    const filter = { 'holds.auctionId': auctionId };
+    if (exceptDiscordId) {
+        filter.discordId = { $ne: exceptDiscordId };
+    }
+    const wallets = await Wallet.find(filter).select('discordId');
+    for (const wallet of wallets) {
+        const result = await releaseHold(wallet.discordId, auctionId, { reason });
+        if (result.error) {
+            console.error(`Error liberando la retención de ${wallet.discordId} en la subasta ${auctionId}:`, result.error);
+        }
+    }
+}
+
+// Indica si el ganador ya ha pagado la subasta (hay un cobro suyo sin devolución posterior)
+async function isAuctionSettled(auctionId, winnerId) {
+    const last = await WalletTransaction.findOne({ auctionId, discordId: winnerId, type: { $in: ['settle', 'refund'] } })
+        .sort({ createdAt: -1 });
+    return Boolean(last && last.type === 'settle');
+}
+
+/**
+ * Liquida una subasta finalizada: cobra el precio final al ganador (consumiendo su retención),
+ * lo ingresa al vendedor (auction.sellerId) o a la casa, y libera las retenciones restantes.
+ * Es idempotente: si el libro ya tiene el cobro de esta subasta al mismo ganador, no vuelve a cobrar.
+ * @returns {Promise<Object>} { settled: boolean } o { error }.
+ */
+async function settleAuction(auction) {
+    const auctionId = auction._id;
+    await releaseAuctionHolds(auctionId, { exceptDiscordId: auction.winnerId, reason: 'Subasta finalizada' });
+
+    if (!auction.winnerId || !auction.finalPrice) {
+        return { settled: false };
+    }
+
+    if (await isAuctionSettled(auctionId, auction.winnerId)) {
+        return { settled: false };
+    }
+
+    const payeeId = auction.sellerId || HOUSE_ID;
+    const price = auction.finalPrice;
+    let winnerWallet = null;
+    for (let attempt = 0; attempt < WALLET_MAX_ATTEMPTS && !winnerWallet; attempt++) {
+        const wallet = await getOrCreateWallet(auction.winnerId, auction.winnerName);
+        const existing = findHold(wallet, auctionId);
+        const holdAmount = existing ? existing.amount : 0;
+        // Tras liberar la retención, el saldo disponible debe cubrir el precio final
+        const filter = {
+            discordId: wallet.discordId,
+            held: wallet.held,
+            $expr: { $gte: [{ $subtract: ['$balance', { $subtract: ['$held', holdAmount] }] }, price] }
+        };
+        const update = { $inc: { balance: -price, held: -holdAmount }, $set: { updatedAt: new Date() } };
+        if (existing) {
+            filter['holds.auctionId'] = auctionId;
+            update.$pull = { holds: { auctionId } };
+        }
+        winnerWallet = await Wallet.findOneAndUpdate(filter, update, { new: true });
+        if (!winnerWallet && wallet.balance - (wallet.held - holdAmount) < price) {
+            return { error: `El ganador ${auction.winnerName} no tiene saldo suficiente para pagar ${price} Rublos.` };
+        }
+    }
+    if (!winnerWallet) {
+        return { error: 'No se pudo liquidar la subasta por operaciones simultáneas.' };
+    }
+    await recordTransaction(winnerWallet, {
+        type: 'settle',
+        amount: price,
+        auctionId,
+        counterpartyId: payeeId,
+        reason: `Pago de la subasta ${auction.title}`
+    });
+
+    if (auction.sellerId) {
+        const sellerWallet = await Wallet.findOneAndUpdate(
+            { discordId: auction.sellerId },
+            { $inc: { balance: price }, $set: { updatedAt: new Date() } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+        await recordTransaction(sellerWallet, {
+            type: 'payout',
+            amount: price,
+            auctionId,
+            counterpartyId: auction.winnerId,
+            reason: `Venta de la subasta ${auction.title}`
+        });
+    }
+    return { settled: true };
+}
+
+/**
+ * Anula el cobro de una subasta (p. ej. cuando el ganador la pierde por una disputa): devuelve el
+ * precio al ganador y se lo retira al vendedor. Si el vendedor ya no tiene saldo suficiente, la
+ * devolución al ganador se hace igualmente y se informa en 'warning' para que un admin lo resuelva.
+ * @returns {Promise<Object>} { refunded: boolean, warning } o { error }.
+ */
+async function refundSettlement(auction, { actorId, actorName, reason } = {}) {
+    const auctionId = auction._id;
+    if (!auction.winnerId || !(await isAuctionSettled(auctionId, auction.winnerId))) {
+        return { refunded: false };
+    }
+    const settlement = await WalletTransaction.findOne({ auctionId, discordId: auction.winnerId, type: 'settle' })
+        .sort({ createdAt: -1 });
+    const price = settlement.amount;
+    const refundReason = reason || `Devolución de la subasta ${auction.title}`;
+
+    const winnerWallet = await Wallet.findOneAndUpdate(
+        { discordId: auction.winnerId },
+        { $inc: { balance: price }, $set: { updatedAt: new Date() } },
+        { new: true }
+    );
+    if (!winnerWallet) {
+        return { error: 'No se encontró el monedero del ganador.' };
+    }
+    await recordTransaction(winnerWallet, {
+        type: 'refund', amount: price, auctionId, counterpartyId: settlement.counterpartyId, reason: refundReason, actorId, actorName
+    });
+
+    let warning = null;
+    if (settlement.counterpartyId && settlement.counterpartyId !== HOUSE_ID) {
+        const sellerWallet = await Wallet.findOneAndUpdate(
+            { discordId: settlement.counterpartyId, $expr: { $gte: [{ $subtract: ['$balance', '$held'] }, price] } },
+            { $inc: { balance: -price }, $set: { updatedAt: new Date() } },
+            { new: true }
+        );
+        if (sellerWallet) {
+            await recordTransaction(sellerWallet, {
+                type: 'reversal', amount: price, auctionId, counterpartyId: auction.winnerId, reason: refundReason, actorId, actorName
+            });
+        } else {
+            warning = `El vendedor ${settlement.counterpartyId} no tiene saldo disponible para retirarle ${price} Rublos.`;
+        }
+    }
+    return { refunded: true, warning };
+}
+
+module.exports = {
+    HOUSE_ID,
+    getOrCreateWallet,
+    adjustBalance,
+    setHold,
+    releaseHold,
+    releaseAuctionHolds,
+    isAuctionSettled,
+    settleAuction,
+    refundSettlement
+};